@@ -0,0 +1,216 @@
+import { CURRENCIES, DEFAULT_CURRENCY, formatMoney, getBaseCurrency, getExpenseCurrency } from '../src/currency.js';
+import { toMinor } from '../src/money.js';
+import { createAuditEntry } from '../src/audit.js';
+import { getActiveMembers, isArchived } from '../src/groups.js';
+import { linkMembers } from '../src/contacts.js';
+import { buildExpenseLabels, getCategory, parseTags } from '../src/categories.js';
+import { fromDateKey, toDateKey } from '../src/recurring.js';
+import {
+  buildExpenseFields, buildPaymentFields, getGroupBalances, getSplitTypeLabel, optimizeSettlement, settleDebts
+} from '../src/ledger/index.js';
+
+// The CLI's commands. Each takes the loaded data and parsed options and
+// returns { result } for --json output and `text` for people, plus `changes`
+// ({ [collection]: records }) when it modified anything.
+
+export class CliError extends Error {}
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CLI_SPLIT_TYPES = ['equal', 'exclude', 'custom', 'percentage', 'shares'];
+
+const byNameOrId = (records, value) => {
+  const name = value.trim().toLowerCase();
+  return records.find(r => r.id === value) || records.find(r => r.name.toLowerCase() === name);
+};
+
+const findGroup = (data, value) => {
+  if (!value) throw new CliError('Choose a group with --group <name>');
+  const group = byNameOrId(data.groups, value);
+  if (!group) throw new CliError(`No group named "${value}"`);
+  return group;
+};
+
+const findMember = (group, value, option) => {
+  if (!value) throw new CliError(`Missing --${option}`);
+  const member = byNameOrId(getActiveMembers(group), value);
+  if (!member) throw new CliError(`${value} is not a member of ${group.name}`);
+  return member;
+};
+
+// Groups named by --group, or every active group
+const selectGroups = (data, options) => options.group ? [findGroup(data, options.group)] : data.groups.filter(g => !isArchived(g));
+
+const memberName = (group, memberId) => group.members.find(m => m.id === memberId)?.name ?? 'Unknown';
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// "Ana=60,Ben=40" -> [{ member, value: '60' }, ...]
+const parseAssignments = (group, value, option) => list(value).map(pair => {
+  const [name, amount] = pair.split('=');
+  if (amount === undefined || amount.trim() === '') throw new CliError(`--${option} expects name=value pairs, e.g. Ana=2,Ben=1`);
+  return { member: findMember(group, name, option), value: amount.trim() };
+});
+
+// Turns the split options into the `splitDetails` the app stores
+const buildSplitDetails = (group, splitType, options, currency) => {
+  switch (splitType) {
+    case 'equal':
+      return undefined;
+    case 'exclude':
+      return { excludedIds: list(options.exclude).map(name => findMember(group, name, 'exclude').id) };
+    case 'custom':
+      return { splits: parseAssignments(group, options.amounts, 'amounts').map(a => ({ memberId: a.member.id, amount: toMinor(a.value, currency) })) };
+    case 'percentage':
+      return { percentages: parseAssignments(group, options.percent, 'percent').map(a => ({ memberId: a.member.id, percent: a.value })) };
+    case 'shares':
+      return { shares: parseAssignments(group, options.shares, 'shares').map(a => ({ memberId: a.member.id, shares: a.value })) };
+    default:
+      throw new CliError(`Unknown split "${splitType}"; use one of ${CLI_SPLIT_TYPES.join(', ')}`);
+  }
+};
+
+const pad = (rows) => {
+  const widths = rows[0].map((cell, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  return rows.map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+};
+
+const signed = (amount, currency) => `${amount > 0 ? '+' : amount < 0 ? '-' : ' '}${formatMoney(Math.abs(amount), currency)}`;
+
+export const listGroups = (data, options) => {
+  const groups = options.all ? data.groups : data.groups.filter(g => !isArchived(g));
+  const result = groups.map(group => ({
+    id: group.id,
+    name: group.name,
+    baseCurrency: getBaseCurrency(group),
+    members: getActiveMembers(group).map(m => ({ id: m.id, name: m.name })),
+    expenses: data.expenses.filter(e => e.groupId === group.id).length,
+    archived: isArchived(group)
+  }));
+  const text = result.length === 0
+    ? 'No groups yet. Create one with: splitter groups add <name> --members Ana,Ben'
+    : pad(result.map(g => [
+      g.name, g.baseCurrency, g.members.map(m => m.name).join(', '), `${g.expenses} expenses${g.archived ? ' (archived)' : ''}`
+    ]));
+  return { result, text };
+};
+
+export const addGroup = (data, options, [name]) => {
+  const memberNames = [...new Set(list(options.members))];
+  const baseCurrency = (options.currency || DEFAULT_CURRENCY).toUpperCase();
+  if (!name?.trim()) throw new CliError('Usage: splitter groups add <name> --members Ana,Ben');
+  if (byNameOrId(data.groups, name)) throw new CliError(`There already is a group named "${name.trim()}"`);
+  if (memberNames.length < 2) throw new CliError('A group needs at least 2 members (--members Ana,Ben)');
+  if (!CURRENCIES.includes(baseCurrency)) throw new CliError(`Unsupported currency ${baseCurrency}`);
+
+  const { members, contacts } = linkMembers(memberNames.map(m => ({ name: m, id: crypto.randomUUID() })), data.contacts);
+  const group = { id: crypto.randomUUID(), name: name.trim(), members, baseCurrency, rates: {}, createdAt: new Date().toISOString() };
+  return {
+    changes: { contacts, groups: [...data.groups, group] },
+    result: group,
+    text: `Created ${group.name} (${baseCurrency}) with ${members.map(m => m.name).join(', ')}`
+  };
+};
+
+// Same rules as adding an expense in the app
+export const addExpense = (data, options) => {
+  const group = findGroup(data, options.group);
+  if (isArchived(group)) throw new CliError(`${group.name} is archived`);
+  const currency = (options.currency || getBaseCurrency(group)).toUpperCase();
+  if (!CURRENCIES.includes(currency)) throw new CliError(`Unsupported currency ${currency}`);
+  const amount = toMinor(options.amount, currency);
+  const paidBy = findMember(group, options['paid-by'], 'paid-by');
+  const splitType = options.split || 'equal';
+  const description = options.description || (options.category ? getCategory(options.category).label : 'Expense');
+  if (options.date && !DATE_KEY.test(options.date)) throw new CliError('--date must look like 2026-01-31');
+  // 2026-02-31 would otherwise roll over into March
+  if (options.date && toDateKey(new Date(fromDateKey(options.date))) !== options.date) {
+    throw new CliError(`--date ${options.date} is not a day in the calendar`);
+  }
+
+  const { fields, error } = buildExpenseFields(
+    group, description, amount, paidBy.id, splitType, buildSplitDetails(group, splitType, options, currency), currency
+  );
+  if (error) throw new CliError(error);
+  const { labels, error: labelError } = buildExpenseLabels(options.category || '', parseTags(options.tags || ''));
+  if (labelError) throw new CliError(labelError);
+
+  const expense = {
+    id: crypto.randomUUID(),
+    groupId: group.id,
+    ...fields,
+    ...labels,
+    date: options.date ? fromDateKey(options.date) : new Date().toISOString()
+  };
+  return {
+    changes: {
+      expenses: [...data.expenses, expense],
+      auditLog: [...data.auditLog, createAuditEntry(group.id, 'expense', 'create', null, expense, options.actor)]
+    },
+    result: expense,
+    text: `Added ${description}: ${formatMoney(amount, currency)} paid by ${paidBy.name}, ${getSplitTypeLabel(splitType).toLowerCase()}`
+  };
+};
+
+export const listExpenses = (data, options) => {
+  const group = findGroup(data, options.group);
+  const expenses = data.expenses
+    .filter(e => e.groupId === group.id)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const text = expenses.length === 0
+    ? `No expenses in ${group.name}`
+    : pad(expenses.map(e => [
+      toDateKey(new Date(e.date)), e.description, memberName(group, e.paidBy), formatMoney(e.amount, getExpenseCurrency(e, group))
+    ]));
+  return { result: expenses, text };
+};
+
+export const showBalances = (data, options) => {
+  const result = selectGroups(data, options).map(group => {
+    const balances = getGroupBalances(group, data.expenses, data.payments);
+    return {
+      group: { id: group.id, name: group.name },
+      currency: getBaseCurrency(group),
+      balances: group.members
+        .filter(m => !m.removedAt || balances[m.id])
+        .map(m => ({ memberId: m.id, name: m.name, balance: balances[m.id] }))
+    };
+  });
+  const text = result.map(({ group, currency, balances }) =>
+    `${group.name} (${currency})\n${pad(balances.map(b => [`  ${b.name}`, signed(b.balance, currency)]))}`
+  ).join('\n\n') || 'No groups yet';
+  return { result, text };
+};
+
+// Suggests the same plan as the app (optimized by default); --record books
+// every suggested payment as paid
+export const settle = (data, options) => {
+  let { payments, auditLog } = data;
+  const result = selectGroups(data, options).map(group => {
+    const balances = getGroupBalances(group, data.expenses, data.payments);
+    const transfers = options.greedy ? settleDebts(balances, group) : optimizeSettlement(balances, group).transfers;
+    if (options.record) {
+      transfers.forEach(t => {
+        const { fields, error } = buildPaymentFields(group, t.fromId, t.toId, t.amount);
+        if (error) throw new CliError(`${group.name}: ${error}`);
+        const payment = { id: crypto.randomUUID(), groupId: group.id, ...fields, date: new Date().toISOString() };
+        payments = [...payments, payment];
+        auditLog = [...auditLog, createAuditEntry(group.id, 'payment', 'create', null, payment, options.actor)];
+      });
+    }
+    return {
+      group: { id: group.id, name: group.name },
+      currency: getBaseCurrency(group),
+      transfers: transfers.map(({ fromId, from, toId, to, amount }) => ({ fromId, from, toId, to, amount })),
+      recorded: Boolean(options.record) && transfers.length > 0
+    };
+  });
+
+  const text = result.map(({ group, currency, transfers, recorded }) => transfers.length === 0
+    ? `${group.name}: all settled up`
+    : `${group.name} (${currency}): ${transfers.length} payment${transfers.length === 1 ? '' : 's'}${recorded ? ' recorded' : ''}\n`
+      + pad(transfers.map(t => [`  ${t.from} → ${t.to}`, formatMoney(t.amount, currency)]))
+  ).join('\n\n') || 'No groups yet';
+  const changed = payments !== data.payments;
+  return { result, text, changes: changed ? { payments, auditLog } : undefined };
+};
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { normalizeData } from '../src/schema.js';
+import { toDateKey } from '../src/recurring.js';
+import { CliError, addExpense, addGroup, listExpenses, listGroups, settle, showBalances } from './commands.js';
+
+// Applies a command's changes, as cli/index.js does before saving
+const run = (data, command, options, args) => {
+  const output = command(data, { actor: 'Test', ...options }, args);
+  return { ...output, data: { ...data, ...output.changes } };
+};
+
+const tripData = () => run(normalizeData({}), addGroup, { members: 'Ana,Ben,Cy' }, ['Trip']).data;
+
+const withDinner = () => run(tripData(), addExpense, { group: 'Trip', amount: '90', 'paid-by': 'Ana', description: 'Dinner' }).data;
+
+const balancesOf = (data) => Object.fromEntries(
+  showBalances(data, { group: 'Trip' }).result[0].balances.map(b => [b.name, b.balance])
+);
+
+describe('groups', () => {
+  it('adds a group and lists it', () => {
+    const { data, text } = run(normalizeData({}), addGroup, { members: 'Ana,Ben,Ana', currency: 'eur' }, ['Trip']);
+    expect(text).toBe('Created Trip (EUR) with Ana, Ben');
+    expect(data.contacts.map(c => c.name)).toEqual(['Ana', 'Ben']);
+    expect(listGroups(data, {}).result).toMatchObject([{ name: 'Trip', baseCurrency: 'EUR', expenses: 0, archived: false }]);
+  });
+
+  it('refuses duplicate names, single members and unknown currencies', () => {
+    expect(() => addGroup(tripData(), { members: 'Cy,Dee' }, ['trip'])).toThrow('There already is a group named "trip"');
+    expect(() => addGroup(normalizeData({}), { members: 'Ana' }, ['Solo'])).toThrow(/at least 2 members/);
+    expect(() => addGroup(normalizeData({}), { members: 'Ana,Ben', currency: 'EURO' }, ['Trip'])).toThrow('Unsupported currency EURO');
+  });
+});
+
+describe('expense add', () => {
+  it('splits equally by default and logs the change', () => {
+    const { data, result } = run(tripData(), addExpense, { group: 'Trip', amount: '10', 'paid-by': 'ben', category: 'food' });
+    expect(result).toMatchObject({ description: 'Food & Drink', amount: 1000, currency: 'USD', splitType: 'equal' });
+    expect(result.splits.map(s => s.amount)).toEqual([333, 334, 333]);
+    expect(data.auditLog).toMatchObject([{ entityType: 'expense', action: 'create', actor: 'Test' }]);
+  });
+
+  it('takes custom amounts in major units', () => {
+    const { result } = run(tripData(), addExpense, {
+      group: 'Trip', amount: '42.10', 'paid-by': 'Ana', split: 'custom', amounts: 'Ana=20,Ben=22.10'
+    });
+    expect(result.splits.map(s => s.amount)).toEqual([2000, 2210]);
+  });
+
+  it('refuses custom amounts that miss the total', () => {
+    expect(() => addExpense(tripData(), { group: 'Trip', amount: '10', 'paid-by': 'Ana', split: 'custom', amounts: 'Ana=5' }))
+      .toThrow('Split amounts must equal the total');
+  });
+
+  it('reports bad input as CLI errors', () => {
+    const data = tripData();
+    const attempt = (options) => () => addExpense(data, { group: 'Trip', amount: '10', 'paid-by': 'Ana', ...options });
+    expect(attempt({ group: 'Holiday' })).toThrow(new CliError('No group named "Holiday"'));
+    expect(attempt({ 'paid-by': 'Dee' })).toThrow(new CliError('Dee is not a member of Trip'));
+    expect(attempt({ amount: 'lots' })).toThrow(new CliError('Please enter a valid amount'));
+    expect(attempt({ amount: '-5' })).toThrow(new CliError('Please enter a valid amount'));
+    expect(attempt({ currency: 'EURO' })).toThrow(new CliError('Unsupported currency EURO'));
+    expect(attempt({ date: '31/01/2026' })).toThrow(CliError);
+    expect(attempt({ date: '2026-02-31' })).toThrow(new CliError('--date 2026-02-31 is not a day in the calendar'));
+  });
+});
+
+describe('balances and settle', () => {
+  it('shows who is owed and who owes', () => {
+    expect(balancesOf(withDinner())).toEqual({ Ana: 6000, Ben: -3000, Cy: -3000 });
+  });
+
+  it('suggests payments without recording them', () => {
+    const { result, changes } = settle(withDinner(), { group: 'Trip', actor: 'Test' });
+    expect(result[0].transfers.map(t => [t.from, t.to, t.amount])).toEqual([['Ben', 'Ana', 3000], ['Cy', 'Ana', 3000]]);
+    expect(changes).toBeUndefined();
+  });
+
+  it('records the plan with --record, settling everyone up', () => {
+    const { data, text } = run(withDinner(), settle, { group: 'Trip', record: true });
+    expect(text).toMatch(/^Trip \(USD\): 2 payments recorded/);
+    expect(data.payments).toHaveLength(2);
+    expect(data.auditLog.filter(e => e.entityType === 'payment')).toHaveLength(2);
+    expect(balancesOf(data)).toEqual({ Ana: 0, Ben: 0, Cy: 0 });
+    expect(settle(data, { group: 'Trip' }).text).toBe('Trip: all settled up');
+  });
+});
+
+// New Zealand summer time is UTC+13, where noon UTC is already tomorrow
+describe('dates in Pacific/Auckland', () => {
+  const timeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = 'Pacific/Auckland';
+  });
+  afterAll(() => {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  });
+
+  it('books and lists an expense on the --date given', () => {
+    const { data, result } = run(tripData(), addExpense, { group: 'Trip', amount: '30', 'paid-by': 'Ana', date: '2026-01-31' });
+    expect(toDateKey(new Date(result.date))).toBe('2026-01-31');
+    expect(listExpenses(data, { group: 'Trip' }).text).toMatch(/^2026-01-31\s+Expense\s+Ana/);
+  });
+});
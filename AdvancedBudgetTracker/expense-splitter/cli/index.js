@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createBackup, parseBackup } from '../src/backup.js';
+import { normalizeData } from '../src/schema.js';
+import { stampRevisions } from '../src/storage/revisions.js';
+import { CliError, addExpense, addGroup, listExpenses, listGroups, settle, showBalances } from './commands.js';
+
+// Command-line access to a JSON backup file, the same file the app exports
+// and imports under Backup & Restore. Changes go through the app's rules and
+// are written back with revisions and audit entries, so the file can be
+// imported again with "Merge by id".
+
+const USAGE = `Usage: splitter <command> [options]
+
+Commands:
+  groups ls [--all]                     List groups (--all includes archived ones)
+  groups add <name> --members Ana,Ben [--currency EUR]
+  expense add --group <name> --amount 42.10 --paid-by <name> [--split equal]
+              [--description Rent] [--currency EUR] [--category food] [--tags a,b]
+              [--date 2026-01-31]
+              --split exclude     --exclude Ben,Cy
+              --split custom      --amounts Ana=20,Ben=22.10
+              --split percentage  --percent Ana=60,Ben=40
+              --split shares      --shares Ana=2,Ben=1
+  expense ls --group <name>             List a group's expenses
+  balances [--group <name>]             Who is owed (+) and who owes (-)
+  settle [--group <name>] [--greedy] [--record]
+                                        Suggested payments; --record marks them paid
+
+Options:
+  --file <path>    Backup file (default $SPLITTER_FILE or ./expense-splitter.json)
+  --json           Print machine-readable JSON (amounts in minor units)
+  --actor <name>   Name for the audit log (default $USER)
+  --help           Show this help`;
+
+const COMMANDS = {
+  'groups ls': { run: listGroups },
+  'groups add': { run: addGroup, create: true },
+  'expense add': { run: addExpense },
+  'expense ls': { run: listExpenses },
+  'balances': { run: showBalances },
+  'settle': { run: settle }
+};
+
+const OPTIONS = Object.fromEntries([
+  'file', 'actor', 'group', 'members', 'currency', 'amount', 'paid-by', 'split', 'description', 'category', 'tags', 'date',
+  'exclude', 'amounts', 'percent', 'shares'
+].map(name => [name, { type: 'string' }]).concat(
+  ['json', 'all', 'greedy', 'record', 'help'].map(name => [name, { type: 'boolean' }])
+));
+
+// A missing file counts as empty only for commands that can start one
+const load = async (file, create) => {
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    if (create) return { data: normalizeData({}), attachments: [] };
+    throw new CliError(`No backup file at ${file}. Export one from the app, or start with "splitter groups add".`);
+  }
+  const { data, attachments, errors } = parseBackup(text);
+  if (errors) throw new CliError(`${file} is not a usable backup:\n  ${errors.join('\n  ')}`);
+  return { data, attachments };
+};
+
+// Written through a temporary file so an interrupted write never leaves a
+// half-written backup behind
+const save = async (file, data, attachments) => {
+  await writeFile(`${file}.tmp`, JSON.stringify(createBackup(data, attachments), null, 2));
+  await rename(`${file}.tmp`, file);
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const key = [positionals.slice(0, 2).join(' '), positionals[0]].find(k => COMMANDS[k]);
+  if (values.help || !key) {
+    console.log(USAGE);
+    if (!values.help) process.exitCode = 1;
+    return;
+  }
+
+  const command = COMMANDS[key];
+  const file = resolve(values.file || process.env.SPLITTER_FILE || 'expense-splitter.json');
+  const options = { ...values, actor: values.actor || process.env.USER || 'CLI' };
+  const { data, attachments } = await load(file, command.create);
+  const { result, text, changes } = command.run(data, options, positionals.slice(key.split(' ').length));
+
+  if (changes) {
+    const stamped = Object.fromEntries(
+      Object.entries(changes).map(([collection, records]) => [collection, stampRevisions(data[collection], records)])
+    );
+    await save(file, { ...data, ...stamped }, attachments);
+  }
+  console.log(values.json ? JSON.stringify(result, null, 2) : text);
+};
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`splitter: ${error instanceof CliError || error.code?.startsWith('ERR_PARSE_ARGS') ? error.message : error.stack}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,425 @@
+import { COLLECTIONS, SCHEMA_VERSION, normalizeData, validateData } from '../src/schema.js';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../src/currency.js';
+import { createAuditEntry } from '../src/audit.js';
+import { stampRevisions } from '../src/storage/revisions.js';
+import {
+  buildExpenseFields, buildPaymentFields, getGroupBalances, validateMembers
+} from '../src/ledger/index.js';
+import { linkMembers } from '../src/contacts.js';
+import { buildExpenseLabels } from '../src/categories.js';
+import { validateBudgets } from '../src/budgets.js';
+import { buildPaymentDetails, createSettlementPlan, validatePaymentAmount, validateSettlementPlan } from '../src/payments.js';
+
+// REST API over the file store. Amounts are integer minor units, exactly as
+// stored. Resource routes apply the same rules as the app; /api/sync/* is the
+// record-level interface used by the app's remote storage adapter.
+
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const readJson = async (req) => {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) throw new ApiError(413, 'Request body too large');
+  }
+  if (!body) return {};
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new ApiError(400, 'Request body is not valid JSON');
+  }
+};
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new ApiError(400, 'Malformed URL');
+  }
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const checkRates = (rates) => {
+  if (typeof rates !== 'object' || rates === null || Array.isArray(rates)) {
+    throw new ApiError(400, 'Rates must be an object of currency codes to numbers');
+  }
+  const invalid = Object.entries(rates).find(([code, rate]) => !CURRENCIES.includes(code) || !(rate > 0));
+  if (invalid) throw new ApiError(400, `Invalid exchange rate for ${invalid[0]}`);
+};
+
+// Record dates are full ISO timestamps, as the app writes them; a date left
+// out of the body keeps its current value or defaults to now
+const checkDate = (date) => {
+  if (date === undefined) return;
+  if (typeof date !== 'string' || Number.isNaN(Date.parse(date)) || new Date(date).toISOString() !== date) {
+    throw new ApiError(400, 'Dates must be ISO timestamps such as 2026-01-31T12:00:00.000Z');
+  }
+};
+
+// Last line of defence: stored records must always pass the schema checks
+const checkRecords = (data) => {
+  const errors = validateData(data);
+  if (errors.length > 0) throw new ApiError(400, errors[0], errors);
+};
+
+export const createApi = (store) => {
+  const routes = [];
+  const route = (method, path, handler) => {
+    const pattern = new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`);
+    routes.push({ method, pattern, handler });
+  };
+
+  // Bumps revisions of changed records, then saves
+  const commit = (changes) => store.update(Object.fromEntries(
+    Object.entries(changes).map(([collection, records]) => [collection, stampRevisions(store.data[collection], records)])
+  ));
+
+  const findGroup = (groupId) => {
+    const group = store.data.groups.find(g => g.id === groupId);
+    if (!group) throw new ApiError(404, 'Group not found');
+    return group;
+  };
+
+  const findRecord = (collection, id, label) => {
+    const record = store.data[collection].find(r => r.id === id);
+    if (!record) throw new ApiError(404, `${label} not found`);
+    return record;
+  };
+
+  const logChange = (req, groupId, entityType, action, before, after) => [
+    ...store.data.auditLog,
+    createAuditEntry(groupId, entityType, action, before, after, req.headers['x-actor'] || 'API')
+  ];
+
+  const replaceRecord = (collection, updated) =>
+    store.data[collection].map(r => r.id === updated.id ? updated : r);
+
+  // Checks an expense or payment about to be saved together with its group
+  const checkGroupRecord = (group, collection, record) => {
+    checkRecords(normalizeData({ contacts: store.data.contacts, groups: [group], [collection]: [record] }));
+  };
+
+  route('GET', '/api/health', () => ({ app: 'expense-splitter', schemaVersion: SCHEMA_VERSION }));
+
+  // Groups and members
+
+  route('GET', '/api/groups', () => store.data.groups);
+
+  route('POST', '/api/groups', async ({ body }) => {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const memberNames = Array.isArray(body.members) ? [...new Set(body.members.map(m => String(m).trim()).filter(Boolean))] : [];
+    const baseCurrency = body.baseCurrency || DEFAULT_CURRENCY;
+    if (!name) throw new ApiError(400, 'Please enter a group name');
+    if (memberNames.length < 2) throw new ApiError(400, 'A group needs at least 2 members');
+    if (!CURRENCIES.includes(baseCurrency)) throw new ApiError(400, `Unsupported currency ${baseCurrency}`);
+
+    const { members, contacts } = linkMembers(
+      memberNames.map(m => ({ name: m, id: crypto.randomUUID() })),
+      store.data.contacts
+    );
+    const group = {
+      id: crypto.randomUUID(),
+      name,
+      members,
+      baseCurrency,
+      rates: {},
+      createdAt: new Date().toISOString()
+    };
+    await commit({ contacts, groups: [...store.data.groups, group] });
+    return [201, store.data.groups.find(g => g.id === group.id)];
+  });
+
+  route('GET', '/api/groups/:groupId', ({ params }) => {
+    const group = findGroup(params.groupId);
+    return {
+      group,
+      expenses: store.data.expenses.filter(e => e.groupId === group.id),
+      payments: store.data.payments.filter(p => p.groupId === group.id),
+      balances: getGroupBalances(group, store.data.expenses, store.data.payments)
+    };
+  });
+
+  // Accepts any of { name, members, rates, budgets, settlementPlan, archived };
+  // settlementPlan is { transfers: [{ fromId, toId, amount }] }, or null. `members` is the full
+  // member list, with removed members flagged by removedAt.
+  route('PATCH', '/api/groups/:groupId', async ({ params, body }) => {
+    const group = findGroup(params.groupId);
+    const changes = {};
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) throw new ApiError(400, 'Please enter a group name');
+      changes.name = body.name.trim();
+    }
+    if (body.members !== undefined) {
+      const error = validateMembers(group, body.members, store.data.expenses, store.data.payments);
+      if (error) throw new ApiError(400, error);
+      const linked = linkMembers(body.members, store.data.contacts);
+      changes.members = linked.members;
+      changes.contacts = linked.contacts;
+    }
+    if (body.rates !== undefined) {
+      checkRates(body.rates);
+      changes.rates = body.rates;
+    }
+    if (body.budgets !== undefined) {
+      const error = validateBudgets(body.budgets);
+      if (error) throw new ApiError(400, error);
+      changes.budgets = body.budgets;
+    }
+    if (body.settlementPlan !== undefined) {
+      const plan = body.settlementPlan && createSettlementPlan(Array.isArray(body.settlementPlan.transfers) ? body.settlementPlan.transfers : []);
+      const error = plan && validateSettlementPlan(plan, new Set(group.members.map(m => m.id)));
+      if (error) throw new ApiError(400, error);
+      changes.settlementPlan = plan || undefined;
+    }
+    if (body.archived !== undefined) {
+      changes.archivedAt = body.archived ? new Date().toISOString() : undefined;
+    }
+
+    const { contacts = store.data.contacts, ...groupChanges } = changes;
+    const updated = { ...group, ...groupChanges };
+    checkRecords(normalizeData({
+      contacts,
+      groups: [updated],
+      expenses: store.data.expenses.filter(e => e.groupId === group.id),
+      payments: store.data.payments.filter(p => p.groupId === group.id)
+    }));
+    await commit({ contacts, groups: replaceRecord('groups', updated) });
+    return store.data.groups.find(g => g.id === group.id);
+  });
+
+  route('DELETE', '/api/groups/:groupId', async ({ params }) => {
+    const group = findGroup(params.groupId);
+    const inGroup = record => record.groupId !== group.id;
+    await commit({
+      groups: store.data.groups.filter(g => g.id !== group.id),
+      recurring: store.data.recurring.filter(inGroup),
+      expenses: store.data.expenses.filter(inGroup),
+      payments: store.data.payments.filter(inGroup),
+      auditLog: store.data.auditLog.filter(inGroup)
+    });
+    return [204];
+  });
+
+  route('POST', '/api/groups/:groupId/members', async ({ params, body }) => {
+    const group = findGroup(params.groupId);
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) throw new ApiError(400, 'Please enter a member name');
+    const { members: [member], contacts } = linkMembers([{ id: crypto.randomUUID(), name }], store.data.contacts);
+    await commit({ contacts, groups: replaceRecord('groups', { ...group, members: [...group.members, member] }) });
+    return [201, member];
+  });
+
+  route('DELETE', '/api/groups/:groupId/members/:memberId', async ({ params }) => {
+    const group = findGroup(params.groupId);
+    if (!group.members.some(m => m.id === params.memberId && !m.removedAt)) {
+      throw new ApiError(404, 'Member not found');
+    }
+    const members = group.members.map(m =>
+      m.id === params.memberId ? { ...m, removedAt: new Date().toISOString() } : m
+    );
+    const error = validateMembers(group, members, store.data.expenses, store.data.payments);
+    if (error) throw new ApiError(409, error);
+    await commit({ groups: replaceRecord('groups', { ...group, members }) });
+    return [204];
+  });
+
+  // Expenses
+
+  route('GET', '/api/groups/:groupId/expenses', ({ params }) =>
+    store.data.expenses.filter(e => e.groupId === findGroup(params.groupId).id)
+  );
+
+  route('POST', '/api/groups/:groupId/expenses', async ({ req, params, body }) => {
+    const group = findGroup(params.groupId);
+    checkDate(body.date);
+    const { fields, error } = buildExpenseFields(
+      group, body.description, body.amount, body.paidBy, body.splitType || 'equal', body.splitDetails, body.currency
+    );
+    if (error) throw new ApiError(400, error);
+    const { labels, error: labelError } = buildExpenseLabels(body.category, body.tags);
+    if (labelError) throw new ApiError(400, labelError);
+
+    const expense = {
+      id: crypto.randomUUID(), groupId: group.id, ...fields, ...labels, date: body.date || new Date().toISOString()
+    };
+    checkGroupRecord(group, 'expenses', expense);
+    await commit({
+      expenses: [...store.data.expenses, expense],
+      auditLog: logChange(req, group.id, 'expense', 'create', null, expense)
+    });
+    return [201, store.data.expenses.find(e => e.id === expense.id)];
+  });
+
+  // Fields left out of the body keep their current values
+  route('PATCH', '/api/expenses/:expenseId', async ({ req, params, body }) => {
+    const previous = findRecord('expenses', params.expenseId, 'Expense');
+    const group = findGroup(previous.groupId);
+    checkDate(body.date);
+    const input = { ...previous, ...body };
+    const { fields, error } = buildExpenseFields(
+      group, input.description, input.amount, input.paidBy, input.splitType, input.splitDetails, input.currency, previous
+    );
+    if (error) throw new ApiError(400, error);
+    const { labels, error: labelError } = buildExpenseLabels(input.category, input.tags);
+    if (labelError) throw new ApiError(400, labelError);
+
+    const updated = { ...previous, ...fields, ...labels, date: input.date };
+    checkGroupRecord(group, 'expenses', updated);
+    await commit({
+      expenses: replaceRecord('expenses', updated),
+      auditLog: logChange(req, group.id, 'expense', 'update', previous, updated)
+    });
+    return store.data.expenses.find(e => e.id === updated.id);
+  });
+
+  route('DELETE', '/api/expenses/:expenseId', async ({ req, params }) => {
+    const previous = findRecord('expenses', params.expenseId, 'Expense');
+    await commit({
+      expenses: store.data.expenses.filter(e => e.id !== previous.id),
+      auditLog: logChange(req, previous.groupId, 'expense', 'delete', previous, null)
+    });
+    return [204];
+  });
+
+  // Payments
+
+  route('GET', '/api/groups/:groupId/payments', ({ params }) =>
+    store.data.payments.filter(p => p.groupId === findGroup(params.groupId).id)
+  );
+
+  // Payments larger than what the payer owes or the payee is owed are refused
+  const checkPayment = (group, input, previous) => {
+    const { fields, error } = buildPaymentFields(group, input.fromId, input.toId, input.amount);
+    if (error) throw new ApiError(400, error);
+    const { details, error: detailsError } = buildPaymentDetails(group, input.fromId, input.toId, input);
+    if (detailsError) throw new ApiError(400, detailsError);
+    const others = store.data.payments.filter(p => p.id !== previous?.id);
+    const overpayment = validatePaymentAmount(group, getGroupBalances(group, store.data.expenses, others), fields.fromId, fields.toId, fields.amount);
+    if (overpayment) throw new ApiError(400, overpayment);
+    return { ...fields, ...details };
+  };
+
+  route('POST', '/api/groups/:groupId/payments', async ({ req, params, body }) => {
+    const group = findGroup(params.groupId);
+    checkDate(body.date);
+    const fields = checkPayment(group, body);
+
+    const payment = { id: crypto.randomUUID(), groupId: group.id, ...fields, date: body.date || new Date().toISOString() };
+    checkGroupRecord(group, 'payments', payment);
+    await commit({
+      payments: [...store.data.payments, payment],
+      auditLog: logChange(req, group.id, 'payment', 'create', null, payment)
+    });
+    return [201, store.data.payments.find(p => p.id === payment.id)];
+  });
+
+  route('PATCH', '/api/payments/:paymentId', async ({ req, params, body }) => {
+    const previous = findRecord('payments', params.paymentId, 'Payment');
+    const group = findGroup(previous.groupId);
+    checkDate(body.date);
+    const input = { ...previous, ...body };
+    const fields = checkPayment(group, input, previous);
+
+    const updated = { ...previous, ...fields, currency: previous.currency, date: input.date };
+    checkGroupRecord(group, 'payments', updated);
+    await commit({
+      payments: replaceRecord('payments', updated),
+      auditLog: logChange(req, group.id, 'payment', 'update', previous, updated)
+    });
+    return store.data.payments.find(p => p.id === updated.id);
+  });
+
+  route('DELETE', '/api/payments/:paymentId', async ({ req, params }) => {
+    const previous = findRecord('payments', params.paymentId, 'Payment');
+    await commit({
+      payments: store.data.payments.filter(p => p.id !== previous.id),
+      auditLog: logChange(req, previous.groupId, 'payment', 'delete', previous, null)
+    });
+    return [204];
+  });
+
+  // Record-level sync for the remote storage adapter. Records arrive already
+  // revision-stamped by the client; stale writes come back as conflicts.
+
+  const findCollection = (collection) => {
+    if (!COLLECTIONS.includes(collection)) throw new ApiError(404, `Unknown collection ${collection}`);
+    return collection;
+  };
+
+  // Written records are checked against the current groups and contacts,
+  // which clients save first. A cascade delete may briefly leave orphans until
+  // its later collections arrive.
+  const checkPut = (collection, put, groups) => {
+    checkRecords(normalizeData({ contacts: store.data.contacts, groups, [collection]: put }));
+  };
+
+  route('GET', '/api/sync/:collection', ({ params, query }) => {
+    const records = store.data[findCollection(params.collection)];
+    const groupId = query.get('groupId');
+    return groupId ? records.filter(r => r.groupId === groupId) : records;
+  });
+
+  route('POST', '/api/sync/:collection', async ({ params, body }) => {
+    const collection = findCollection(params.collection);
+    const put = Array.isArray(body.put) ? body.put : [];
+    const remove = Array.isArray(body.remove) ? body.remove : [];
+    const { records, conflicts } = store.applyChanges(collection, { put, remove });
+    const conflictIds = new Set(conflicts.map(r => r.id));
+    const accepted = put.filter(r => !conflictIds.has(r.id));
+    checkPut(collection, accepted, collection === 'groups' ? records : store.data.groups);
+    await store.update({ [collection]: records });
+    return { conflicts };
+  });
+
+  route('PUT', '/api/sync/:collection', async ({ params, body }) => {
+    const collection = findCollection(params.collection);
+    if (!Array.isArray(body.records)) throw new ApiError(400, '"records" must be a list');
+    checkPut(collection, body.records, collection === 'groups' ? body.records : store.data.groups);
+    await store.update({ [collection]: body.records });
+    return [204];
+  });
+
+  // Resolves true when the request was an API call, false for anything else
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) return false;
+
+    const pathMatches = routes.filter(r => r.pattern.test(url.pathname));
+    const match = pathMatches.find(r => r.method === req.method);
+    try {
+      if (!match) {
+        throw pathMatches.length > 0 ? new ApiError(405, 'Method not allowed') : new ApiError(404, 'Not found');
+      }
+      const params = Object.fromEntries(
+        Object.entries(url.pathname.match(match.pattern).groups || {}).map(([key, value]) => [key, decodeParam(value)])
+      );
+      const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJson(req) : {};
+      const result = await match.handler({ req, params, query: url.searchParams, body });
+      const [status, payload] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+      if (payload === undefined) {
+        res.writeHead(status);
+        res.end();
+      } else {
+        sendJson(res, status, payload);
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error(error);
+      }
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error', details: error.details });
+    }
+    return true;
+  };
+};
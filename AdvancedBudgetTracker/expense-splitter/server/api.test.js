@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from './store.js';
+import { createApi } from './api.js';
+
+let dir;
+let server;
+let baseUrl;
+
+// Serves the API over a fresh data file, as server/index.js does
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+  const api = createApi(await createFileStore(join(dir, 'data.json')));
+  server = createServer((req, res) => {
+    api(req, res).then(handled => {
+      if (!handled) res.writeHead(404).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const call = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+};
+
+const createTrip = async () => {
+  const { body: group } = await call('POST', '/groups', { name: 'Trip', members: ['Ana', 'Ben'] });
+  const [ana, ben] = group.members;
+  return { group, ana, ben };
+};
+
+describe('groups and expenses', () => {
+  it('creates a group and an expense, and reports balances', async () => {
+    const { group, ana, ben } = await createTrip();
+    expect(group).toMatchObject({ name: 'Trip', baseCurrency: 'USD', rev: 1 });
+
+    const created = await call('POST', `/groups/${group.id}/expenses`, {
+      description: 'Dinner', amount: 3000, paidBy: ana.id, date: '2026-01-31T12:00:00.000Z'
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.splits.map(s => s.amount)).toEqual([1500, 1500]);
+
+    const { body } = await call('GET', `/groups/${group.id}`);
+    expect(body.balances).toEqual({ [ana.id]: 1500, [ben.id]: -1500 });
+    expect(JSON.parse(await readFile(join(dir, 'data.json'), 'utf8')).expenses).toHaveLength(1);
+  });
+
+  it('rejects splits that name someone outside the group or lack their details', async () => {
+    const { group, ana } = await createTrip();
+    const expense = { description: 'Dinner', amount: 1000, paidBy: ana.id };
+    const attempts = [
+      { splitType: 'custom', splitDetails: { splits: [{ memberId: ana.id, amount: 500 }, { memberId: 'dee', amount: 500 }] } },
+      { splitType: 'itemized', splitDetails: { items: [{ id: 'i1', description: 'Pizza', amount: 1000, memberIds: ['dee'] }] } },
+      { splitType: 'shares' }
+    ];
+    for (const attempt of attempts) {
+      expect((await call('POST', `/groups/${group.id}/expenses`, { ...expense, ...attempt })).status).toBe(400);
+    }
+
+    const { body: saved } = await call('POST', `/groups/${group.id}/expenses`, expense);
+    const edit = await call('PATCH', `/expenses/${saved.id}`, attempts[0]);
+    expect(edit).toMatchObject({ status: 400, body: { error: 'The split names someone who is not a member of the group' } });
+    expect((await call('PATCH', `/groups/${group.id}`, { name: 'Holiday' })).status).toBe(200);
+  });
+
+  it('accepts only ISO timestamps as dates', async () => {
+    const { group, ana, ben } = await createTrip();
+    const expense = { description: 'Dinner', amount: 1000, paidBy: ana.id };
+    for (const date of ['banana', '2026-01-31', '2026-02-31T12:00:00.000Z']) {
+      expect((await call('POST', `/groups/${group.id}/expenses`, { ...expense, date })).status).toBe(400);
+    }
+    const { body: saved } = await call('POST', `/groups/${group.id}/expenses`, expense);
+    expect((await call('PATCH', `/expenses/${saved.id}`, { date: 'banana' })).status).toBe(400);
+    expect((await call('POST', `/groups/${group.id}/payments`, { fromId: ben.id, toId: ana.id, amount: 100, date: 'banana' })).status)
+      .toBe(400);
+  });
+});
+
+describe('members', () => {
+  it('removes only members who are settled up, and refuses lists that drop one', async () => {
+    const { group, ana, ben } = await createTrip();
+    const { body: cy } = await call('POST', `/groups/${group.id}/members`, { name: 'Cy' });
+    await call('POST', `/groups/${group.id}/expenses`, { description: 'Dinner', amount: 900, paidBy: ana.id });
+    expect((await call('DELETE', `/groups/${group.id}/members/${ben.id}`)).status).toBe(409);
+
+    await call('POST', `/groups/${group.id}/payments`, { fromId: ben.id, toId: ana.id, amount: 300 });
+    expect((await call('DELETE', `/groups/${group.id}/members/${ben.id}`)).status).toBe(204);
+    const { body } = await call('GET', `/groups/${group.id}`);
+    expect(body.group.members.find(m => m.id === ben.id).removedAt).toBeDefined();
+
+    const dropped = await call('PATCH', `/groups/${group.id}`, { members: [ana, cy] });
+    expect(dropped).toMatchObject({ status: 400, body: { error: expect.stringMatching(/^Ben is missing from the member list/) } });
+  });
+});
+
+describe('sync', () => {
+  it('returns the stored copy for writes based on an old revision', async () => {
+    const { group } = await createTrip();
+    const renamed = { ...group, name: 'Holiday', rev: 2 };
+    expect((await call('POST', '/sync/groups', { put: [renamed] })).body).toEqual({ conflicts: [] });
+
+    const stale = { ...group, name: 'Weekend', rev: 2 };
+    const { body } = await call('POST', '/sync/groups', { put: [stale] });
+    expect(body.conflicts).toMatchObject([{ id: group.id, name: 'Holiday', rev: 2 }]);
+    expect((await call('GET', '/groups')).body[0].name).toBe('Holiday');
+  });
+});
+
+describe('failed writes', () => {
+  it('answers 500 and keeps the change out of memory', async () => {
+    await createTrip();
+    await rm(dir, { recursive: true, force: true });
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const created = await call('POST', '/groups', { name: 'Flat', members: ['Cy', 'Dee'] });
+    expect(created).toEqual({ status: 500, body: { error: 'Internal server error' } });
+    expect(logged).toHaveBeenCalled();
+    logged.mockRestore();
+    const { body: groups } = await call('GET', '/groups');
+    expect(groups.map(g => g.name)).toEqual(['Trip']);
+  });
+});
@@ -0,0 +1,81 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createFileStore } from './store.js';
+import { createApi } from './api.js';
+
+// Local sync server: serves the built app from dist/ and the REST API from
+// /api, so every device on the network shares one set of data.
+//   PORT       port to listen on (default 3001)
+//   HOST       interface to bind (default 0.0.0.0, reachable from phones)
+//   DATA_FILE  JSON file holding the data (default server/data.json)
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const distDir = join(root, 'dist');
+const port = Number(process.env.PORT) || 3001;
+const host = process.env.HOST || '0.0.0.0';
+const dataFile = resolve(process.env.DATA_FILE || join(root, 'server', 'data.json'));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+const sendText = (res, status, text) => {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(text);
+};
+
+// Unknown paths fall back to index.html so client-side routes load the app
+const serveStatic = async (req, res) => {
+  let path;
+  try {
+    path = normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+  } catch {
+    sendText(res, 400, 'Bad request');
+    return;
+  }
+  const file = join(distDir, path);
+  const candidates = file.startsWith(distDir) && extname(file) ? [file, join(distDir, 'index.html')] : [join(distDir, 'index.html')];
+  for (const candidate of candidates) {
+    try {
+      const content = await readFile(candidate);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(candidate)] || 'application/octet-stream' });
+      res.end(content);
+      return;
+    } catch {
+      // try the next candidate
+    }
+  }
+  sendText(res, 404, 'App not built yet - run "npm run build" first');
+};
+
+const store = await createFileStore(dataFile);
+const handleApi = createApi(store);
+
+// One failing request must never take the server down for everyone else
+const handleRequest = async (req, res) => {
+  if (!(await handleApi(req, res))) {
+    await serveStatic(req, res);
+  }
+};
+
+createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error(error);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      sendText(res, 500, 'Internal server error');
+    }
+  });
+}).listen(port, host, () => {
+  console.log(`Expense splitter server on http://${host === '0.0.0.0' ? 'localhost' : host}:${port} (data: ${dataFile})`);
+});
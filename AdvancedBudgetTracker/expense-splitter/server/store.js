@@ -0,0 +1,67 @@
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { SCHEMA_VERSION, migrateData, normalizeData } from '../src/schema.js';
+import { isConflict } from '../src/storage/revisions.js';
+
+// All server data lives in one JSON file with the same shape as a backup:
+// { schemaVersion, groups, expenses, payments, auditLog }. It is read once at
+// startup, kept in memory and rewritten after every change.
+export const createFileStore = async (file) => {
+  let data;
+  try {
+    const stored = JSON.parse(await readFile(file, 'utf8'));
+    const version = stored.schemaVersion || 1;
+    data = version < SCHEMA_VERSION ? migrateData(stored, version) : normalizeData(stored);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    data = normalizeData({});
+  }
+
+  // Writes are chained so they land in order, and go through a temporary
+  // file so a crash never leaves a half-written data file behind. Each write
+  // saves what is in memory when its turn comes. A failed write (disk full,
+  // no permission) rejects only for the change that made it, and that change
+  // is undone in memory before the next write starts, so it never reaches
+  // the disk later.
+  let pending = Promise.resolve();
+  const write = async () => {
+    await writeFile(`${file}.tmp`, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...data }, null, 2));
+    await rename(`${file}.tmp`, file);
+  };
+
+  return {
+    get data() {
+      return data;
+    },
+
+    // Replaces the given collections, e.g. { expenses, auditLog }
+    update(changes) {
+      const previous = data;
+      data = { ...data, ...changes };
+      const written = pending.then(write).catch(error => {
+        // Collections replaced again by a later change keep that change
+        Object.keys(changes).forEach(key => {
+          if (data[key] === changes[key]) data = { ...data, [key]: previous[key] };
+        });
+        throw error;
+      });
+      pending = written.catch(() => {});
+      return written;
+    },
+
+    // Revision-checked upsert and delete, as in the browser storage adapters.
+    // Resolves { records, conflicts } without saving anything.
+    applyChanges(collection, { put = [], remove = [] }) {
+      const records = new Map(data[collection].map(record => [record.id, record]));
+      const conflicts = [];
+      remove.forEach(id => records.delete(id));
+      put.forEach(record => {
+        if (isConflict(records.get(record.id), record)) {
+          conflicts.push(records.get(record.id));
+        } else {
+          records.set(record.id, record);
+        }
+      });
+      return { records: [...records.values()], conflicts };
+    }
+  };
+};
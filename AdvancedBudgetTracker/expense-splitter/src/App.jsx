@@ -1,221 +1,672 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Plus, Users, Receipt, TrendingUp, DollarSign, X, ArrowRight, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Plus, Users, Receipt, TrendingUp, DollarSign, X, ArrowRight, AlertCircle, Settings, Pencil, Trash2, History,
+  Coins, Archive, ArchiveRestore, UserPlus, Download, Upload, SlidersHorizontal, Repeat, BarChart3, Tag, Search, Wallet, Paperclip, FileText,
+  RefreshCw, Undo2, Redo2, Printer, Share2, Copy, Lock
+} from 'lucide-react';
+import QRCode from 'qrcode';
+import {
+  CURRENCIES, DEFAULT_CURRENCY, formatMoney, getBaseCurrency, getRate, getGroupCurrencies,
+  getExpenseCurrency, getExpenseRate, getExpenseBaseAmount
+} from './currency.js';
+import { toMinor, fromMinor, sumMinor, convertMinor } from './money.js';
+import { getStorage, loadData, saveChanges, stampRevisions, mergeRecords } from './storage/index.js';
+import { createSyncChannel } from './sync.js';
+import { registerServiceWorker } from './pwa.js';
+import {
+  createUndoEntry, recordUndo, takeUndoEntry, pushUndoEntry, restoreEntry, getUndoRecords, loadUndoHistory, saveUndoHistory
+} from './undo.js';
+import { useRoute, paths } from './router.js';
+import { getAttachmentStore } from './storage/attachmentStore.js';
+import {
+  ACCEPTED_TYPES, isImage, formatFileSize, prepareAttachment, toAttachmentInfo, serializeAttachment, deserializeAttachment
+} from './attachments.js';
+import {
+  BUDGET_PERIODS, WARNING_RATIO, getBudgets, getBudgetLabel, validateBudgets, getBudgetStatus, getBudgetAlerts
+} from './budgets.js';
+import { createBackup, getBackupFilename, parseBackup, mergeData, countRecords } from './backup.js';
+import { downloadFile } from './files.js';
+import { DATE_FORMATS, parseCsv, buildImportRows, buildLedgerCsv, getLedgerFilename } from './csv.js';
+import { createAuditEntry, getChangedFields } from './audit.js';
+import { getActiveMembers, isArchived } from './groups.js';
+import {
+  SPLIT_TYPES, getSplitTypeLabel, getItemizedTotal, validateExclusions, validatePercentages, validateShares, validateItems,
+  buildExpenseFields, buildPaymentFields, getGroupBalances, validateMembers, settleDebts, optimizeSettlement, getSettlementRules
+} from './ledger/index.js';
+import { CATEGORIES, getCategory, parseTags, buildExpenseLabels, getUsedTags } from './categories.js';
+import {
+  DATE_RANGES, getDateRange, filterByDateRange, getAnalyticsCurrencies, getSpendingByCategory, getSpendingByGroup,
+  getSpendingByMember, getMonthlySpending, getBalanceHistory
+} from './analytics.js';
+import {
+  HISTORY_PAGE_SIZE, HISTORY_SORTS, DEFAULT_HISTORY_FILTERS, parseHistoryFilters, toHistorySearch, hasActiveFilters,
+  buildHistoryEntries, filterHistory, sortHistory, paginate
+} from './history.js';
+import {
+  FREQUENCIES, INTERVAL_UNITS, VARIABLE_SPLIT_TYPES, postDueOccurrences, getTodayKey, setOccurrence, getDueOccurrences,
+  getUpcomingOccurrences, getOccurrenceInput, needsAmount, describeSchedule, toDateKey
+} from './recurring.js';
+import {
+  parseStatementPeriod, toStatementSearch, getStatementDates, buildGroupStatement, buildMemberStatement
+} from './statements.js';
+import { createSnapshot, encodeSnapshot, decodeSnapshot, isEncryptedPayload, mergeSnapshot } from './share.js';
+import {
+  PAYMENT_METHODS, getPaymentMethodLabel, buildPaymentDetails, toPaymentDate, getMaxPayment, validatePaymentAmount,
+  createSettlementPlan, getPlanProgress, findPlanTransfer
+} from './payments.js';
+import {
+  linkMembers, mergeContacts, getContactMemberships, getPersonSummary, buildNettingPayments
+} from './contacts.js';
 
-// Storage abstraction layer - works in both Claude artifacts and standard browsers
-const storage = {
-  async get(key) {
-    try {
-      // Try Claude artifact storage first
-      if (window.storage && typeof window.storage.get === 'function') {
-        return await window.storage.get(key);
-      }
-      // Fallback to localStorage
-      const value = localStorage.getItem(key);
-      return value ? { value } : null;
-    } catch (error) {
-      console.warn('Storage get failed:', error);
-      return null;
-    }
-  },
-  
-  async set(key, value) {
-    try {
-      // Try Claude artifact storage first
-      if (window.storage && typeof window.storage.set === 'function') {
-        return await window.storage.set(key, value);
-      }
-      // Fallback to localStorage
-      localStorage.setItem(key, value);
-      return { key, value };
-    } catch (error) {
-      console.error('Storage set failed:', error);
-      return null;
-    }
-  }
+// How long the "Undo" toast stays after an action
+const UNDO_TOAST_MS = 6000;
+
+// Drops stored files that no expense, nor anything in the undo history,
+// refers to any more
+const pruneAttachments = (expenses) => {
+  const keep = new Set([...expenses, ...getUndoRecords(loadUndoHistory(), 'expenses')]
+    .flatMap(e => (e.attachments || []).map(a => a.id)));
+  getAttachmentStore()
+    .then(async store => {
+      const unused = (await store.getIds()).filter(id => !keep.has(id));
+      if (unused.length > 0) await store.remove(unused);
+    })
+    .catch(error => console.error('Failed to delete attachments:', error));
 };
 
 export default function ExpenseSplitter() {
   const [groups, setGroups] = useState([]);
   const [expenses, setExpenses] = useState([]);
   const [payments, setPayments] = useState([]);
-  const [activeView, setActiveView] = useState('dashboard');
-  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [auditLog, setAuditLog] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [recurring, setRecurring] = useState([]);
+  const [actorName, setActorName] = useState('');
+  const [loaded, setLoaded] = useState(false);
+  const [route, navigate] = useRoute();
+  const [expenseEditMode, setExpenseEditMode] = useState(false);
   const [showAddGroup, setShowAddGroup] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
   const [showAddExpense, setShowAddExpense] = useState(false);
+  const [editingPayment, setEditingPayment] = useState(null);
+  const [editingRecurring, setEditingRecurring] = useState(null);
+  const [syncNotice, setSyncNotice] = useState('');
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  const [undoHistory, setUndoHistory] = useState(loadUndoHistory);
+  const [undoToast, setUndoToast] = useState(null);
+  const syncChannel = useRef(null);
+  const stepHistoryRef = useRef(null);
 
-  useEffect(() => {
-    loadData();
-  }, []);
+  // Always the live records named by the route, including changes made in
+  // other tabs
+  const selectedGroup = groups.find(g => g.id === route.groupId) || null;
+  // The selected group's own records, kept as the same arrays until they
+  // change so GroupDetail's memoized balances, plans and history are not
+  // recomputed on every render
+  const groupExpenses = useMemo(() => expenses.filter(e => e.groupId === route.groupId), [expenses, route.groupId]);
+  const groupPayments = useMemo(() => payments.filter(p => p.groupId === route.groupId), [payments, route.groupId]);
+  const selectedContact = contacts.find(c => c.id === route.contactId) || null;
+  const routeExpense = route.view === 'expense'
+    ? expenses.find(e => e.id === route.expenseId && e.groupId === route.groupId) || null
+    : null;
+  // The expense route shows the expense, or its edit form when opened to edit
+  const editingExpense = expenseEditMode ? routeExpense : null;
+  const viewingExpense = expenseEditMode ? null : routeExpense;
+  const isGroupView = ['groupDetail', 'settle', 'expense', 'statement'].includes(route.view);
+  const isNotFound = loaded && (route.view === 'notFound'
+    || (isGroupView && !selectedGroup)
+    || (route.view === 'expense' && !routeExpense)
+    || (route.view === 'statement' && route.memberId && !selectedGroup?.members.some(m => m.id === route.memberId))
+    || (route.view === 'person' && !selectedContact));
+
+  const setters = {
+    groups: setGroups, expenses: setExpenses, payments: setPayments, auditLog: setAuditLog, contacts: setContacts,
+    recurring: setRecurring
+  };
 
-  const loadData = async () => {
+  // Applies changes from storage or other tabs to state without saving them
+  const mergeIntoState = (changes) => {
+    Object.entries(changes).forEach(([collection, change]) => {
+      setters[collection]?.(records => mergeRecords(records, change));
+    });
+  };
+
+  // Persists the changed collections (anything omitted is left untouched) and
+  // tells other tabs. Records changed elsewhere in the meantime are rejected
+  // by their revision and replaced in state by the stored copy.
+  const saveData = async (previous, changes) => {
     try {
-      const groupsResult = await storage.get('groups');
-      const expensesResult = await storage.get('expenses');
-      const paymentsResult = await storage.get('payments');
-      
-      if (groupsResult?.value) {
-        setGroups(JSON.parse(groupsResult.value));
-      }
-      if (expensesResult?.value) {
-        setExpenses(JSON.parse(expensesResult.value));
-      }
-      if (paymentsResult?.value) {
-        setPayments(JSON.parse(paymentsResult.value));
+      const results = await saveChanges(await getStorage(), previous, changes);
+      syncChannel.current?.publish(results);
+      const conflicts = Object.entries(results).filter(([, result]) => result.conflicts.length > 0);
+      if (conflicts.length > 0) {
+        mergeIntoState(Object.fromEntries(conflicts.map(([collection, result]) => [collection, { put: result.conflicts }])));
+        setSyncNotice('Some of your changes clashed with edits made in another tab and were replaced by the newer version.');
       }
     } catch (error) {
-      console.log('No existing data found, starting fresh');
+      console.error('Failed to save data:', error);
     }
   };
 
-  const saveData = async (newGroups, newExpenses, newPayments = payments) => {
-    try {
-      await storage.set('groups', JSON.stringify(newGroups));
-      await storage.set('expenses', JSON.stringify(newExpenses));
-      await storage.set('payments', JSON.stringify(newPayments));
-    } catch (error) {
-      console.error('Failed to save data:', error);
+  // Bumps revisions, updates state and saves; returns the collections
+  // before and after
+  const write = (changes) => {
+    const previous = { groups, expenses, payments, auditLog, contacts, recurring };
+    const stamped = Object.fromEntries(
+      Object.entries(changes).map(([collection, records]) => [collection, stampRevisions(previous[collection], records)])
+    );
+    Object.entries(stamped).forEach(([collection, records]) => setters[collection](records));
+    saveData(previous, stamped);
+    return { previous, stamped };
+  };
+
+  // Every mutation goes through here. `label` names the action in the undo
+  // history, e.g. 'Added Dinner'.
+  const commit = (changes, label) => {
+    const { previous, stamped } = write(changes);
+    const entry = createUndoEntry(label, previous, stamped);
+    if (!entry) return;
+    setUndoHistory(history => recordUndo(history, entry));
+    setUndoToast({ label, undone: false });
+  };
+
+  // `direction` is 'undo' or 'redo'. An action whose records were changed
+  // since (here or in another tab) is dropped from the history instead.
+  const stepHistory = (direction) => {
+    const { entry, history } = takeUndoEntry(undoHistory, direction);
+    if (!entry) return;
+    const { changes, error } = restoreEntry(
+      { groups, expenses, payments, auditLog, contacts, recurring }, entry, actorName || 'Unknown'
+    );
+    if (error) {
+      setUndoHistory(history);
+      setUndoToast(null);
+      setSyncNotice(error);
+      return;
     }
+    const { previous, stamped } = write(changes);
+    setUndoHistory(pushUndoEntry(history, direction, createUndoEntry(entry.label, previous, stamped)));
+    setUndoToast({ label: entry.label, undone: direction === 'undo' });
+  };
+
+  const logChange = (groupId, entityType, action, before, after) => {
+    const entry = createAuditEntry(groupId, entityType, action, before, after, actorName || 'Unknown');
+    return [...auditLog, entry];
   };
 
-  const addGroup = (name, members) => {
+  const updateActorName = (name) => {
+    setActorName(name);
+    getStorage().then(store => store.setMeta('actorName', name));
+  };
+
+  useEffect(() => {
+    getStorage()
+      .then(async store => {
+        const actor = (await store.getMeta('actorName')) || '';
+        setActorName(actor);
+        const data = await loadData(store);
+
+        // Catch up on recurring expenses that fell due while the app was closed
+        const due = postDueOccurrences(data, getTodayKey(), actor || 'Recurring');
+        if (!due) return data;
+        const stamped = Object.fromEntries(
+          Object.entries(due).map(([collection, records]) => [collection, stampRevisions(data[collection], records)])
+        );
+        await saveChanges(store, data, stamped);
+        return { ...data, ...stamped };
+      })
+      .then(data => {
+        setGroups(data.groups);
+        setExpenses(data.expenses);
+        setPayments(data.payments);
+        setAuditLog(data.auditLog);
+        setContacts(data.contacts);
+        setRecurring(data.recurring);
+        pruneAttachments(data.expenses);
+      })
+      .catch(() => console.log('No existing data found, starting fresh'))
+      .finally(() => setLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    const setterFor = {
+      groups: setGroups, expenses: setExpenses, payments: setPayments, auditLog: setAuditLog, contacts: setContacts,
+      recurring: setRecurring
+    };
+    const channel = createSyncChannel({
+      onChanges: (changes) => {
+        Object.entries(changes).forEach(([collection, change]) => {
+          setterFor[collection]?.(records => mergeRecords(records, change));
+        });
+      },
+      onReload: async (collection) => {
+        const store = await getStorage();
+        setterFor[collection]?.(await store.getAll(collection));
+      }
+    });
+    syncChannel.current = channel;
+    return () => channel.close();
+  }, []);
+
+  useEffect(() => {
+    registerServiceWorker(apply => setApplyUpdate(() => apply));
+  }, []);
+
+  useEffect(() => {
+    saveUndoHistory(undoHistory);
+  }, [undoHistory]);
+
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  useEffect(() => {
+    stepHistoryRef.current = stepHistory;
+  });
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd on macOS. Text
+  // fields keep their own undo.
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      const key = event.key.toLowerCase();
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || (key !== 'z' && key !== 'y')) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      event.preventDefault();
+      stepHistoryRef.current(key === 'y' || event.shiftKey ? 'redo' : 'undo');
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Members are linked to the existing contact of the same name, if any
+  const addGroup = (name, members, baseCurrency = DEFAULT_CURRENCY) => {
+    const linked = linkMembers(members.map(m => ({ 
+      name: m, 
+      id: crypto.randomUUID()
+    })), contacts);
     const newGroup = {
       id: crypto.randomUUID(),
       name,
-      members: members.map(m => ({ 
-        name: m, 
-        id: crypto.randomUUID()
-      })),
+      members: linked.members,
+      baseCurrency,
+      rates: {},
       createdAt: new Date().toISOString()
     };
     const newGroups = [...groups, newGroup];
-    setGroups(newGroups);
-    saveData(newGroups, expenses, payments);
+    commit({ groups: newGroups, contacts: linked.contacts }, `Created ${name}`);
     setShowAddGroup(false);
   };
 
-  const addExpense = (groupId, description, amount, paidBy, splitType, customSplits) => {
-    const group = groups.find(g => g.id === groupId);
-    let splits = [];
+  const updateGroup = (groupId, changes, label) => {
+    const newGroups = groups.map(g => g.id === groupId ? { ...g, ...changes } : g);
+    commit({ groups: newGroups }, label);
+  };
+
+  const updateGroupRates = (groupId, rates) => updateGroup(groupId, { rates }, 'Changed exchange rates');
+
+  const updateSettlementRules = (groupId, settlementRules) =>
+    updateGroup(groupId, { settlementRules }, 'Changed settlement rules');
+
+  const updateBudgets = (groupId, budgets) => updateGroup(groupId, { budgets }, 'Changed budgets');
+
+  // `transfers` is the suggested plan the group agreed to; null discards it
+  const updateSettlementPlan = (groupId, transfers) => updateGroup(
+    groupId,
+    { settlementPlan: transfers ? createSettlementPlan(transfers) : undefined },
+    transfers ? 'Adopted settlement plan' : 'Discarded settlement plan'
+  );
+
+  // Receipt files are included, read from this device's attachment store
+  const exportBackup = async () => {
+    const expenseIds = new Set(expenses.map(e => e.id));
+    const stored = await (await getAttachmentStore()).getAll();
+    const attachments = await Promise.all(stored.filter(a => expenseIds.has(a.expenseId)).map(serializeAttachment));
+    const backup = createBackup({ groups, expenses, payments, auditLog, contacts, recurring }, attachments);
+    downloadFile(getBackupFilename(), JSON.stringify(backup, null, 2));
+  };
+
+  // `mode` is 'replace' (discard current data) or 'merge' (by record id)
+  const importBackup = (data, mode, attachments = []) => {
+    const next = mode === 'merge' ? mergeData({ groups, expenses, payments, auditLog, contacts, recurring }, data) : data;
+    commit(next, mode === 'merge' ? 'Merged backup' : 'Restored backup');
+    // Receipts of replaced data are kept while the import can be undone
+    const records = attachments.map(deserializeAttachment);
+    getAttachmentStore()
+      .then(store => store.put(records))
+      .catch(error => console.error('Failed to import attachments:', error));
+    navigate(paths.groups());
+    setShowBackup(false);
+  };
 
-    if (splitType === 'equal') {
-      const perPerson = amount / group.members.length;
-      splits = group.members.map(m => ({ 
-        memberId: m.id, 
-        amount: perPerson 
-      }));
-    } else if (splitType === 'custom') {
-      splits = customSplits;
+  // Adds a group opened from a share link (see ./share), or merges it into
+  // the local copy, keeping newer local edits and deletions. The local
+  // group's settings are replaced only when `replaceSettings` is set.
+  const importSharedGroup = (snapshot, replaceSettings) => {
+    const existing = groups.some(g => g.id === snapshot.group.id);
+    const { changes, summary } = mergeSnapshot(
+      { groups, expenses, payments, auditLog, contacts }, snapshot, { replaceSettings, actor: actorName || 'Unknown' }
+    );
+    commit(changes, `${existing ? 'Updated' : 'Imported'} ${snapshot.group.name}`);
+    if (summary.kept > 0) {
+      setSyncNotice(`${summary.kept} shared record${summary.kept === 1 ? ' was' : 's were'} older than your copy or deleted here, and kept as you have them.`);
     }
+    navigate(paths.group(snapshot.group.id));
+  };
 
-    const newExpense = {
-      id: crypto.randomUUID(),
+  const setGroupArchived = (groupId, archived) => {
+    const name = groups.find(g => g.id === groupId).name;
+    updateGroup(groupId, { archivedAt: archived ? new Date().toISOString() : undefined }, `${archived ? 'Archived' : 'Unarchived'} ${name}`);
+  };
+
+  // Deletes a group together with its expenses, payments, recurring
+  // expenses and audit log
+  const deleteGroup = (groupId) => {
+    const name = groups.find(g => g.id === groupId).name;
+    const newGroups = groups.filter(g => g.id !== groupId);
+    const newRecurring = recurring.filter(r => r.groupId !== groupId);
+    const newExpenses = expenses.filter(e => e.groupId !== groupId);
+    const newPayments = payments.filter(p => p.groupId !== groupId);
+    const newAuditLog = auditLog.filter(entry => entry.groupId !== groupId);
+    commit(
+      { groups: newGroups, recurring: newRecurring, expenses: newExpenses, payments: newPayments, auditLog: newAuditLog },
+      `Deleted ${name}`
+    );
+    navigate(paths.groups(), { replace: true });
+  };
+
+  // Validates the input and computes the stored fields of an expense:
+  // { fields } or { error }. `amount` and any amounts in `splitDetails` are
+  // integer minor units of `currency`, `labels` is { category, tags } as
+  // entered in AddExpenseModal and `previous` keeps the rate of an edited
+  // expense. Validation lives in ./ledger so the sync server applies the same rules
+  const buildExpense = (group, description, amount, paidBy, splitType, splitDetails, currency, { category, tags } = {}, previous) => {
+    const { fields, error } = buildExpenseFields(group, description, amount, paidBy, splitType, splitDetails, currency, previous);
+    if (error) return { error };
+    const { labels, error: labelError } = buildExpenseLabels(category, tags);
+    return labelError ? { error: labelError } : { fields: { ...fields, ...labels } };
+  };
+
+  // Saves recurring templates and posts any occurrences that are now due,
+  // through the same rules as addExpense
+  const commitRecurring = (newRecurring, label) => {
+    const due = postDueOccurrences({ groups, expenses, auditLog, recurring: newRecurring }, getTodayKey(), actorName || 'Unknown');
+    commit(due || { recurring: newRecurring }, label);
+  };
+
+  // `recurrence` is { frequency, interval, intervalUnit, startDate, endDate, amountType };
+  // `templateId` is null for a new template. Like the other saves from a
+  // modal, returns an error message for the modal to show, or null once saved.
+  const saveRecurring = (templateId, groupId, description, amount, paidBy, splitType, splitDetails, currency, labels, recurrence) => {
+    const group = groups.find(g => g.id === groupId);
+    const { fields, error } = buildExpense(group, description, amount, paidBy, splitType, splitDetails, currency, labels);
+    if (error) return error;
+
+    const previous = recurring.find(r => r.id === templateId);
+    const template = {
+      id: templateId || crypto.randomUUID(),
       groupId,
-      description,
-      amount,
+      description: fields.description,
+      amount: fields.amount,
+      currency: fields.currency,
       paidBy,
-      splits,
       splitType,
-      date: new Date().toISOString()
+      splitDetails: fields.splitDetails,
+      category: fields.category,
+      tags: fields.tags,
+      ...recurrence,
+      occurrences: previous?.occurrences || {},
+      createdAt: previous?.createdAt || new Date().toISOString()
     };
+    commitRecurring(
+      previous ? recurring.map(r => r.id === templateId ? template : r) : [...recurring, template],
+      `${previous ? 'Edited' : 'Added'} recurring ${template.description}`
+    );
+    return null;
+  };
+
+  // Stops the schedule; expenses it already posted stay
+  const deleteRecurring = (templateId) => {
+    const template = recurring.find(r => r.id === templateId);
+    commit({ recurring: recurring.filter(r => r.id !== templateId) }, `Stopped ${template.description}`);
+  };
+
+  // Skips, edits or restores a single occurrence (`occurrence` null restores it)
+  const updateOccurrence = (templateId, date, occurrence) => {
+    const template = recurring.find(r => r.id === templateId);
+    commitRecurring(
+      recurring.map(r => r.id === templateId ? setOccurrence(r, date, occurrence) : r),
+      `${occurrence ? 'Changed' : 'Restored'} ${template.description} on ${date}`
+    );
+  };
+
+  // Files are saved to this device's attachment store; the expense keeps
+  // their metadata. Files of deleted expenses stay until the next start, so
+  // undoing the delete brings them back.
+  const storeAttachments = (expense, attachments) => {
+    if (attachments.length === 0) return;
+    getAttachmentStore()
+      .then(store => store.put(attachments.map(a => ({ ...a, expenseId: expense.id, groupId: expense.groupId }))))
+      .catch(error => console.error('Failed to save attachments:', error));
+  };
+
+  const withAttachments = (expense, attachments) => attachments.length > 0
+    ? { ...expense, attachments: [...(expense.attachments || []), ...attachments.map(toAttachmentInfo)] }
+    : expense;
+
+  // With a `recurrence` the expense becomes a recurring template instead.
+  // `attachments` are prepared receipt files (see ./attachments).
+  const addExpense = (groupId, description, amount, paidBy, splitType, splitDetails, currency, labels, recurrence, attachments = []) => {
+    if (recurrence) {
+      const error = saveRecurring(null, groupId, description, amount, paidBy, splitType, splitDetails, currency, labels, recurrence);
+      if (!error) setShowAddExpense(false);
+      return error;
+    }
+    const group = groups.find(g => g.id === groupId);
+    const { fields, error } = buildExpense(group, description, amount, paidBy, splitType, splitDetails, currency, labels);
+    if (error) return error;
+
+    const newExpense = withAttachments({
+      id: crypto.randomUUID(),
+      groupId,
+      ...fields,
+      date: new Date().toISOString()
+    }, attachments);
+    storeAttachments(newExpense, attachments);
 
     const newExpenses = [...expenses, newExpense];
-    setExpenses(newExpenses);
-    saveData(groups, newExpenses, payments);
+    const newAuditLog = logChange(groupId, 'expense', 'create', null, newExpense);
+    commit({ expenses: newExpenses, auditLog: newAuditLog }, `Added ${newExpense.description}`);
     setShowAddExpense(false);
+    return null;
   };
 
-  // Memoize expensive calculations
-  const calculateBalances = useMemo(() => {
-    return (groupId) => {
-      const groupExpenses = expenses.filter(e => e.groupId === groupId);
-      const groupPayments = payments.filter(p => p.groupId === groupId);
-      const group = groups.find(g => g.id === groupId);
-      if (!group) return {};
-      
-      const balances = {};
-
-      group.members.forEach(m => {
-        balances[m.id] = 0;
-      });
-
-      // Add expenses
-      groupExpenses.forEach(expense => {
-        balances[expense.paidBy] += expense.amount;
-        expense.splits.forEach(split => {
-          balances[split.memberId] -= split.amount;
-        });
-      });
+  // Adds equally split expenses in bulk, e.g. rows mapped from a bank CSV.
+  // Each row is { description, amount, paidBy, date } in minor units of `currency`.
+  const importExpenses = (groupId, rows, currency) => {
+    const group = groups.find(g => g.id === groupId);
+    let newAuditLog = auditLog;
+    const imported = rows.flatMap(row => {
+      const { fields, error } = buildExpenseFields(group, row.description, row.amount, row.paidBy, 'equal', undefined, currency);
+      if (error) return [];
+      const newExpense = { id: crypto.randomUUID(), groupId, ...fields, date: row.date };
+      newAuditLog = [...newAuditLog, createAuditEntry(groupId, 'expense', 'create', null, newExpense, actorName || 'Unknown')];
+      return [newExpense];
+    });
 
-      // Subtract settlement payments
-      groupPayments.forEach(payment => {
-        balances[payment.fromId] += payment.amount;
-        balances[payment.toId] -= payment.amount;
-      });
+    const newExpenses = [...expenses, ...imported];
+    commit({ expenses: newExpenses, auditLog: newAuditLog }, `Imported ${imported.length} expense${imported.length === 1 ? '' : 's'}`);
+  };
 
-      return balances;
-    };
-  }, [expenses, groups, payments]);
-
-  const settleDebts = (balances, group) => {
-    const settlements = [];
-    const creditors = [];
-    const debtors = [];
-
-    Object.entries(balances).forEach(([memberId, balance]) => {
-      if (balance > 0.01) {
-        creditors.push({ memberId, amount: balance });
-      } else if (balance < -0.01) {
-        debtors.push({ memberId, amount: Math.abs(balance) });
-      }
-    });
+  // `recurrence` is ignored; an expense cannot be turned into a template
+  const updateExpense = (expenseId, description, amount, paidBy, splitType, splitDetails, currency, labels, recurrence, attachments = []) => {
+    const previous = expenses.find(e => e.id === expenseId);
+    const group = groups.find(g => g.id === previous.groupId);
+    const { fields, error } = buildExpense(group, description, amount, paidBy, splitType, splitDetails, currency, labels, previous);
+    if (error) return error;
+
+    const updated = withAttachments({ ...previous, ...fields }, attachments);
+    storeAttachments(updated, attachments);
+    const newExpenses = expenses.map(e => e.id === expenseId ? updated : e);
+    const newAuditLog = logChange(group.id, 'expense', 'update', previous, updated);
+    commit({ expenses: newExpenses, auditLog: newAuditLog }, `Edited ${updated.description}`);
+    closeExpense();
+    return null;
+  };
 
-    creditors.sort((a, b) => b.amount - a.amount);
-    debtors.sort((a, b) => b.amount - a.amount);
+  const openExpense = (expense, edit = false) => {
+    setExpenseEditMode(edit);
+    navigate(paths.expense(expense.groupId, expense.id), { keepSearch: true });
+  };
 
-    let i = 0, j = 0;
-    while (i < creditors.length && j < debtors.length) {
-      const payment = Math.min(creditors[i].amount, debtors[j].amount);
-      const fromMember = group.members.find(m => m.id === debtors[j].memberId);
-      const toMember = group.members.find(m => m.id === creditors[i].memberId);
+  // Leaves /groups/:id/expenses/:expenseId for the group, keeping its filters
+  const closeExpense = () => {
+    setExpenseEditMode(false);
+    navigate(paths.group(route.groupId), { replace: true, keepSearch: true });
+  };
 
-      settlements.push({
-        from: fromMember.name,
-        fromId: fromMember.id,
-        to: toMember.name,
-        toId: toMember.id,
-        amount: payment
-      });
+  const deleteExpense = (expenseId) => {
+    const previous = expenses.find(e => e.id === expenseId);
+    const newExpenses = expenses.filter(e => e.id !== expenseId);
+    const newAuditLog = logChange(previous.groupId, 'expense', 'delete', previous, null);
+    commit({ expenses: newExpenses, auditLog: newAuditLog }, `Deleted ${previous.description}`);
+  };
 
-      creditors[i].amount -= payment;
-      debtors[j].amount -= payment;
+  const addAttachments = (expenseId, attachments) => {
+    const previous = expenses.find(e => e.id === expenseId);
+    const updated = withAttachments(previous, attachments);
+    storeAttachments(updated, attachments);
+    commit({
+      expenses: expenses.map(e => e.id === expenseId ? updated : e),
+      auditLog: logChange(previous.groupId, 'expense', 'update', previous, updated)
+    }, `Added ${attachments.length === 1 ? 'a receipt' : `${attachments.length} receipts`} to ${previous.description}`);
+  };
 
-      if (creditors[i].amount < 0.01) i++;
-      if (debtors[j].amount < 0.01) j++;
-    }
+  const removeAttachment = (expenseId, attachmentId) => {
+    const previous = expenses.find(e => e.id === expenseId);
+    const remaining = previous.attachments.filter(a => a.id !== attachmentId);
+    const updated = { ...previous, attachments: remaining.length > 0 ? remaining : undefined };
+    commit({
+      expenses: expenses.map(e => e.id === expenseId ? updated : e),
+      auditLog: logChange(previous.groupId, 'expense', 'update', previous, updated)
+    }, `Removed a receipt from ${previous.description}`);
+  };
+
+  // `members` is the full member list: renamed and new members, with removed
+  // ones flagged by removedAt. Only members with a zero balance may leave.
+  const updateGroupSettings = (groupId, name, members) => {
+    const error = validateMembers(groups.find(g => g.id === groupId), members, expenses, payments);
+    if (error) return error;
+    const linked = linkMembers(members, contacts);
+    const newGroups = groups.map(g => g.id === groupId ? { ...g, name, members: linked.members } : g);
+    commit({ groups: newGroups, contacts: linked.contacts }, `Updated ${name}`);
+    return null;
+  };
+
+  const renameContact = (contactId, name) => {
+    commit({ contacts: contacts.map(c => c.id === contactId ? { ...c, name } : c) }, `Renamed contact to ${name}`);
+  };
+
+  // Folds a duplicate contact (e.g. "Ana" and "Ana B.") into another one
+  const mergeContact = (fromId, intoId) => {
+    const from = contacts.find(c => c.id === fromId).name;
+    const into = contacts.find(c => c.id === intoId).name;
+    commit(mergeContacts(groups, contacts, fromId, intoId), `Merged ${from} into ${into}`);
+    navigate(paths.person(intoId), { replace: true });
+  };
 
-    return settlements;
+  // Records one payment per group for a balance settled across groups, all or
+  // none of them. Returns an error message to show, or null once recorded.
+  const recordNettedSettlement = (debts) => {
+    let newAuditLog = auditLog;
+    const newPayments = [];
+    for (const { groupId, fromId, toId, amount } of buildNettingPayments(debts)) {
+      const group = groups.find(g => g.id === groupId);
+      const { fields, error } = buildPaymentFields(group, fromId, toId, amount);
+      if (error) return `Nothing was recorded. ${group.name}: ${error}`;
+      const payment = { id: crypto.randomUUID(), groupId, ...fields, date: new Date().toISOString() };
+      newAuditLog = [...newAuditLog, createAuditEntry(groupId, 'payment', 'create', null, payment, actorName || 'Unknown')];
+      newPayments.push(payment);
+    }
+    commit({ payments: [...payments, ...newPayments], auditLog: newAuditLog }, 'Recorded settlement');
+    return null;
   };
 
-  const recordPayment = (groupId, fromId, toId, amount) => {
+  // `amount` is in minor units of the group's base currency, `date` a
+  // 'YYYY-MM-DD' key and `details` { method, note, planTransferId }
+  const recordPayment = (groupId, fromId, toId, amount, date = getTodayKey(), details = {}) => {
+    const group = groups.find(g => g.id === groupId);
+    const { fields, error } = buildPaymentFields(group, fromId, toId, amount);
+    const { details: paymentDetails, error: detailsError } = buildPaymentDetails(group, fromId, toId, details);
+    if (error || detailsError) return error || detailsError;
+
     const newPayment = {
       id: crypto.randomUUID(),
       groupId,
-      fromId,
-      toId,
-      amount,
-      date: new Date().toISOString()
+      ...fields,
+      ...paymentDetails,
+      date: toPaymentDate(date)
     };
 
     const newPayments = [...payments, newPayment];
-    setPayments(newPayments);
-    saveData(groups, expenses, newPayments);
+    const newAuditLog = logChange(groupId, 'payment', 'create', null, newPayment);
+    const name = (memberId) => group.members.find(m => m.id === memberId)?.name;
+    commit({ payments: newPayments, auditLog: newAuditLog }, `Recorded payment from ${name(fromId)} to ${name(toId)}`);
+    return null;
+  };
+
+  // Same rules as recordPayment; the payment keeps its stored currency
+  const updatePayment = (paymentId, fromId, toId, amount, date, details = {}) => {
+    const previous = payments.find(p => p.id === paymentId);
+    const group = groups.find(g => g.id === previous.groupId);
+    const { fields, error } = buildPaymentFields(group, fromId, toId, amount);
+    const { details: paymentDetails, error: detailsError } = buildPaymentDetails(group, fromId, toId, details);
+    if (error || detailsError) return error || detailsError;
+    const updated = {
+      ...previous,
+      ...fields,
+      currency: previous.currency,
+      ...paymentDetails,
+      date: toPaymentDate(date, previous.date)
+    };
+    const newPayments = payments.map(p => p.id === paymentId ? updated : p);
+    const newAuditLog = logChange(previous.groupId, 'payment', 'update', previous, updated);
+    commit({ payments: newPayments, auditLog: newAuditLog }, 'Edited payment');
+    setEditingPayment(null);
+    return null;
+  };
+
+  const deletePayment = (paymentId) => {
+    const previous = payments.find(p => p.id === paymentId);
+    const newPayments = payments.filter(p => p.id !== paymentId);
+    const newAuditLog = logChange(previous.groupId, 'payment', 'delete', previous, null);
+    commit({ payments: newPayments, auditLog: newAuditLog }, 'Deleted payment');
   };
 
+  // Expense total per group, in the group's base currency
+  const getGroupTotal = (group) => expenses
+    .filter(e => e.groupId === group.id)
+    .reduce((sum, e) => sum + getExpenseBaseAmount(e, group), 0);
+
+  // Archived groups are kept but hidden from the dashboard and group list
+  const activeGroups = groups.filter(g => !isArchived(g));
+  const archivedGroups = groups.filter(isArchived);
+
+  const usedTags = useMemo(() => getUsedTags(expenses), [expenses]);
+
+  const totalSpentByCurrency = activeGroups.reduce((totals, group) => {
+    const currency = getBaseCurrency(group);
+    totals[currency] = (totals[currency] || 0) + getGroupTotal(group);
+    return totals;
+  }, {});
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
-      <div className="max-w-6xl mx-auto p-4">
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 print:bg-none print:bg-white">
+      <div className="max-w-6xl mx-auto p-4 print:max-w-none print:p-0">
         {/* Header */}
-        <div className="bg-white rounded-2xl shadow-lg p-6 mb-6">
+        <div className="bg-white rounded-2xl shadow-lg p-6 mb-6 print:hidden">
           <div className="flex items-center justify-between">
             <div>
               <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2">
@@ -224,22 +675,85 @@ export default function ExpenseSplitter() {
               </h1>
               <p className="text-gray-600 mt-1">Manage group expenses intelligently</p>
             </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => stepHistory('undo')}
+                disabled={undoHistory.past.length === 0}
+                title={undoHistory.past.length > 0 ? `Undo: ${undoHistory.past.at(-1).label} (Ctrl+Z)` : 'Nothing to undo'}
+                className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-3 py-2 rounded-lg transition disabled:opacity-40 disabled:hover:bg-white"
+              >
+                <Undo2 size={20} />
+              </button>
+              <button
+                onClick={() => stepHistory('redo')}
+                disabled={undoHistory.future.length === 0}
+                title={undoHistory.future.length > 0 ? `Redo: ${undoHistory.future.at(-1).label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-3 py-2 rounded-lg transition disabled:opacity-40 disabled:hover:bg-white"
+              >
+                <Redo2 size={20} />
+              </button>
+              <button
+                onClick={() => setShowBackup(true)}
+                className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-4 py-2 rounded-lg flex items-center gap-2 transition"
+              >
+                <Download size={20} />
+                Backup
+              </button>
+              <button
+                onClick={() => setShowAddGroup(true)}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
+              >
+                <Plus size={20} />
+                New Group
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {syncNotice && (
+          <div className="mb-6 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2 text-sm text-amber-800 print:hidden">
+            <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+            <span className="flex-1">{syncNotice}</span>
+            <button onClick={() => setSyncNotice('')} className="text-amber-600 hover:text-amber-800">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {undoToast && (
+          <div className="fixed bottom-4 inset-x-4 sm:right-auto sm:w-96 p-3 bg-gray-800 rounded-lg shadow-lg flex items-center gap-3 text-sm text-white z-40 print:hidden">
+            <span className="flex-1 truncate">{undoToast.undone ? `Undone: ${undoToast.label}` : undoToast.label}</span>
             <button
-              onClick={() => setShowAddGroup(true)}
-              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
+              onClick={() => stepHistory(undoToast.undone ? 'redo' : 'undo')}
+              className="text-indigo-300 hover:text-indigo-200 font-medium"
             >
-              <Plus size={20} />
-              New Group
+              {undoToast.undone ? 'Redo' : 'Undo'}
+            </button>
+            <button onClick={() => setUndoToast(null)} className="text-gray-400 hover:text-gray-200">
+              <X size={16} />
             </button>
           </div>
-        </div>
+        )}
+
+        {applyUpdate && (
+          <div className="fixed bottom-4 inset-x-4 sm:left-auto sm:w-96 p-3 bg-white border border-indigo-200 rounded-lg shadow-lg flex items-center gap-3 text-sm text-gray-700 z-40 print:hidden">
+            <RefreshCw size={16} className="text-indigo-600 flex-shrink-0" />
+            <span className="flex-1">A new version of the app is available.</span>
+            <button onClick={applyUpdate} className="text-indigo-600 hover:text-indigo-700 font-medium">
+              Update
+            </button>
+            <button onClick={() => setApplyUpdate(null)} className="text-gray-400 hover:text-gray-600">
+              <X size={16} />
+            </button>
+          </div>
+        )}
 
         {/* Navigation */}
-        <div className="flex gap-2 mb-6">
+        <div className="flex gap-2 mb-6 print:hidden">
           <button
-            onClick={() => setActiveView('dashboard')}
+            onClick={() => navigate(paths.dashboard())}
             className={`px-4 py-2 rounded-lg font-medium transition ${
-              activeView === 'dashboard'
+              route.view === 'dashboard'
                 ? 'bg-white text-indigo-600 shadow-md'
                 : 'bg-white/50 text-gray-600 hover:bg-white'
             }`}
@@ -247,44 +761,84 @@ export default function ExpenseSplitter() {
             Dashboard
           </button>
           <button
-            onClick={() => setActiveView('groups')}
+            onClick={() => navigate(paths.groups())}
             className={`px-4 py-2 rounded-lg font-medium transition ${
-              activeView === 'groups'
+              route.view === 'groups' || isGroupView
                 ? 'bg-white text-indigo-600 shadow-md'
                 : 'bg-white/50 text-gray-600 hover:bg-white'
             }`}
           >
             Groups
           </button>
+          <button
+            onClick={() => navigate(paths.people())}
+            className={`px-4 py-2 rounded-lg font-medium transition ${
+              route.view === 'people' || route.view === 'person'
+                ? 'bg-white text-indigo-600 shadow-md'
+                : 'bg-white/50 text-gray-600 hover:bg-white'
+            }`}
+          >
+            People
+          </button>
         </div>
 
         {/* Main Content */}
-        {activeView === 'dashboard' && (
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <StatCard
-              icon={<Users />}
-              title="Active Groups"
-              value={groups.length}
-              color="blue"
-            />
-            <StatCard
-              icon={<Receipt />}
-              title="Total Expenses"
-              value={expenses.length}
-              color="green"
-            />
-            <StatCard
-              icon={<TrendingUp />}
-              title="Total Spent"
-              value={`$${expenses.reduce((sum, e) => sum + e.amount, 0).toFixed(2)}`}
-              color="purple"
-            />
+        {isNotFound && (
+          <div className="bg-white rounded-xl shadow-md p-12 text-center">
+            <AlertCircle className="mx-auto text-gray-400 mb-4" size={48} />
+            <h3 className="text-xl font-semibold text-gray-700 mb-2">Page Not Found</h3>
+            <p className="text-gray-500 mb-4">
+              {isGroupView && !selectedGroup
+                ? 'This group does not exist or was deleted.'
+                : route.view === 'expense'
+                  ? 'This expense does not exist or was deleted.'
+                  : route.view === 'person' ? 'This person does not exist or was merged into someone else.' : 'There is nothing at this address.'}
+            </p>
+            <button
+              onClick={() => navigate(route.view === 'expense' && selectedGroup ? paths.group(selectedGroup.id) : paths.dashboard())}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg inline-flex items-center gap-2 transition"
+            >
+              {route.view === 'expense' && selectedGroup ? `Back to ${selectedGroup.name}` : 'Go to Dashboard'}
+            </button>
+          </div>
+        )}
+
+        {route.view === 'dashboard' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <StatCard
+                icon={<Users />}
+                title="Active Groups"
+                value={activeGroups.length}
+                color="blue"
+              />
+              <StatCard
+                icon={<Receipt />}
+                title="Total Expenses"
+                value={expenses.filter(e => activeGroups.some(g => g.id === e.groupId)).length}
+                color="green"
+              />
+              <StatCard
+                icon={<TrendingUp />}
+                title="Total Spent"
+                value={Object.keys(totalSpentByCurrency).length === 0
+                  ? formatMoney(0)
+                  : Object.entries(totalSpentByCurrency)
+                    .map(([currency, total]) => formatMoney(total, currency))
+                    .join(' + ')}
+                color="purple"
+              />
+            </div>
+            <BudgetOverview groups={activeGroups} expenses={expenses} onOpenGroup={(groupId) => navigate(paths.group(groupId))} />
+            {activeGroups.length > 0 && (
+              <AnalyticsPanel groups={activeGroups} expenses={expenses} payments={payments} />
+            )}
           </div>
         )}
 
-        {activeView === 'groups' && (
+        {route.view === 'groups' && (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {groups.length === 0 ? (
+            {activeGroups.length === 0 ? (
               <div className="col-span-2 bg-white rounded-xl shadow-md p-12 text-center">
                 <Users className="mx-auto text-gray-400 mb-4" size={48} />
                 <h3 className="text-xl font-semibold text-gray-700 mb-2">No Groups Yet</h3>
@@ -298,9 +852,9 @@ export default function ExpenseSplitter() {
                 </button>
               </div>
             ) : (
-              groups.map(group => {
+              (showArchived ? [...activeGroups, ...archivedGroups] : activeGroups).map(group => {
                 const groupExpenses = expenses.filter(e => e.groupId === group.id);
-                const totalSpent = groupExpenses.reduce((sum, e) => sum + e.amount, 0);
+                const totalSpent = getGroupTotal(group);
                 
                 return (
                   <GroupCard
@@ -308,36 +862,117 @@ export default function ExpenseSplitter() {
                     group={group}
                     totalSpent={totalSpent}
                     expenseCount={groupExpenses.length}
-                    onClick={() => {
-                      setSelectedGroup(group);
-                      setActiveView('groupDetail');
-                    }}
+                    onClick={() => navigate(paths.group(group.id))}
                   />
                 );
               })
             )}
+            {archivedGroups.length > 0 && (
+              <button
+                onClick={() => setShowArchived(!showArchived)}
+                className="md:col-span-2 text-indigo-600 hover:text-indigo-700 font-medium text-sm"
+              >
+                {showArchived ? 'Hide' : 'Show'} archived groups ({archivedGroups.length})
+              </button>
+            )}
           </div>
         )}
 
-        {activeView === 'groupDetail' && selectedGroup && (
+        {route.view === 'people' && (
+          <PeopleList
+            contacts={contacts}
+            groups={groups}
+            expenses={expenses}
+            payments={payments}
+            onSelect={(contactId) => navigate(paths.person(contactId))}
+          />
+        )}
+
+        {route.view === 'person' && selectedContact && (
+          <PersonDetail
+            key={selectedContact.id}
+            contact={selectedContact}
+            contacts={contacts}
+            groups={groups}
+            expenses={expenses}
+            payments={payments}
+            onBack={() => navigate(paths.people())}
+            onOpenGroup={(groupId) => navigate(paths.group(groupId))}
+            onRename={renameContact}
+            onMerge={mergeContact}
+            onSettle={recordNettedSettlement}
+          />
+        )}
+
+        {route.view === 'shared' && (
+          <SharedGroupView
+            groups={groups}
+            onImport={importSharedGroup}
+            onBack={() => navigate(paths.dashboard())}
+          />
+        )}
+
+        {route.view === 'statement' && selectedGroup && !isNotFound && (
+          <StatementView
+            key={selectedGroup.id}
+            group={selectedGroup}
+            expenses={expenses}
+            payments={payments}
+            memberId={route.memberId}
+            onSelectMember={(memberId) => navigate(paths.statement(selectedGroup.id, memberId), { replace: true, keepSearch: true })}
+            onBack={() => navigate(paths.group(selectedGroup.id))}
+          />
+        )}
+
+        {isGroupView && route.view !== 'statement' && selectedGroup && !isNotFound && (
           <GroupDetail
+            key={selectedGroup.id}
             group={selectedGroup}
-            expenses={expenses.filter(e => e.groupId === selectedGroup.id)}
-            payments={payments.filter(p => p.groupId === selectedGroup.id)}
+            focusSettlement={route.view === 'settle'}
+            onOpenSettlement={() => navigate(paths.settle(selectedGroup.id), { keepSearch: true })}
+            onOpenStatement={() => navigate(paths.statement(selectedGroup.id))}
+            contacts={contacts}
+            expenses={groupExpenses}
+            payments={groupPayments}
             onAddExpense={() => setShowAddExpense(true)}
-            onBack={() => {
-              setActiveView('groups');
-              setSelectedGroup(null);
-            }}
-            calculateBalances={calculateBalances}
-            settleDebts={settleDebts}
+            onBack={() => navigate(paths.groups())}
             onRecordPayment={recordPayment}
+            onUpdateRates={updateGroupRates}
+            onUpdateSettlementRules={updateSettlementRules}
+            onUpdateBudgets={updateBudgets}
+            onUpdateSettlementPlan={updateSettlementPlan}
+            onUpdateSettings={updateGroupSettings}
+            onArchive={setGroupArchived}
+            onDelete={deleteGroup}
+            onImportExpenses={importExpenses}
+            onOpenExpense={(expense) => openExpense(expense)}
+            onEditExpense={(expense) => openExpense(expense, true)}
+            onDeleteExpense={deleteExpense}
+            onEditPayment={setEditingPayment}
+            onDeletePayment={deletePayment}
+            auditLog={auditLog.filter(entry => entry.groupId === selectedGroup.id)}
+            recurring={recurring.filter(r => r.groupId === selectedGroup.id)}
+            onEditRecurring={setEditingRecurring}
+            onDeleteRecurring={deleteRecurring}
+            onUpdateOccurrence={updateOccurrence}
+            actorName={actorName}
+            onActorNameChange={updateActorName}
           />
         )}
 
         {/* Modals */}
+        {showBackup && (
+          <BackupModal
+            currentCounts={countRecords({ groups, expenses, payments, auditLog, contacts, recurring })}
+            onClose={() => setShowBackup(false)}
+            onExport={exportBackup}
+            onImport={importBackup}
+          />
+        )}
+
         {showAddGroup && (
           <AddGroupModal
+            contacts={contacts}
             onClose={() => setShowAddGroup(false)}
             onAdd={addGroup}
           />
@@ -346,52 +981,432 @@ export default function ExpenseSplitter() {
         {showAddExpense && selectedGroup && (
           <AddExpenseModal
             group={selectedGroup}
+            expenses={expenses}
+            tagSuggestions={usedTags}
             onClose={() => setShowAddExpense(false)}
             onAdd={addExpense}
           />
         )}
+
+        {viewingExpense && selectedGroup && (
+          <ExpenseDetailModal
+            group={selectedGroup}
+            expense={viewingExpense}
+            onClose={closeExpense}
+            onEdit={() => setExpenseEditMode(true)}
+            onAddAttachments={(attachments) => addAttachments(viewingExpense.id, attachments)}
+            onRemoveAttachment={(attachmentId) => removeAttachment(viewingExpense.id, attachmentId)}
+          />
+        )}
+
+        {editingExpense && selectedGroup && (
+          <AddExpenseModal
+            group={selectedGroup}
+            expenses={expenses}
+            tagSuggestions={usedTags}
+            expense={editingExpense}
+            onClose={closeExpense}
+            onAdd={(groupId, ...fields) => updateExpense(editingExpense.id, ...fields)}
+          />
+        )}
+
+        {editingRecurring && selectedGroup && (
+          <AddExpenseModal
+            group={selectedGroup}
+            expenses={expenses}
+            tagSuggestions={usedTags}
+            expense={editingRecurring}
+            recurrence={editingRecurring}
+            onClose={() => setEditingRecurring(null)}
+            onAdd={(groupId, description, amount, paidBy, splitType, splitDetails, currency, labels, recurrence) => {
+              const error = saveRecurring(
+                editingRecurring.id, groupId, description, amount, paidBy, splitType, splitDetails, currency, labels, recurrence
+              );
+              if (!error) setEditingRecurring(null);
+              return error;
+            }}
+          />
+        )}
+
+        {editingPayment && selectedGroup && (
+          <PaymentModal
+            group={selectedGroup}
+            balances={getGroupBalances(selectedGroup, expenses, payments.filter(p => p.id !== editingPayment.id))}
+            payments={groupPayments}
+            payment={editingPayment}
+            onClose={() => setEditingPayment(null)}
+            onSave={(...args) => updatePayment(editingPayment.id, ...args)}
+          />
+        )}
       </div>
     </div>
   );
 }
 
-function StatCard({ icon, title, value, color }) {
-  const colorClasses = {
-    blue: 'bg-blue-500',
-    green: 'bg-green-500',
-    purple: 'bg-purple-500'
+function BackupModal({ currentCounts, onClose, onExport, onImport }) {
+  const [mode, setMode] = useState('merge');
+  const [imported, setImported] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const result = parseBackup(await file.text());
+    setErrors(result.errors || []);
+    setImported(result.data ? result : null);
   };
 
+  const handleImport = () => {
+    if (mode === 'replace' && !window.confirm('Replace all current data with this backup?')) {
+      return;
+    }
+    onImport(imported.data, mode, imported.attachments);
+  };
+
+  const summary = (counts) =>
+    `${counts.groups} groups, ${counts.expenses} expenses, ${counts.payments} payments`;
+
   return (
-    <div className="bg-white rounded-xl shadow-md p-6">
-      <div className="flex items-center justify-between">
-        <div>
-          <p className="text-gray-600 text-sm">{title}</p>
-          <p className="text-3xl font-bold text-gray-800 mt-1">{value}</p>
-        </div>
-        <div className={`${colorClasses[color]} text-white p-3 rounded-lg`}>
-          {icon}
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Backup & Restore</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
         </div>
-      </div>
-    </div>
-  );
-}
 
-function GroupCard({ group, totalSpent, expenseCount, onClick }) {
+        <div className="space-y-4">
+          <div>
+            <p className="text-sm text-gray-600 mb-2">
+              Download everything ({summary(currentCounts)}) as a JSON file, receipts included.
+            </p>
+            <button
+              onClick={onExport}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg font-medium flex items-center justify-center gap-2 transition"
+            >
+              <Download size={18} />
+              Export Backup
+            </button>
+          </div>
+
+          <div className="pt-4 border-t space-y-3">
+            <label className="block text-sm font-medium text-gray-700">
+              Import a backup file
+            </label>
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFile}
+              className="w-full text-sm"
+            />
+
+            {errors.length > 0 && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+                <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+                <ul className="text-sm list-disc pl-4">
+                  {errors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {imported && (
+              <>
+                <p className="text-sm text-gray-600">
+                  Backup contains {summary(countRecords(imported.data))}
+                  {imported.attachments.length > 0 && ` and ${imported.attachments.length} receipts`}.
+                </p>
+                <div className="space-y-1 text-sm">
+                  <label className="flex items-center gap-2">
+                    <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                    Merge by id (backup wins on conflicts)
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                    Replace all current data
+                  </label>
+                </div>
+                <button
+                  onClick={handleImport}
+                  className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-lg font-medium flex items-center justify-center gap-2 transition"
+                >
+                  <Upload size={18} />
+                  Import Backup
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ icon, title, value, color }) {
+  const colorClasses = {
+    blue: 'bg-blue-500',
+    green: 'bg-green-500',
+    purple: 'bg-purple-500'
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-gray-600 text-sm">{title}</p>
+          <p className="text-3xl font-bold text-gray-800 mt-1">{value}</p>
+        </div>
+        <div className={`${colorClasses[color]} text-white p-3 rounded-lg`}>
+          {icon}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ExpenseLabels({ expense }) {
+  if (!expense.category && !expense.tags?.length) return null;
+  const category = getCategory(expense.category);
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-1">
+      {expense.category && (
+        <span className="inline-flex items-center gap-1 bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full text-xs">
+          <span className="w-2 h-2 rounded-full" style={{ backgroundColor: category.color }} />
+          {category.label}
+        </span>
+      )}
+      {(expense.tags || []).map(tag => (
+        <span key={tag} className="inline-flex items-center gap-1 bg-indigo-50 text-indigo-600 px-2 py-0.5 rounded-full text-xs">
+          <Tag size={10} />
+          {tag}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+const CHART_COLORS = ['#6366f1', '#f97316', '#10b981', '#ec4899', '#0ea5e9', '#eab308', '#8b5cf6', '#64748b'];
+
+const formatMonth = (key) => new Date(`${key}-01T12:00:00`).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+
+// Horizontal bars, one per row: [{ key, label, amount, color }]
+function BarChart({ rows, currency }) {
+  const max = Math.max(...rows.map(r => r.amount), 1);
+  const rowHeight = 28;
+  return (
+    <svg viewBox={`0 0 400 ${rows.length * rowHeight}`} className="w-full" role="img">
+      {rows.map((row, i) => (
+        <g key={row.key} transform={`translate(0, ${i * rowHeight})`}>
+          <text x="0" y="18" fontSize="12" fill="#374151">
+            {row.label.length > 16 ? `${row.label.slice(0, 15)}…` : row.label}
+          </text>
+          <rect x="110" y="6" height="16" rx="3" width={Math.max(2, (row.amount / max) * 190)}
+            fill={row.color || CHART_COLORS[i % CHART_COLORS.length]} />
+          <text x="396" y="18" fontSize="12" fill="#4b5563" textAnchor="end">{formatMoney(row.amount, currency)}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Vertical columns per month: [{ key: 'YYYY-MM', amount }]
+function MonthlyChart({ rows, currency }) {
+  const max = Math.max(...rows.map(r => r.amount), 1);
+  const width = 400;
+  const height = 160;
+  const chartHeight = height - 20;
+  const step = width / rows.length;
+  const labelEvery = Math.ceil(rows.length / 8);
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img">
+      <line x1="0" x2={width} y1={chartHeight} y2={chartHeight} stroke="#e5e7eb" />
+      {rows.map((row, i) => {
+        const barHeight = (row.amount / max) * (chartHeight - 10);
+        return (
+          <g key={row.key}>
+            <rect x={i * step + step * 0.15} width={step * 0.7} y={chartHeight - barHeight} height={barHeight} rx="2" fill="#6366f1">
+              <title>{`${formatMonth(row.key)}: ${formatMoney(row.amount, currency)}`}</title>
+            </rect>
+            {i % labelEvery === 0 && (
+              <text x={i * step + step / 2} y={height - 4} fontSize="10" fill="#6b7280" textAnchor="middle">
+                {formatMonth(row.key)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// One line per member through their running balance: points from getBalanceHistory
+function BalanceChart({ group, points, currency }) {
+  const width = 400;
+  const height = 180;
+  const values = points.flatMap(p => Object.values(p.balances));
+  const max = Math.max(...values.map(Math.abs), 1);
+  const x = (i) => (points.length === 1 ? width / 2 : (i / (points.length - 1)) * (width - 10) + 5);
+  const y = (value) => height / 2 - (value / max) * (height / 2 - 10);
+  const members = group.members.filter(m => points.some(p => p.balances[m.id]));
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img">
+        <line x1="0" x2={width} y1={height / 2} y2={height / 2} stroke="#e5e7eb" strokeDasharray="4 4" />
+        {members.map((member, i) => (
+          <polyline
+            key={member.id}
+            fill="none"
+            stroke={CHART_COLORS[i % CHART_COLORS.length]}
+            strokeWidth="2"
+            points={points.map((p, j) => `${x(j)},${y(p.balances[member.id] || 0)}`).join(' ')}
+          />
+        ))}
+        <text x="2" y="10" fontSize="10" fill="#6b7280">{formatMoney(max, currency)}</text>
+        <text x="2" y={height - 2} fontSize="10" fill="#6b7280">-{formatMoney(max, currency)}</text>
+      </svg>
+      <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+        {members.map((member, i) => {
+          const last = points[points.length - 1].balances[member.id] || 0;
+          return (
+            <span key={member.id} className="flex items-center gap-1">
+              <span className="w-3 h-0.5" style={{ backgroundColor: CHART_COLORS[i % CHART_COLORS.length] }} />
+              {member.name} ({last >= 0 ? '+' : ''}{formatMoney(last, currency)})
+            </span>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        {points[0].date} to {points[points.length - 1].date} • above the line is owed money, below owes
+      </p>
+    </div>
+  );
+}
+
+function ChartCard({ title, children }) {
+  return (
+    <div className="border rounded-lg p-4">
+      <h4 className="font-semibold text-gray-700 mb-3">{title}</h4>
+      {children}
+    </div>
+  );
+}
+
+// Spending charts for one group, or for every group passed in when `group`
+// is left out. Groups are only combined within one base currency.
+function AnalyticsPanel({ groups, expenses, payments, group }) {
+  const currencies = useMemo(() => getAnalyticsCurrencies(group ? [group] : groups), [group, groups]);
+  const [preset, setPreset] = useState('all');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [selectedCurrency, setSelectedCurrency] = useState(currencies[0]);
+  const currency = currencies.includes(selectedCurrency) ? selectedCurrency : currencies[0];
+  const range = getDateRange(preset, getTodayKey(), customRange);
+
+  const scopedGroups = group ? [group] : groups.filter(g => getBaseCurrency(g) === currency);
+  const scopedExpenses = filterByDateRange(expenses.filter(e => scopedGroups.some(g => g.id === e.groupId)), range);
+  const total = scopedExpenses.reduce((sum, e) => sum + getExpenseBaseAmount(e, scopedGroups.find(g => g.id === e.groupId)), 0);
+
+  const byCategory = getSpendingByCategory(scopedGroups, scopedExpenses);
+  const byMemberOrGroup = group ? getSpendingByMember(group, scopedExpenses) : getSpendingByGroup(scopedGroups, scopedExpenses);
+  const monthly = getMonthlySpending(scopedGroups, scopedExpenses);
+  const balanceHistory = group ? getBalanceHistory(group, expenses, payments, range) : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <BarChart3 size={20} />
+          {group ? 'Analytics' : 'Spending Analytics'}
+        </h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {currencies.length > 1 && (
+            <select
+              value={currency}
+              onChange={(e) => setSelectedCurrency(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            >
+              {currencies.map(c => (
+                <option key={c} value={c}>{c} groups</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={preset}
+            onChange={(e) => setPreset(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          >
+            {DATE_RANGES.map(r => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+          {preset === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={customRange.from}
+                onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="date"
+                value={customRange.to}
+                onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        {formatMoney(total, currency)} across {scopedExpenses.length} expense{scopedExpenses.length === 1 ? '' : 's'}
+        {!group && ` in ${scopedGroups.length} group${scopedGroups.length === 1 ? '' : 's'}`}
+      </p>
+
+      {scopedExpenses.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">No expenses in this period.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <ChartCard title="By category">
+            <BarChart rows={byCategory} currency={currency} />
+          </ChartCard>
+          <ChartCard title={group ? 'By member (share of expenses)' : 'By group'}>
+            <BarChart rows={byMemberOrGroup} currency={currency} />
+          </ChartCard>
+          <ChartCard title="Per month">
+            <MonthlyChart rows={monthly} currency={currency} />
+          </ChartCard>
+          {group && balanceHistory.length > 0 && (
+            <ChartCard title="Running balance">
+              <BalanceChart group={group} points={balanceHistory} currency={currency} />
+            </ChartCard>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GroupCard({ group, totalSpent, expenseCount, onClick }) {
   return (
     <div
       onClick={onClick}
       className="bg-white rounded-xl shadow-md p-6 cursor-pointer hover:shadow-lg transition"
     >
-      <h3 className="text-xl font-bold text-gray-800 mb-2">{group.name}</h3>
+      <div className="flex items-start justify-between mb-2">
+        <h3 className="text-xl font-bold text-gray-800">{group.name}</h3>
+        {isArchived(group) && (
+          <span className="bg-gray-100 text-gray-500 px-2 py-0.5 rounded-full text-xs">Archived</span>
+        )}
+      </div>
       <div className="flex items-center gap-2 text-gray-600 text-sm mb-4">
         <Users size={16} />
-        <span>{group.members.length} members</span>
+        <span>{getActiveMembers(group).length} members</span>
       </div>
       <div className="flex justify-between items-center pt-4 border-t">
         <div>
           <p className="text-gray-600 text-sm">Total Spent</p>
-          <p className="text-2xl font-bold text-indigo-600">${totalSpent.toFixed(2)}</p>
+          <p className="text-2xl font-bold text-indigo-600">{formatMoney(totalSpent, getBaseCurrency(group))}</p>
         </div>
         <div className="text-right">
           <p className="text-gray-600 text-sm">Expenses</p>
@@ -402,141 +1417,2936 @@ function GroupCard({ group, totalSpent, expenseCount, onClick }) {
   );
 }
 
-function GroupDetail({ group, expenses, payments, onAddExpense, onBack, calculateBalances, settleDebts, onRecordPayment }) {
-  const balances = useMemo(() => calculateBalances(group.id), [calculateBalances, group.id]);
-  const settlements = useMemo(() => settleDebts(balances, group), [balances, group]);
+// Net balance per currency, e.g. "owed $12.00 · owes €4.00"
+const formatNetBalances = (balances) => {
+  const open = Object.entries(balances).filter(([, amount]) => amount !== 0);
+  if (open.length === 0) return 'Settled up';
+  return open
+    .map(([currency, amount]) => `${amount > 0 ? 'owed' : 'owes'} ${formatMoney(Math.abs(amount), currency)}`)
+    .join(' · ');
+};
+
+function PeopleList({ contacts, groups, expenses, payments, onSelect }) {
+  const people = useMemo(() => contacts
+    .map(contact => ({
+      contact,
+      groupCount: getContactMemberships(contact.id, groups).length,
+      balances: getPersonSummary(contact.id, groups, expenses, payments).balances
+    }))
+    .sort((a, b) => a.contact.name.localeCompare(b.contact.name)), [contacts, groups, expenses, payments]);
+
+  if (people.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-12 text-center">
+        <Users size={48} className="mx-auto text-gray-400 mb-4" />
+        <p className="text-gray-600">People appear here once you add them to a group</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-md divide-y">
+      {people.map(({ contact, groupCount, balances }) => (
+        <button
+          key={contact.id}
+          onClick={() => onSelect(contact.id)}
+          className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-50 transition"
+        >
+          <div>
+            <p className="font-medium text-gray-800">{contact.name}</p>
+            <p className="text-sm text-gray-500">{groupCount} {groupCount === 1 ? 'group' : 'groups'}</p>
+          </div>
+          <span className="text-sm text-gray-600">{formatNetBalances(balances)}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// One person across all of their groups, with balances netted per person
+function PersonDetail({ contact, contacts, groups, expenses, payments, onBack, onOpenGroup, onRename, onMerge, onSettle }) {
+  const [name, setName] = useState(contact.name);
+  const [mergeFromId, setMergeFromId] = useState('');
+  const [settleError, setSettleError] = useState('');
+  const summary = useMemo(
+    () => getPersonSummary(contact.id, groups, expenses, payments),
+    [contact.id, groups, expenses, payments]
+  );
+  const contactName = (contactId) => contacts.find(c => c.id === contactId)?.name ?? 'Unknown';
+
+  const saveName = () => {
+    if (name.trim() && name.trim() !== contact.name) {
+      onRename(contact.id, name.trim());
+    } else {
+      setName(contact.name);
+    }
+  };
+
+  // Contacts in a shared group are different people, so they cannot be merged
+  const groupIds = new Set(summary.groups.map(m => m.group.id));
+  const mergeCandidates = contacts.filter(c =>
+    c.id !== contact.id && !getContactMemberships(c.id, groups).some(m => groupIds.has(m.group.id))
+  );
+
+  const handleSettle = (counterparty) => {
+    const payer = counterparty.net > 0 ? contactName(counterparty.contactId) : contact.name;
+    const payee = counterparty.net > 0 ? contact.name : contactName(counterparty.contactId);
+    const amount = formatMoney(Math.abs(counterparty.net), counterparty.currency);
+    if (window.confirm(`Mark payment: ${payer} paid ${payee} ${amount}? This records a matching payment in each shared group.`)) {
+      setSettleError(onSettle(counterparty.debts) || '');
+    }
+  };
+
+  const handleMerge = () => {
+    const other = contactName(mergeFromId);
+    if (window.confirm(`Merge ${other} into ${contact.name}? Group members linked to ${other} will point to ${contact.name}.`)) {
+      onMerge(mergeFromId, contact.id);
+      setMergeFromId('');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <button onClick={onBack} className="text-indigo-600 hover:text-indigo-700 font-medium mb-4">
+          ← Back to People
+        </button>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={saveName}
+            className="text-2xl font-bold text-gray-800 px-2 py-1 -ml-2 rounded border border-transparent hover:border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+        </div>
+        <p className="text-gray-600 mt-1">{formatNetBalances(summary.balances)}</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4">Net With Each Person</h3>
+        {settleError && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+            <span className="text-sm">{settleError}</span>
+          </div>
+        )}
+        {summary.counterparties.length === 0 ? (
+          <p className="text-gray-500">Nothing to settle with anyone.</p>
+        ) : (
+          <div className="space-y-3">
+            {summary.counterparties.map(counterparty => (
+              <div key={`${counterparty.contactId}-${counterparty.currency}`} className="p-3 bg-green-50 rounded-lg">
+                <div className="flex items-center gap-3">
+                  <div className="flex-1">
+                    {counterparty.net === 0 ? (
+                      <span className="font-medium">Even with {contactName(counterparty.contactId)}</span>
+                    ) : counterparty.net > 0 ? (
+                      <span><span className="font-medium">{contactName(counterparty.contactId)}</span> owes {contact.name}</span>
+                    ) : (
+                      <span>{contact.name} owes <span className="font-medium">{contactName(counterparty.contactId)}</span></span>
+                    )}
+                  </div>
+                  <span className="text-green-600 font-bold text-lg">
+                    {formatMoney(Math.abs(counterparty.net), counterparty.currency)}
+                  </span>
+                  <button
+                    onClick={() => handleSettle(counterparty)}
+                    className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm font-medium transition"
+                  >
+                    Settle
+                  </button>
+                </div>
+                {counterparty.debts.length > 1 && (
+                  <ul className="mt-2 text-xs text-gray-500 space-y-0.5">
+                    {counterparty.debts.map((debt, i) => (
+                      <li key={i}>
+                        {debt.group.name}: {contactName(debt.fromContactId)} → {contactName(debt.toContactId)}{' '}
+                        {formatMoney(debt.amount, debt.currency)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4">Groups</h3>
+        <div className="space-y-2">
+          {summary.groups.map(({ group, member, balance }) => (
+            <button
+              key={group.id}
+              onClick={() => onOpenGroup(group.id)}
+              className="w-full flex items-center justify-between p-3 bg-gray-50 rounded-lg text-left hover:bg-gray-100 transition"
+            >
+              <span>
+                <span className="font-medium text-gray-800">{group.name}</span>
+                {member.name !== contact.name && <span className="text-sm text-gray-500"> as {member.name}</span>}
+                {member.removedAt && <span className="text-sm text-gray-500"> (left)</span>}
+              </span>
+              <span className={`text-sm font-medium ${balance > 0 ? 'text-green-600' : balance < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                {formatMoney(balance, getBaseCurrency(group))}
+              </span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mergeCandidates.length > 0 && (
+        <div className="bg-white rounded-xl shadow-md p-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-2">Same Person Elsewhere?</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            Merge a contact that is really {contact.name}, e.g. when they were added under a different name.
+          </p>
+          <div className="flex gap-2">
+            <select
+              value={mergeFromId}
+              onChange={(e) => setMergeFromId(e.target.value)}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            >
+              <option value="">Select contact</option>
+              {mergeCandidates.map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleMerge}
+              disabled={!mergeFromId}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg transition"
+            >
+              Merge
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// `focusSettlement` is set on /groups/:id/settle and scrolls to the plan
+function GroupDetail({
+  group, focusSettlement, onOpenSettlement, onOpenStatement, contacts, expenses, payments, onAddExpense, onBack, onRecordPayment, onUpdateRates,
+  onUpdateSettlementRules, onUpdateBudgets, onUpdateSettlementPlan, onOpenExpense, onEditExpense, onDeleteExpense, onEditPayment, onDeletePayment, auditLog, actorName, onActorNameChange,
+  onUpdateSettings, onArchive, onDelete, onImportExpenses, recurring, onEditRecurring, onDeleteRecurring, onUpdateOccurrence
+}) {
+  const [showRates, setShowRates] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+  const [showSettlementRules, setShowSettlementRules] = useState(false);
+  const [showBudgets, setShowBudgets] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [planMode, setPlanMode] = useState('optimized');
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [paymentDraft, setPaymentDraft] = useState(null);
+  const settlementRef = useRef(null);
+  const balances = useMemo(() => getGroupBalances(group, expenses, payments), [group, expenses, payments]);
+  const greedyPlan = useMemo(() => settleDebts(balances, group), [balances, group]);
+  const optimizedPlan = useMemo(() => optimizeSettlement(balances, group), [balances, group]);
+  const settlements = planMode === 'greedy' ? greedyPlan : optimizedPlan.transfers;
+  const hasOpenBalances = Object.values(balances).some(balance => balance !== 0);
+  const rules = getSettlementRules(group);
+  const baseCurrency = getBaseCurrency(group);
+
+  useEffect(() => {
+    if (focusSettlement) settlementRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [focusSettlement]);
+
+  // Suggested payments open the payment form prefilled, so they can be paid
+  // in part; they count towards the agreed plan when there is one
+  const handleSettlement = (settlement) => {
+    const planTransfer = findPlanTransfer(group, payments, settlement.fromId, settlement.toId);
+    setPaymentDraft({
+      fromId: settlement.fromId,
+      toId: settlement.toId,
+      amount: settlement.amount,
+      planTransferId: planTransfer?.id
+    });
+  };
+
+  const handleAdoptPlan = () => {
+    if (!group.settlementPlan || window.confirm('Replace the current settlement plan with this one?')) {
+      onUpdateSettlementPlan(group.id, settlements);
+    }
+  };
+
+  const handleDeleteExpense = (expense) => {
+    if (window.confirm(`Delete expense "${expense.description}"?`)) {
+      onDeleteExpense(expense.id);
+    }
+  };
+
+  const handleDeletePayment = (payment) => {
+    if (window.confirm('Delete this payment?')) {
+      onDeletePayment(payment.id);
+    }
+  };
+
+  const exportCsv = () => {
+    downloadFile(getLedgerFilename(group), buildLedgerCsv(group, expenses, payments), 'text/csv');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <button onClick={onBack} className="text-indigo-600 hover:text-indigo-700 font-medium">
+            ← Back to Groups
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowSettings(true)}
+              className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-4 py-2 rounded-lg flex items-center gap-2 transition"
+            >
+              <Settings size={20} />
+              Settings
+            </button>
+            <button
+              onClick={() => setShowRates(true)}
+              className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-4 py-2 rounded-lg flex items-center gap-2 transition"
+            >
+              <Coins size={20} />
+              Exchange Rates
+            </button>
+            <button
+              onClick={() => setShowAnalytics(!showAnalytics)}
+              className={`border border-indigo-200 px-4 py-2 rounded-lg flex items-center gap-2 transition ${
+                showAnalytics ? 'bg-indigo-50 text-indigo-700' : 'bg-white hover:bg-indigo-50 text-indigo-600'
+              }`}
+            >
+              <BarChart3 size={20} />
+              Analytics
+            </button>
+            <button
+              onClick={onOpenStatement}
+              className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-4 py-2 rounded-lg flex items-center gap-2 transition"
+            >
+              <Printer size={20} />
+              Statement
+            </button>
+            <button
+              onClick={() => setShowShare(true)}
+              className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-4 py-2 rounded-lg flex items-center gap-2 transition"
+            >
+              <Share2 size={20} />
+              Share
+            </button>
+            {hasOpenBalances && (
+              <button
+                onClick={onOpenSettlement}
+                className="bg-white border border-green-200 hover:bg-green-50 text-green-700 px-4 py-2 rounded-lg flex items-center gap-2 transition"
+              >
+                <ArrowRight size={20} />
+                Settle Up
+              </button>
+            )}
+            <button
+              onClick={onAddExpense}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
+            >
+              <Plus size={20} />
+              Add Expense
+            </button>
+          </div>
+        </div>
+        <h2 className="text-2xl font-bold text-gray-800">{group.name}</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Base currency: {baseCurrency}{isArchived(group) && ' • Archived'}
+        </p>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {getActiveMembers(group).map(m => (
+            <span key={m.id} className="bg-indigo-100 text-indigo-700 px-3 py-1 rounded-full text-sm">
+              {m.name}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {showAnalytics && <AnalyticsPanel groups={[group]} expenses={expenses} payments={payments} group={group} />}
+
+      {group.settlementPlan && (
+        <SettlementPlanPanel
+          group={group}
+          payments={payments}
+          onRecord={(transfer) => setPaymentDraft({
+            fromId: transfer.fromId,
+            toId: transfer.toId,
+            amount: transfer.remaining,
+            planTransferId: transfer.id
+          })}
+          onDiscard={() => onUpdateSettlementPlan(group.id, null)}
+        />
+      )}
+
+      {hasOpenBalances ? (
+        <div ref={settlementRef} className={`bg-white rounded-xl shadow-md p-6 scroll-mt-4 ${focusSettlement ? 'ring-2 ring-green-400' : ''}`}>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h3 className="text-xl font-bold text-gray-800">Who Owes What</h3>
+            <div className="flex items-center gap-2">
+              <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+                {[
+                  ['optimized', `Optimized (${optimizedPlan.transfers.length})`],
+                  ['greedy', `Greedy (${greedyPlan.length})`]
+                ].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setPlanMode(mode)}
+                    className={`px-3 py-1 rounded-md font-medium transition ${
+                      planMode === mode ? 'bg-white text-indigo-600 shadow' : 'text-gray-600 hover:text-gray-800'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => setShowSettlementRules(true)}
+                className="text-indigo-600 hover:text-indigo-700 flex items-center gap-1 text-sm font-medium"
+              >
+                <SlidersHorizontal size={16} />
+                Rules
+              </button>
+              <button
+                onClick={() => setPaymentDraft({})}
+                className="text-indigo-600 hover:text-indigo-700 flex items-center gap-1 text-sm font-medium"
+              >
+                <Wallet size={16} />
+                Record Payment
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 mb-4">
+            {planMode === 'greedy'
+              ? 'Matches the largest debtor with the largest creditor until everyone is even.'
+              : `Fewest payments that respect the group's settlement rules${greedyPlan.length > optimizedPlan.transfers.length
+                ? ` - ${greedyPlan.length - optimizedPlan.transfers.length} fewer than the greedy plan` : ''}.`}
+          </p>
+          <div className="space-y-3">
+            {settlements.map((s, i) => (
+              <div key={i} className="flex items-center gap-3 p-3 bg-green-50 rounded-lg">
+                <div className="flex-1">
+                  <span className="font-medium">{s.from}</span>
+                  <ArrowRight className="inline mx-2" size={16} />
+                  <span className="font-medium">{s.to}</span>
+                  <p className="text-xs text-gray-500 mt-1">{s.explanation}</p>
+                </div>
+                <span className="text-green-600 font-bold text-lg">
+                  {formatMoney(s.amount, baseCurrency)}
+                </span>
+                <button
+                  onClick={() => handleSettlement(s)}
+                  className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm font-medium transition"
+                >
+                  Settle
+                </button>
+              </div>
+            ))}
+          </div>
+          {settlements.length > 0 && (
+            <button
+              onClick={handleAdoptPlan}
+              className="mt-4 text-sm text-indigo-600 hover:text-indigo-700 font-medium"
+            >
+              {group.settlementPlan ? 'Replace the settlement plan with this one' : 'Follow this plan and track its payments'}
+            </button>
+          )}
+          {planMode === 'optimized' && optimizedPlan.skipped.length > 0 && (
+            <div className="mt-4 text-sm text-gray-500">
+              Left out (under {formatMoney(rules.minTransfer, baseCurrency)}):{' '}
+              {optimizedPlan.skipped.map(s => `${s.from} → ${s.to} ${formatMoney(s.amount, baseCurrency)}`).join(', ')}
+            </div>
+          )}
+          {planMode === 'optimized' && optimizedPlan.unsettled.length > 0 && (
+            <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2 text-sm text-amber-800">
+              <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+              <span>
+                The payee rules leave some balances open:{' '}
+                {optimizedPlan.unsettled.map(u => `${group.members.find(m => m.id === u.memberId)?.name} ${u.balance > 0 ? 'is owed' : 'owes'} ${formatMoney(Math.abs(u.balance), baseCurrency)}`).join(', ')}.
+                Relax the rules to settle everyone.
+              </span>
+            </div>
+          )}
+        </div>
+      ) : expenses.length > 0 ? (
+        <div ref={settlementRef} className="bg-white rounded-xl shadow-md p-6 scroll-mt-4">
+          <div className="flex items-center gap-2 text-green-600">
+            <AlertCircle size={20} />
+            <span className="font-medium">All settled up! No one owes anyone.</span>
+          </div>
+        </div>
+      ) : null}
+
+      <BudgetPanel group={group} expenses={expenses} onEdit={() => setShowBudgets(true)} />
+
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800">Transaction History</h3>
+          <div className="flex gap-3 text-sm">
+            <button
+              onClick={() => setShowCsvImport(true)}
+              className="text-indigo-600 hover:text-indigo-700 font-medium flex items-center gap-1"
+            >
+              <Upload size={16} />
+              Import CSV
+            </button>
+            <button
+              onClick={exportCsv}
+              disabled={expenses.length === 0 && payments.length === 0}
+              className="text-indigo-600 hover:text-indigo-700 disabled:text-gray-300 font-medium flex items-center gap-1"
+            >
+              <Download size={16} />
+              Export CSV
+            </button>
+          </div>
+        </div>
+        <TransactionHistory
+          group={group}
+          expenses={expenses}
+          payments={payments}
+          onOpenExpense={onOpenExpense}
+          onEditExpense={onEditExpense}
+          onDeleteExpense={handleDeleteExpense}
+          onEditPayment={onEditPayment}
+          onDeletePayment={handleDeletePayment}
+        />
+      </div>
+
+      {recurring.length > 0 && (
+        <RecurringPanel
+          group={group}
+          recurring={recurring}
+          onEdit={onEditRecurring}
+          onDelete={onDeleteRecurring}
+          onUpdateOccurrence={onUpdateOccurrence}
+        />
+      )}
+
+      <AuditLogPanel
+        group={group}
+        entries={auditLog}
+        actorName={actorName}
+        onActorNameChange={onActorNameChange}
+      />
+
+      {showCsvImport && (
+        <ImportCsvModal
+          group={group}
+          expenses={expenses}
+          onClose={() => setShowCsvImport(false)}
+          onImport={(rows, currency) => {
+            onImportExpenses(group.id, rows, currency);
+            setShowCsvImport(false);
+          }}
+        />
+      )}
+
+      {showSettings && (
+        <GroupSettingsModal
+          group={group}
+          contacts={contacts}
+          balances={balances}
+          onClose={() => setShowSettings(false)}
+          onSave={(name, members) => {
+            const error = onUpdateSettings(group.id, name, members);
+            if (!error) setShowSettings(false);
+            return error;
+          }}
+          onArchive={(archived) => {
+            onArchive(group.id, archived);
+            setShowSettings(false);
+          }}
+          onDelete={() => onDelete(group.id)}
+        />
+      )}
+
+      {paymentDraft && (
+        <PaymentModal
+          group={group}
+          balances={balances}
+          payments={payments}
+          initial={paymentDraft}
+          onClose={() => setPaymentDraft(null)}
+          onSave={(...args) => {
+            const error = onRecordPayment(group.id, ...args);
+            if (!error) setPaymentDraft(null);
+            return error;
+          }}
+        />
+      )}
+
+      {showBudgets && (
+        <BudgetsModal
+          group={group}
+          onClose={() => setShowBudgets(false)}
+          onSave={(budgets) => {
+            onUpdateBudgets(group.id, budgets);
+            setShowBudgets(false);
+          }}
+        />
+      )}
+
+      {showSettlementRules && (
+        <SettlementRulesModal
+          group={group}
+          onClose={() => setShowSettlementRules(false)}
+          onSave={(settlementRules) => {
+            onUpdateSettlementRules(group.id, settlementRules);
+            setShowSettlementRules(false);
+          }}
+        />
+      )}
+
+      {showShare && (
+        <ShareModal group={group} expenses={expenses} payments={payments} onClose={() => setShowShare(false)} />
+      )}
+
+      {showRates && (
+        <ExchangeRatesModal
+          group={group}
+          onClose={() => setShowRates(false)}
+          onSave={(rates) => {
+            onUpdateRates(group.id, rates);
+            setShowRates(false);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// Print-ready report of a group, or of one member when `memberId` is set.
+// The period lives in the URL query so a statement link opens the same
+// report; index.css sets up the printed page.
+function StatementView({ group, expenses, payments, memberId, onSelectMember, onBack, backLabel = `Back to ${group.name}` }) {
+  const [period, setPeriod] = useState(() => parseStatementPeriod(window.location.search));
+  const currency = getBaseCurrency(group);
+  const dates = getStatementDates(period, getTodayKey());
+  const statement = memberId
+    ? buildMemberStatement(group, expenses, payments, memberId, dates)
+    : buildGroupStatement(group, expenses, payments, dates);
+  const title = memberId ? `${group.name}: statement for ${statement.member.name}` : `${group.name}: group statement`;
+
+  const memberName = (id) => group.members.find(m => m.id === id)?.name || 'Unknown';
+  const money = (amount) => formatMoney(amount, currency);
+  const formatKey = (key) => new Date(`${key}T12:00:00`).toLocaleDateString();
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+  const formatBalance = (balance) => balance > 0 ? `gets back ${money(balance)}` : balance < 0 ? `owes ${money(-balance)}` : 'settled';
+  const periodLabel = dates.from && dates.to ? `${formatKey(dates.from)} – ${formatKey(dates.to)}`
+    : dates.from ? `Since ${formatKey(dates.from)}` : dates.to ? `Until ${formatKey(dates.to)}` : 'All time';
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const nextSearch = toStatementSearch(period);
+    if (nextSearch !== search) {
+      window.history.replaceState(window.history.state, '', `${pathname}${nextSearch}${hash}`);
+    }
+  }, [period]);
+
+  // Browsers name the saved PDF after the page title
+  useEffect(() => {
+    const previous = document.title;
+    document.title = title;
+    return () => {
+      document.title = previous;
+    };
+  }, [title]);
+
+  const expenseAmount = (row) => (
+    <>
+      {money(row.amount)}
+      {getExpenseCurrency(row.expense, group) !== currency && (
+        <span className="block text-xs text-gray-500">{formatMoney(row.expense.amount, getExpenseCurrency(row.expense, group))}</span>
+      )}
+    </>
+  );
+
+  const paymentRows = statement.payments.map(p => [
+    formatDate(p.date), memberName(p.fromId), memberName(p.toId), getPaymentMethodLabel(p.method) || '—', money(p.amount)
+  ]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-md p-6 print:hidden">
+        <div className="flex items-center justify-between mb-4">
+          <button onClick={onBack} className="text-indigo-600 hover:text-indigo-700 font-medium">
+            ← {backLabel}
+          </button>
+          <button
+            onClick={() => window.print()}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
+          >
+            <Printer size={20} />
+            Print or Save as PDF
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={memberId || ''}
+            onChange={(e) => onSelectMember(e.target.value || null)}
+            className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          >
+            <option value="">Whole group</option>
+            {group.members.filter(m => !m.removedAt || m.id === memberId).map(m => (
+              <option key={m.id} value={m.id}>{m.name}</option>
+            ))}
+          </select>
+          <select
+            value={period.range}
+            onChange={(e) => setPeriod({ ...period, range: e.target.value })}
+            className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          >
+            {DATE_RANGES.map(r => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+          {period.range === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={period.from}
+                onChange={(e) => setPeriod({ ...period, from: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="date"
+                value={period.to}
+                onChange={(e) => setPeriod({ ...period, to: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <article className="statement bg-white rounded-xl shadow-md p-8 text-gray-800 print:shadow-none print:rounded-none print:p-0">
+        <header className="border-b border-gray-300 pb-4 mb-6">
+          <h2 className="text-2xl font-bold">{title}</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            {periodLabel} • Amounts in {currency} • Prepared {new Date().toLocaleDateString()}
+          </p>
+        </header>
+
+        {memberId ? (
+          <>
+            <StatementSection title="Summary">
+              <StatementTable
+                rows={[
+                  [dates.from ? `Balance on ${formatKey(dates.from)}` : 'Opening balance', formatBalance(statement.opening)],
+                  ['Paid for the group', money(statement.paid)],
+                  ['Their share of expenses', money(statement.share)],
+                  ['Payments sent', money(statement.sent)],
+                  ['Payments received', money(statement.received)]
+                ]}
+                foot={[
+                  ['Balance at the end of the period', formatBalance(statement.closing)],
+                  ['Balance today', formatBalance(statement.balance)]
+                ]}
+              />
+            </StatementSection>
+            <StatementSection title="Share by category">
+              <StatementTable
+                head={['Category', 'Share']}
+                rows={statement.byCategory.map(c => [c.label, money(c.amount)])}
+                empty="No expenses in this period."
+              />
+            </StatementSection>
+            <StatementSection title="Expenses">
+              <StatementTable
+                head={['Date', 'Description', 'Paid by', 'Total', 'Their share']}
+                numeric={2}
+                rows={statement.expenses.map(row => [
+                  formatDate(row.expense.date), row.expense.description, memberName(row.expense.paidBy), expenseAmount(row), money(row.share)
+                ])}
+                foot={[['Total', '', '', money(statement.expenses.reduce((sum, r) => sum + r.amount, 0)), money(statement.share)]]}
+                empty="No expenses in this period."
+              />
+            </StatementSection>
+          </>
+        ) : (
+          <>
+            <StatementSection title="Members">
+              <StatementTable
+                head={['Member', 'Paid', 'Share', 'Sent', 'Received', 'Balance today']}
+                numeric={5}
+                rows={statement.members.map(m => [
+                  m.name, money(m.paid), money(m.share), money(m.sent), money(m.received), formatBalance(m.balance)
+                ])}
+                foot={[['Total', money(statement.total), money(statement.total), '', '', '']]}
+              />
+            </StatementSection>
+            <div className="grid grid-cols-2 gap-6">
+              <StatementSection title="By payer">
+                <StatementTable
+                  head={['Paid by', 'Amount']}
+                  rows={statement.byPayer.map(p => [p.label, money(p.amount)])}
+                  empty="No expenses in this period."
+                />
+              </StatementSection>
+              <StatementSection title="By category">
+                <StatementTable
+                  head={['Category', 'Amount']}
+                  rows={statement.byCategory.map(c => [c.label, money(c.amount)])}
+                  empty="No expenses in this period."
+                />
+              </StatementSection>
+            </div>
+            <StatementSection title="Expenses">
+              <StatementTable
+                head={['Date', 'Description', 'Category', 'Paid by', 'Amount']}
+                rows={statement.expenses.map(row => [
+                  formatDate(row.expense.date), row.expense.description, getCategory(row.expense.category).label,
+                  memberName(row.expense.paidBy), expenseAmount(row)
+                ])}
+                foot={[['Total', '', '', '', money(statement.total)]]}
+                empty="No expenses in this period."
+              />
+            </StatementSection>
+          </>
+        )}
+
+        <StatementSection title="Payments">
+          <StatementTable
+            head={['Date', 'From', 'To', 'Method', 'Amount']}
+            rows={paymentRows}
+            empty="No payments in this period."
+          />
+        </StatementSection>
+
+        <StatementSection title="Settlement plan (as of today)">
+          <StatementTable
+            head={['From', 'To', 'Amount']}
+            rows={statement.plan.map(t => [t.from, t.to, money(t.amount)])}
+            empty={memberId ? `${statement.member.name} is settled up.` : 'Everyone is settled up.'}
+          />
+        </StatementSection>
+      </article>
+    </div>
+  );
+}
+
+function StatementSection({ title, children }) {
+  return (
+    <section className="mb-8 last:mb-0">
+      <h3 className="text-lg font-bold text-gray-800 mb-2">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+// `rows` and `foot` are arrays of cells; the last `numeric` columns are
+// right-aligned amounts
+function StatementTable({ head, rows, foot = [], numeric = 1, empty }) {
+  if (rows.length === 0) return <p className="text-sm text-gray-500">{empty}</p>;
+  const columns = (head || rows[0]).length;
+  const align = (i) => (i >= columns - numeric ? 'text-right' : 'text-left');
+  return (
+    <table className="w-full text-sm border-collapse">
+      {head && (
+        <thead>
+          <tr className="border-b border-gray-300 text-gray-600">
+            {head.map((cell, i) => <th key={i} className={`py-2 pr-3 last:pr-0 font-semibold ${align(i)}`}>{cell}</th>)}
+          </tr>
+        </thead>
+      )}
+      <tbody>
+        {rows.map((row, r) => (
+          <tr key={r} className="border-b border-gray-100">
+            {row.map((cell, i) => <td key={i} className={`py-1.5 pr-3 last:pr-0 align-top ${align(i)}`}>{cell}</td>)}
+          </tr>
+        ))}
+      </tbody>
+      {foot.length > 0 && (
+        <tfoot>
+          {foot.map((row, r) => (
+            <tr key={r} className="border-t border-gray-300 font-semibold">
+              {row.map((cell, i) => <td key={i} className={`py-2 pr-3 last:pr-0 ${align(i)}`}>{cell}</td>)}
+            </tr>
+          ))}
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+// Read-only view of a group opened from a share link (see ./share), shown
+// as its statement. The payload comes from the URL fragment; another link
+// pasted into the same tab opens as well.
+function SharedGroupView({ groups, onImport, onBack }) {
+  const [payload, setPayload] = useState(() => window.location.hash.slice(1));
+
+  useEffect(() => {
+    const onHashChange = () => setPayload(window.location.hash.slice(1));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  return <SharedSnapshot key={payload} payload={payload} groups={groups} onImport={onImport} onBack={onBack} />;
+}
+
+function SharedSnapshot({ payload, groups, onImport, onBack }) {
+  const encrypted = isEncryptedPayload(payload);
+  const [passphrase, setPassphrase] = useState('');
+  const [result, setResult] = useState(null);
+  const [opening, setOpening] = useState(!encrypted);
+  const [memberId, setMemberId] = useState(null);
+  const [replaceSettings, setReplaceSettings] = useState(false);
+
+  useEffect(() => {
+    if (encrypted) return;
+    let cancelled = false;
+    decodeSnapshot(payload).then(decoded => {
+      if (cancelled) return;
+      setResult(decoded);
+      setOpening(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [payload, encrypted]);
+
+  const handleUnlock = () => {
+    setOpening(true);
+    decodeSnapshot(payload, passphrase).then(decoded => {
+      setResult(decoded);
+      setOpening(false);
+    });
+  };
+
+  const snapshot = result?.snapshot;
+  if (snapshot) {
+    const { group } = snapshot;
+    const existing = groups.some(g => g.id === group.id);
+    return (
+      <div className="space-y-6">
+        <div className="bg-white rounded-xl shadow-md p-6 print:hidden">
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                <Share2 className="text-indigo-600" />
+                {group.name}
+              </h2>
+              <p className="text-sm text-gray-500 mt-1">
+                Read-only snapshot{snapshot.sharedAt && ` shared on ${new Date(snapshot.sharedAt).toLocaleString()}`}.
+              </p>
+            </div>
+            <button
+              onClick={() => onImport(snapshot, existing && replaceSettings)}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
+            >
+              <Download size={20} />
+              {existing ? 'Update My Copy' : 'Import Group'}
+            </button>
+          </div>
+          {existing && (
+            <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800 space-y-2">
+              <div className="flex items-start gap-2">
+                <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+                <span>
+                  You already have this group. Updating adds the shared expenses and payments you don't have; where you both
+                  have a record, the later edit is kept, and records you deleted stay deleted.
+                </span>
+              </div>
+              <label className="flex items-center gap-2 ml-6">
+                <input type="checkbox" checked={replaceSettings} onChange={(e) => setReplaceSettings(e.target.checked)} />
+                Also take the shared group settings (name, exchange rates, budgets, settlement plan)
+              </label>
+            </div>
+          )}
+        </div>
+        <StatementView
+          group={group}
+          expenses={snapshot.expenses}
+          payments={snapshot.payments}
+          memberId={memberId}
+          onSelectMember={setMemberId}
+          onBack={onBack}
+          backLabel="Back to Dashboard"
+        />
+      </div>
+    );
+  }
+
+  if (encrypted) {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-6 max-w-md mx-auto">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2 mb-2">
+          <Lock className="text-indigo-600" />
+          Protected Group
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">This shared group is encrypted. Enter the passphrase you were given to open it.</p>
+        {result?.errors && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+            <span className="text-sm">{result.errors.join(' ')}</span>
+          </div>
+        )}
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && passphrase && handleUnlock()}
+          placeholder="Passphrase"
+          autoFocus
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent mb-4"
+        />
+        <button
+          onClick={handleUnlock}
+          disabled={!passphrase || opening}
+          className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 text-white py-3 rounded-lg font-medium transition"
+        >
+          {opening ? 'Opening…' : 'Open'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-12 text-center">
+      {opening ? (
+        <p className="text-gray-500">Opening shared group…</p>
+      ) : (
+        <>
+          <AlertCircle className="mx-auto text-gray-400 mb-4" size={48} />
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">Cannot Open This Link</h3>
+          <p className="text-gray-500 mb-4">{result?.errors.join(' ')}</p>
+          <button
+            onClick={onBack}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg inline-flex items-center gap-2 transition"
+          >
+            Go to Dashboard
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Searchable, filterable and paged list of a group's expenses and payments.
+// The filters live in the URL query so a filtered view can be shared.
+function TransactionHistory({ group, expenses, payments, onOpenExpense, onEditExpense, onDeleteExpense, onEditPayment, onDeletePayment }) {
+  const [filters, setFilters] = useState(() => parseHistoryFilters(window.location.search));
+  const baseCurrency = getBaseCurrency(group);
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const nextSearch = toHistorySearch(filters, search);
+    if (nextSearch !== search) {
+      window.history.replaceState(window.history.state, '', `${pathname}${nextSearch}${hash}`);
+    }
+  }, [filters]);
+
+  // Leaving the group drops its filters from the URL
+  useEffect(() => () => {
+    const { pathname, search, hash } = window.location;
+    window.history.replaceState(window.history.state, '', `${pathname}${toHistorySearch({}, search)}${hash}`);
+  }, []);
+
+  const entries = useMemo(() => buildHistoryEntries(group, expenses, payments), [group, expenses, payments]);
+  const sorted = useMemo(() => sortHistory(filterHistory(entries, filters), filters.sort), [entries, filters]);
+  const { items, page, pageCount } = paginate(sorted, filters.page);
+
+  // Any filter change starts over at the first page
+  const updateFilter = (key, value) => setFilters({ ...filters, [key]: value, page: key === 'page' ? value : 1 });
+
+  if (entries.length === 0) {
+    return <p className="text-gray-500 text-center py-8">No transactions yet. Add an expense to get started!</p>;
+  }
+
+  const selectClass = 'px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div>
+      <div className="space-y-2 mb-4">
+        <div className="relative">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={filters.q}
+            onChange={(e) => updateFilter('q', e.target.value)}
+            placeholder="Search description, member or amount"
+            className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} className={selectClass}>
+            <option value="all">All types</option>
+            <option value="expense">Expenses</option>
+            <option value="payment">Payments</option>
+          </select>
+          <select value={filters.payer} onChange={(e) => updateFilter('payer', e.target.value)} className={selectClass}>
+            <option value="">Anyone paid</option>
+            {group.members.map(m => (
+              <option key={m.id} value={m.id}>Paid by {m.name}</option>
+            ))}
+          </select>
+          <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)} className={selectClass}>
+            <option value="">All categories</option>
+            {CATEGORIES.map(c => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+            <option value="none">Uncategorized</option>
+          </select>
+          <select value={filters.split} onChange={(e) => updateFilter('split', e.target.value)} className={selectClass}>
+            <option value="">All splits</option>
+            {SPLIT_TYPES.map(t => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            aria-label="From date"
+            className={selectClass}
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            aria-label="To date"
+            className={selectClass}
+          />
+          <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)} className={selectClass}>
+            {HISTORY_SORTS.map(s => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+          {hasActiveFilters(filters) && (
+            <button
+              onClick={() => setFilters({ ...DEFAULT_HISTORY_FILTERS, sort: filters.sort })}
+              className="text-indigo-600 hover:text-indigo-700 text-sm font-medium"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {sorted.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">No transactions match these filters.</p>
+      ) : (
+        <div className="space-y-3">
+          {items.map(({ type, record: transaction }) => {
+            if (type === 'expense') {
+              const payer = group.members.find(m => m.id === transaction.paidBy);
+              const currency = getExpenseCurrency(transaction, group);
+              return (
+                <div key={transaction.id} className="border rounded-lg p-4 hover:bg-gray-50 transition">
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <button
+                        onClick={() => onOpenExpense(transaction)}
+                        className="font-semibold text-gray-800 hover:text-indigo-600 flex items-center gap-2 text-left"
+                      >
+                        {transaction.description}
+                        {transaction.recurringId && <Repeat size={14} className="text-gray-400" aria-label="Recurring" />}
+                        {transaction.attachments?.length > 0 && (
+                          <Paperclip size={14} className="text-gray-400" aria-label={`${transaction.attachments.length} attachments`} />
+                        )}
+                      </button>
+                      <ExpenseLabels expense={transaction} />
+                      <p className="text-sm text-gray-600 mt-1">
+                        Paid by {payer?.name} • {new Date(transaction.date).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <span className="text-xl font-bold text-indigo-600">
+                        {formatMoney(transaction.amount, currency)}
+                      </span>
+                      {currency !== baseCurrency && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          ≈ {formatMoney(getExpenseBaseAmount(transaction, group), baseCurrency)} @ {getExpenseRate(transaction)}
+                        </p>
+                      )}
+                      <TransactionActions
+                        onEdit={() => onEditExpense(transaction)}
+                        onDelete={() => onDeleteExpense(transaction)}
+                      />
+                    </div>
+                  </div>
+                  {transaction.splitType !== 'equal' && (
+                    <SplitBreakdown expense={transaction} group={group} currency={currency} />
+                  )}
+                  {transaction.attachments?.length > 0 && (
+                    <AttachmentGallery attachments={transaction.attachments} size="small" onOpen={() => onOpenExpense(transaction)} />
+                  )}
+                </div>
+              );
+            }
+            const fromMember = group.members.find(m => m.id === transaction.fromId);
+            const toMember = group.members.find(m => m.id === transaction.toId);
+            return (
+              <div key={transaction.id} className="border border-green-200 bg-green-50 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h4 className="font-semibold text-green-800">Payment Recorded</h4>
+                    <p className="text-sm text-green-700 mt-1">
+                      {fromMember?.name} paid {toMember?.name} • {new Date(transaction.date).toLocaleDateString()}
+                      {transaction.method && ` • ${getPaymentMethodLabel(transaction.method)}`}
+                      {transaction.planTransferId && ' • Settlement plan'}
+                    </p>
+                    {transaction.note && <p className="text-sm text-gray-600 mt-1">{transaction.note}</p>}
+                  </div>
+                  <div className="text-right">
+                    <span className="text-xl font-bold text-green-600">
+                      {formatMoney(transaction.amount, transaction.currency || baseCurrency)}
+                    </span>
+                    <TransactionActions
+                      onEdit={() => onEditPayment(transaction)}
+                      onDelete={() => onDeletePayment(transaction)}
+                    />
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {sorted.length > 0 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>
+            {(page - 1) * HISTORY_PAGE_SIZE + 1}-{(page - 1) * HISTORY_PAGE_SIZE + items.length} of {sorted.length}
+            {sorted.length !== entries.length && ` (filtered from ${entries.length})`}
+          </span>
+          {pageCount > 1 && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => updateFilter('page', page - 1)}
+                disabled={page === 1}
+                className="px-3 py-1 border rounded-lg hover:bg-gray-50 disabled:text-gray-300 disabled:hover:bg-white transition"
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pageCount}</span>
+              <button
+                onClick={() => updateFilter('page', page + 1)}
+                disabled={page === pageCount}
+                className="px-3 py-1 border rounded-lg hover:bg-gray-50 disabled:text-gray-300 disabled:hover:bg-white transition"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TransactionActions({ onEdit, onDelete }) {
+  return (
+    <div className="flex justify-end gap-2 mt-2">
+      <button onClick={onEdit} className="text-gray-400 hover:text-indigo-600" title="Edit">
+        <Pencil size={16} />
+      </button>
+      <button onClick={onDelete} className="text-gray-400 hover:text-red-600" title="Delete">
+        <Trash2 size={16} />
+      </button>
+    </div>
+  );
+}
+
+function RecurringPanel({ group, recurring, onEdit, onDelete, onUpdateOccurrence }) {
+  const [editing, setEditing] = useState(null);
+  const todayKey = getTodayKey();
+  const memberName = (id) => group.members.find(m => m.id === id)?.name || 'Unknown';
+
+  const handleDelete = (template) => {
+    if (window.confirm(`Stop repeating "${template.description}"? Expenses already posted are kept.`)) {
+      onDelete(template.id);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <Repeat size={20} />
+        Recurring Expenses
+      </h3>
+      <div className="space-y-4">
+        {recurring.map(template => {
+          const waiting = getDueOccurrences(template, todayKey).filter(date => needsAmount(template, date));
+          return (
+            <div key={template.id} className="border rounded-lg p-4">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <p className="font-semibold text-gray-800">{template.description}</p>
+                  <p className="text-sm text-gray-600">
+                    {template.amountType === 'variable'
+                      ? `Varies (usually ${formatMoney(template.amount, template.currency)})`
+                      : formatMoney(template.amount, template.currency)}
+                    {' '}• Paid by {memberName(template.paidBy)} • {getSplitTypeLabel(template.splitType)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">{describeSchedule(template)}</p>
+                </div>
+                <TransactionActions onEdit={() => onEdit(template)} onDelete={() => handleDelete(template)} />
+              </div>
+
+              {waiting.length > 0 && (
+                <div className="mt-3 space-y-2">
+                  {waiting.map(date => (
+                    <div key={date} className="flex items-center gap-3 p-2 bg-amber-50 rounded text-sm">
+                      <span className="flex-1 text-amber-800">Due {date} - enter this month's amount to post it</span>
+                      <button
+                        onClick={() => setEditing({ template, date })}
+                        className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded text-xs font-medium transition"
+                      >
+                        Enter amount
+                      </button>
+                      <button
+                        onClick={() => onUpdateOccurrence(template.id, date, { status: 'skipped' })}
+                        className="text-gray-500 hover:text-gray-700 text-xs font-medium"
+                      >
+                        Skip
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-3 space-y-1">
+                {getUpcomingOccurrences(template, todayKey).map(occurrence => (
+                  <div key={occurrence.date} className="flex items-center gap-3 text-sm">
+                    <span className={`w-24 ${occurrence.skipped ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                      {occurrence.date}
+                    </span>
+                    <span className={`flex-1 ${occurrence.skipped ? 'text-gray-400 line-through' : 'text-gray-600'}`}>
+                      {occurrence.description} • {needsAmount(template, occurrence.date)
+                        ? 'amount to be entered'
+                        : formatMoney(occurrence.amount, template.currency)}
+                      {occurrence.edited && ' (edited)'}
+                    </span>
+                    {occurrence.skipped || occurrence.edited ? (
+                      <button
+                        onClick={() => onUpdateOccurrence(template.id, occurrence.date, null)}
+                        className="text-indigo-600 hover:text-indigo-700 text-xs font-medium"
+                      >
+                        {occurrence.skipped ? 'Restore' : 'Reset'}
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => setEditing({ template, date: occurrence.date })}
+                          className="text-indigo-600 hover:text-indigo-700 text-xs font-medium"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => onUpdateOccurrence(template.id, occurrence.date, { status: 'skipped' })}
+                          className="text-gray-500 hover:text-gray-700 text-xs font-medium"
+                        >
+                          Skip
+                        </button>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {editing && (
+        <OccurrenceModal
+          template={editing.template}
+          date={editing.date}
+          onClose={() => setEditing(null)}
+          onSave={(amount, description) => {
+            onUpdateOccurrence(editing.template.id, editing.date, { status: 'edited', amount, description });
+            setEditing(null);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// Amount and description of a single occurrence of a recurring expense
+function OccurrenceModal({ template, date, onClose, onSave }) {
+  const initial = getOccurrenceInput(template, date);
+  const [description, setDescription] = useState(initial.description);
+  const [amount, setAmount] = useState(initial.amount ? String(fromMinor(initial.amount, template.currency)) : '');
+  const [error, setError] = useState('');
+  const fixedTotal = ['custom', 'itemized'].includes(template.splitType);
+
+  const handleSubmit = () => {
+    if (!description.trim()) {
+      setError('Please enter a description');
+      return;
+    }
+    const minor = fixedTotal ? template.amount : toMinor(amount, template.currency);
+    if (!(minor > 0)) {
+      setError('Amount must be greater than 0');
+      return;
+    }
+    onSave(minor, description.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">{template.description} on {date}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Amount ({template.currency})</label>
+            {fixedTotal ? (
+              <p className="text-sm text-gray-600">
+                {formatMoney(template.amount, template.currency)} - fixed by the {getSplitTypeLabel(template.splitType).toLowerCase()} split
+              </p>
+            ) : (
+              <input
+                type="number"
+                step="0.01"
+                value={amount}
+                onChange={(e) => {
+                  setAmount(e.target.value);
+                  setError('');
+                }}
+                placeholder="0.00"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            )}
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium transition"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AuditLogPanel({ group, entries, actorName, onActorNameChange }) {
+  const [expanded, setExpanded] = useState(false);
+  const memberName = (id) => group.members.find(m => m.id === id)?.name || 'Unknown';
+
+  const formatAmount = (record) => formatMoney(record.amount, record.currency || getBaseCurrency(group));
+
+  const formatValue = (record, field) => {
+    switch (field) {
+      case 'amount':
+        return formatAmount(record);
+      case 'paidBy':
+      case 'fromId':
+      case 'toId':
+        return memberName(record[field]);
+      case 'splitType':
+        return getSplitTypeLabel(record.splitType);
+      case 'splits':
+        return record.splits.map(s => `${memberName(s.memberId)} ${formatMoney(s.amount, record.currency || getBaseCurrency(group))}`).join(', ');
+      default:
+        return String(record[field]);
+    }
+  };
+
+  const describe = (entry) => {
+    const record = entry.after || entry.before;
+    const subject = entry.entityType === 'expense'
+      ? `expense "${record.description}"`
+      : `payment ${memberName(record.fromId)} → ${memberName(record.toId)}`;
+    const verb = { create: 'Added', update: 'Edited', delete: 'Deleted' }[entry.action];
+    return `${verb} ${subject}${entry.action !== 'update' ? ` (${formatAmount(record)})` : ''}`;
+  };
+
+  const sorted = [...entries].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between text-xl font-bold text-gray-800"
+      >
+        <span className="flex items-center gap-2">
+          <History size={20} />
+          Activity Log
+        </span>
+        <span className="text-sm font-normal text-gray-500">{entries.length} changes</span>
+      </button>
+
+      {expanded && (
+        <div className="mt-4 space-y-3">
+          <div className="flex items-center gap-2 text-sm">
+            <label className="text-gray-600">Record my changes as</label>
+            <input
+              type="text"
+              value={actorName}
+              onChange={(e) => onActorNameChange(e.target.value)}
+              placeholder="Your name"
+              className="flex-1 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+          {sorted.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No changes recorded yet.</p>
+          ) : (
+            sorted.map(entry => (
+              <div key={entry.id} className="border-l-4 border-indigo-200 pl-3 py-1 text-sm">
+                <p className="text-gray-800">{describe(entry)}</p>
+                {getChangedFields(entry).map(field => (
+                  <p key={field} className="text-gray-600 text-xs">
+                    {field}: {formatValue(entry.before, field)} → {formatValue(entry.after, field)}
+                  </p>
+                ))}
+                <p className="text-gray-400 text-xs">
+                  {entry.actor} • {new Date(entry.timestamp).toLocaleString()}
+                </p>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Records a new payment, or edits `payment`. `initial` prefills a new one
+// ({ fromId, toId, amount, planTransferId }); `balances` leave out the
+// payment being edited, so it can be checked for overpayment.
+function PaymentModal({ group, balances, payments, payment, initial = {}, onClose, onSave }) {
+  const currency = payment?.currency || getBaseCurrency(group);
+  const members = getActiveMembers(group);
+  const source = payment || initial;
+  const [fromId, setFromId] = useState(source.fromId
+    || members.find(m => balances[m.id] < 0)?.id || members[0]?.id || '');
+  const [toId, setToId] = useState(source.toId
+    || members.find(m => balances[m.id] > 0)?.id || members.find(m => m.id !== fromId)?.id || '');
+  const [amount, setAmount] = useState(source.amount ? String(fromMinor(source.amount, currency)) : '');
+  const [date, setDate] = useState(payment ? toDateKey(new Date(payment.date)) : getTodayKey());
+  const [method, setMethod] = useState(payment?.method || '');
+  const [note, setNote] = useState(payment?.note || '');
+  const [planTransferId, setPlanTransferId] = useState(source.planTransferId || '');
+  const [error, setError] = useState('');
+
+  const otherPayments = payment ? payments.filter(p => p.id !== payment.id) : payments;
+  const planTransfers = group.settlementPlan
+    ? getPlanProgress(group.settlementPlan, otherPayments).filter(t => t.remaining > 0 || t.id === planTransferId)
+    : [];
+  const maxPayment = getMaxPayment(balances, fromId, toId);
+  const memberName = (id) => group.members.find(m => m.id === id)?.name;
+
+  const changePeople = (nextFromId, nextToId) => {
+    setFromId(nextFromId);
+    setToId(nextToId);
+    setError('');
+    const linked = planTransfers.find(t => t.id === planTransferId);
+    if (linked && (linked.fromId !== nextFromId || linked.toId !== nextToId)) setPlanTransferId('');
+  };
+
+  const choosePlanTransfer = (transferId) => {
+    setPlanTransferId(transferId);
+    setError('');
+    const transfer = planTransfers.find(t => t.id === transferId);
+    if (transfer) {
+      setFromId(transfer.fromId);
+      setToId(transfer.toId);
+      setAmount(String(fromMinor(transfer.remaining || transfer.amount, currency)));
+    }
+  };
+
+  const handleSubmit = () => {
+    const minor = toMinor(amount, currency);
+    if (fromId === toId) {
+      setError('Payer and recipient must be different people');
+      return;
+    }
+    if (minor <= 0) {
+      setError('Amount must be greater than 0');
+      return;
+    }
+    if (!date) {
+      setError('Please choose a date');
+      return;
+    }
+    const overpayment = validatePaymentAmount(group, balances, fromId, toId, minor);
+    if (overpayment) {
+      setError(overpayment);
+      return;
+    }
+    const details = { method, note, planTransferId };
+    const { error: detailsError } = buildPaymentDetails(group, fromId, toId, details);
+    if (detailsError) {
+      setError(detailsError);
+      return;
+    }
+    const saveError = onSave(fromId, toId, minor, date, details);
+    if (saveError) setError(saveError);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">{payment ? 'Edit Payment' : 'Record Payment'}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          {planTransfers.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Settlement plan</label>
+              <select
+                value={planTransferId}
+                onChange={(e) => choosePlanTransfer(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                <option value="">Not part of the plan</option>
+                {planTransfers.map(t => (
+                  <option key={t.id} value={t.id}>
+                    {memberName(t.fromId)} → {memberName(t.toId)} ({formatMoney(t.remaining, currency)} of {formatMoney(t.amount, currency)} left)
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <select
+                value={fromId}
+                onChange={(e) => changePeople(e.target.value, toId)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                {members.map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <select
+                value={toId}
+                onChange={(e) => changePeople(fromId, e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                {members.map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Amount ({currency})</label>
+            <input
+              type="number"
+              step="0.01"
+              value={amount}
+              onChange={(e) => {
+                setAmount(e.target.value);
+                setError('');
+              }}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            {fromId !== toId && (
+              <p className="text-xs text-gray-500 mt-1">
+                {maxPayment > 0 ? (
+                  <>
+                    Up to {formatMoney(maxPayment, currency)} settles between {memberName(fromId)} and {memberName(toId)}.{' '}
+                    <button
+                      onClick={() => setAmount(String(fromMinor(maxPayment, currency)))}
+                      className="text-indigo-600 hover:text-indigo-700 font-medium"
+                    >
+                      Pay in full
+                    </button>
+                  </>
+                ) : `${memberName(fromId)} does not owe ${memberName(toId)} anything.`}
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+              <select
+                value={method}
+                onChange={(e) => setMethod(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                <option value="">Not specified</option>
+                {PAYMENT_METHODS.map(m => (
+                  <option key={m.value} value={m.value}>{m.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. First half, rest next week"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            disabled={!amount}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white py-3 rounded-lg font-medium transition"
+          >
+            {payment ? 'Save Payment' : 'Record Payment'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Object URLs for stored attachments: { [id]: { file, thumbnail } }, or
+// { [id]: null } for files that are not on this device
+const useAttachmentUrls = (attachments) => {
+  const [urls, setUrls] = useState({});
+  const ids = attachments.map(a => a.id).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const created = [];
+    getAttachmentStore()
+      .then(store => Promise.all(ids.split(',').filter(Boolean).map(id => store.get(id))))
+      .then(records => {
+        if (cancelled) return;
+        const toUrl = (blob) => {
+          const url = URL.createObjectURL(blob);
+          created.push(url);
+          return url;
+        };
+        setUrls(Object.fromEntries(ids.split(',').map((id, i) => [id, records[i]
+          ? { file: toUrl(records[i].blob), thumbnail: records[i].thumbnail ? toUrl(records[i].thumbnail) : null }
+          : null])));
+      })
+      .catch(error => console.error('Failed to load attachments:', error));
+    return () => {
+      cancelled = true;
+      created.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [ids]);
+
+  return urls;
+};
+
+// Thumbnails of an expense's receipts. `small` is a strip for the history
+// list; the large grid opens files in a new tab and can remove them.
+function AttachmentGallery({ attachments, size = 'large', onOpen, onRemove }) {
+  const urls = useAttachmentUrls(attachments);
+
+  if (size === 'small') {
+    return (
+      <div className="flex gap-2 mt-2">
+        {attachments.map(attachment => (
+          <button
+            key={attachment.id}
+            onClick={onOpen}
+            title={attachment.name}
+            className="w-10 h-10 rounded border bg-gray-50 overflow-hidden flex items-center justify-center text-gray-400 hover:border-indigo-400"
+          >
+            {urls[attachment.id]?.thumbnail
+              ? <img src={urls[attachment.id].thumbnail} alt={attachment.name} className="w-full h-full object-cover" />
+              : isImage(attachment) ? <Paperclip size={16} /> : <FileText size={16} />}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-3 gap-3">
+      {attachments.map(attachment => {
+        const url = urls[attachment.id];
+        return (
+          <div key={attachment.id} className="border rounded-lg overflow-hidden">
+            {url ? (
+              <a href={url.file} target="_blank" rel="noreferrer" className="block h-24 bg-gray-50 flex items-center justify-center text-gray-400">
+                {url.thumbnail
+                  ? <img src={url.thumbnail} alt={attachment.name} className="w-full h-full object-cover" />
+                  : <FileText size={32} />}
+              </a>
+            ) : (
+              <div className="h-24 bg-gray-50 flex items-center justify-center text-center text-xs text-gray-400 p-2">
+                {url === null ? 'Not stored on this device' : 'Loading…'}
+              </div>
+            )}
+            <div className="p-2 text-xs flex items-start gap-1">
+              <div className="flex-1 min-w-0">
+                <p className="truncate text-gray-700" title={attachment.name}>{attachment.name}</p>
+                <p className="text-gray-400">{formatFileSize(attachment.size)}</p>
+              </div>
+              {onRemove && (
+                <button onClick={() => onRemove(attachment)} className="text-gray-400 hover:text-red-600">
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// File input that downscales images and hands over prepared attachments
+function AttachmentPicker({ onAdd }) {
+  const [preparing, setPreparing] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length === 0) return;
+    setPreparing(true);
+    const results = await Promise.all(files.map(prepareAttachment));
+    setPreparing(false);
+    setErrors(results.filter(r => r.error).map(r => r.error));
+    const prepared = results.filter(r => r.attachment).map(r => r.attachment);
+    if (prepared.length > 0) onAdd(prepared);
+  };
+
+  return (
+    <div>
+      <label className="inline-flex items-center gap-1 text-indigo-600 hover:text-indigo-700 text-sm font-medium cursor-pointer">
+        <Paperclip size={16} />
+        {preparing ? 'Preparing…' : 'Attach receipts'}
+        <input type="file" multiple accept={ACCEPTED_TYPES.join(',')} onChange={handleFiles} className="hidden" disabled={preparing} />
+      </label>
+      {errors.length > 0 && (
+        <ul className="mt-1 text-xs text-red-600 list-disc pl-4">
+          {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function ExpenseDetailModal({ group, expense, onClose, onEdit, onAddAttachments, onRemoveAttachment }) {
+  const currency = getExpenseCurrency(expense, group);
+  const baseCurrency = getBaseCurrency(group);
+  const payer = group.members.find(m => m.id === expense.paidBy);
+  const attachments = expense.attachments || [];
+
+  const handleRemove = (attachment) => {
+    if (window.confirm(`Remove ${attachment.name} from this expense?`)) {
+      onRemoveAttachment(attachment.id);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{expense.description}</h2>
+            <ExpenseLabels expense={expense} />
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <p className="text-3xl font-bold text-indigo-600">{formatMoney(expense.amount, currency)}</p>
+            {currency !== baseCurrency && (
+              <p className="text-sm text-gray-500">
+                ≈ {formatMoney(getExpenseBaseAmount(expense, group), baseCurrency)} @ {getExpenseRate(expense)}
+              </p>
+            )}
+            <p className="text-sm text-gray-600 mt-1">
+              Paid by {payer?.name} • {new Date(expense.date).toLocaleDateString()}
+              {expense.recurringId && ' • Recurring'}
+            </p>
+          </div>
+
+          <SplitBreakdown expense={expense} group={group} currency={currency} />
+
+          <div className="pt-4 border-t">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="font-semibold text-gray-800">Receipts</h3>
+              <AttachmentPicker onAdd={onAddAttachments} />
+            </div>
+            {attachments.length === 0 ? (
+              <p className="text-sm text-gray-500">No receipts attached.</p>
+            ) : (
+              <AttachmentGallery attachments={attachments} onRemove={handleRemove} />
+            )}
+          </div>
+
+          <button
+            onClick={onEdit}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium flex items-center justify-center gap-2 transition"
+          >
+            <Pencil size={18} />
+            Edit Expense
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SplitBreakdown({ expense, group, currency }) {
+  const memberName = (id) => group.members.find(m => m.id === id)?.name;
+  const details = expense.splitDetails;
+
+  const describeSplit = (split) => {
+    const parts = [];
+    if (expense.splitType === 'percentage' && details) {
+      parts.push(`${details.percentages.find(p => p.memberId === split.memberId)?.percent}%`);
+    } else if (expense.splitType === 'shares' && details) {
+      parts.push(`${details.shares.find(sh => sh.memberId === split.memberId)?.shares} shares`);
+    }
+    parts.push(formatMoney(split.amount, currency));
+    return `${memberName(split.memberId)} (${parts.join(', ')})`;
+  };
+
+  return (
+    <div className="mt-2 pt-2 border-t text-sm text-gray-600 space-y-1">
+      {expense.splitType === 'itemized' && details && (
+        <ul className="space-y-0.5">
+          {details.items.map(item => (
+            <li key={item.id} className="flex justify-between">
+              <span>{item.description} · {item.memberIds.map(memberName).join(', ')}</span>
+              <span>{formatMoney(item.amount, currency)}</span>
+            </li>
+          ))}
+          {details.tax > 0 && (
+            <li className="flex justify-between"><span>Tax</span><span>{formatMoney(details.tax, currency)}</span></li>
+          )}
+          {details.tip > 0 && (
+            <li className="flex justify-between"><span>Tip</span><span>{formatMoney(details.tip, currency)}</span></li>
+          )}
+        </ul>
+      )}
+      <div>
+        <span className="font-medium">{getSplitTypeLabel(expense.splitType)}:</span>{' '}
+        {expense.splits.map(describeSplit).join(', ')}
+      </div>
+    </div>
+  );
+}
+
+function ImportCsvModal({ group, expenses, onClose, onImport }) {
+  const members = getActiveMembers(group);
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({ date: '', description: '', amount: '', payer: '' });
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0]);
+  const [currency, setCurrency] = useState(getBaseCurrency(group));
+  const [defaultPayerId, setDefaultPayerId] = useState(members[0]?.id || '');
+  const [skipped, setSkipped] = useState([]);
+  const [error, setError] = useState('');
+
+  const header = hasHeader ? rows[0] || [] : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const columnCount = Math.max(0, ...rows.map(r => r.length));
+  const columns = Array.from({ length: columnCount }, (_, i) => ({
+    index: i,
+    label: header[i]?.trim() || `Column ${i + 1}`
+  }));
+
+  const isMapped = mapping.date !== '' && mapping.description !== '' && mapping.amount !== '';
+  const candidates = isMapped
+    ? buildImportRows(dataRows, mapping, { dateFormat, currency, members, defaultPayerId, existingExpenses: expenses })
+    : [];
+  const selected = candidates.filter(c => c.status === 'ok' && !skipped.includes(c.index));
+
+  // Preselect columns whose header names look like the field they hold
+  const guessMapping = (headerRow) => {
+    const find = (pattern) => {
+      const index = headerRow.findIndex(cell => pattern.test(cell));
+      return index === -1 ? '' : index;
+    };
+    return {
+      date: find(/date|datum|fecha/i),
+      description: find(/desc|memo|payee|merchant|narrative|details/i),
+      amount: find(/amount|debit|value|betrag|sum/i),
+      payer: find(/payer|paid|card ?holder|member/i)
+    };
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const parsed = parseCsv(await file.text());
+    if (parsed.length === 0) {
+      setError('The file has no rows');
+      return;
+    }
+    setError('');
+    setRows(parsed);
+    setSkipped([]);
+    setMapping(guessMapping(parsed[0]));
+  };
+
+  const toggleSkipped = (index) => {
+    setSkipped(skipped.includes(index) ? skipped.filter(i => i !== index) : [...skipped, index]);
+  };
+
+  const memberName = (id) => members.find(m => m.id === id)?.name;
+
+  const mappingField = (field, label, optional) => (
+    <div>
+      <label className="block text-xs text-gray-600 mb-1">{label}</label>
+      <select
+        value={mapping[field]}
+        onChange={(e) => setMapping({ ...mapping, [field]: e.target.value === '' ? '' : Number(e.target.value) })}
+        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+      >
+        <option value="">{optional ? 'Use default payer' : 'Select column'}</option>
+        {columns.map(c => (
+          <option key={c.index} value={c.index}>{c.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Import Expenses from CSV</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <div>
+            <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} className="w-full text-sm" />
+            <p className="text-xs text-gray-500 mt-1">
+              Imported rows are split equally between all members.
+            </p>
+          </div>
+
+          {rows.length > 0 && (
+            <>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                First row is a header
+              </label>
+
+              <div className="grid grid-cols-2 gap-3">
+                {mappingField('date', 'Date column *')}
+                {mappingField('description', 'Description column *')}
+                {mappingField('amount', 'Amount column *')}
+                {mappingField('payer', 'Payer column', true)}
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Date format</label>
+                  <select
+                    value={dateFormat}
+                    onChange={(e) => setDateFormat(e.target.value)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    {DATE_FORMATS.map(f => <option key={f} value={f}>{f}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Currency</label>
+                  <select
+                    value={currency}
+                    onChange={(e) => setCurrency(e.target.value)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    {getGroupCurrencies(group).map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-xs text-gray-600 mb-1">Default payer</label>
+                  <select
+                    value={defaultPayerId}
+                    onChange={(e) => setDefaultPayerId(e.target.value)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    {members.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                  </select>
+                </div>
+              </div>
+            </>
+          )}
+
+          {candidates.length > 0 && (
+            <div className="border rounded-lg divide-y max-h-72 overflow-y-auto text-sm">
+              {candidates.map(c => (
+                <label
+                  key={c.index}
+                  className={`flex items-center gap-3 px-3 py-2 ${c.status === 'ok' ? '' : 'bg-gray-50 text-gray-400'}`}
+                >
+                  <input
+                    type="checkbox"
+                    disabled={c.status !== 'ok'}
+                    checked={c.status === 'ok' && !skipped.includes(c.index)}
+                    onChange={() => toggleSkipped(c.index)}
+                  />
+                  <span className="w-24">{c.date ? new Date(c.date).toLocaleDateString() : '—'}</span>
+                  <span className="flex-1 truncate">{c.description || '—'}</span>
+                  <span className="w-20 truncate">{memberName(c.paidBy)}</span>
+                  <span className="w-24 text-right">{c.amount > 0 ? formatMoney(c.amount, currency) : '—'}</span>
+                  {c.reason && <span className="w-28 text-xs text-right">{c.reason}</span>}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={() => onImport(selected, currency)}
+            disabled={selected.length === 0}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white py-3 rounded-lg font-medium transition"
+          >
+            Import {selected.length} {selected.length === 1 ? 'Expense' : 'Expenses'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function GroupSettingsModal({ group, contacts, balances, onClose, onSave, onArchive, onDelete }) {
+  const [name, setName] = useState(group.name);
+  const [members, setMembers] = useState(group.members);
+  const [memberInput, setMemberInput] = useState('');
+  const [error, setError] = useState('');
+  const baseCurrency = getBaseCurrency(group);
+
+  const activeMembers = members.filter(m => !m.removedAt);
+  const isTaken = (memberName, exceptId) => activeMembers.some(
+    m => m.id !== exceptId && m.name.trim().toLowerCase() === memberName.trim().toLowerCase()
+  );
+
+  const renameMember = (memberId, memberName) => {
+    setMembers(members.map(m => m.id === memberId ? { ...m, name: memberName } : m));
+    setError('');
+  };
+
+  const addMember = () => {
+    const memberName = memberInput.trim();
+    if (!memberName) return;
+    if (isTaken(memberName)) {
+      setError(`${memberName} is already a member`);
+      return;
+    }
+    setMembers([...members, { id: crypto.randomUUID(), name: memberName }]);
+    setMemberInput('');
+  };
+
+  const removeMember = (member) => {
+    if (balances[member.id]) {
+      setError(`${member.name} can only leave once their balance is settled (currently ${formatMoney(balances[member.id], baseCurrency)})`);
+      return;
+    }
+    // Members that were never saved can simply be dropped
+    setMembers(group.members.some(m => m.id === member.id)
+      ? members.map(m => m.id === member.id ? { ...m, removedAt: new Date().toISOString() } : m)
+      : members.filter(m => m.id !== member.id));
+  };
+
+  const handleSubmit = () => {
+    if (!name.trim()) {
+      setError('Group name is required');
+      return;
+    }
+    if (activeMembers.some(m => !m.name.trim())) {
+      setError('Member names cannot be empty');
+      return;
+    }
+    if (activeMembers.some(m => isTaken(m.name, m.id))) {
+      setError('Member names must be unique');
+      return;
+    }
+    if (activeMembers.length < 2) {
+      setError('A group needs at least 2 members');
+      return;
+    }
+    const saveError = onSave(name.trim(), members.map(m => ({ ...m, name: m.name.trim() })));
+    if (saveError) setError(saveError);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${group.name}" and all of its expenses and payments?`)) {
+      onDelete();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Group Settings</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Group Name
+            </label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => {
+                setName(e.target.value);
+                setError('');
+              }}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Members
+            </label>
+            <div className="space-y-2">
+              {activeMembers.map(member => (
+                <div key={member.id} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={member.name}
+                    onChange={(e) => renameMember(member.id, e.target.value)}
+                    className="flex-1 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                  />
+                  <span className={`text-xs w-20 text-right ${balances[member.id] ? 'text-gray-600' : 'text-gray-400'}`}>
+                    {formatMoney(balances[member.id] || 0, baseCurrency)}
+                  </span>
+                  <button
+                    onClick={() => removeMember(member)}
+                    disabled={Boolean(balances[member.id])}
+                    className="text-red-500 hover:text-red-700 disabled:text-gray-300 disabled:cursor-not-allowed"
+                    title={balances[member.id] ? 'Settle their balance first' : 'Remove member'}
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={memberInput}
+              onChange={(e) => setMemberInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addMember()}
+              placeholder="New member name"
+              list="contact-names"
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <ContactSuggestions contacts={contacts} />
+            <button
+              onClick={addMember}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-1 transition"
+            >
+              <UserPlus size={18} />
+              Add
+            </button>
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium transition"
+          >
+            Save Changes
+          </button>
+
+          <div className="pt-4 border-t space-y-2">
+            <button
+              onClick={() => onArchive(!isArchived(group))}
+              className="w-full border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 rounded-lg font-medium flex items-center justify-center gap-2 transition"
+            >
+              {isArchived(group) ? <ArchiveRestore size={18} /> : <Archive size={18} />}
+              {isArchived(group) ? 'Restore Group' : 'Archive Group'}
+            </button>
+            <button
+              onClick={handleDelete}
+              className="w-full border border-red-200 hover:bg-red-50 text-red-600 py-2 rounded-lg font-medium flex items-center justify-center gap-2 transition"
+            >
+              <Trash2 size={18} />
+              Delete Group
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Turns the group into a link, and a QR code, that opens a read-only copy
+// (see ./share). Nothing is uploaded: the data travels inside the link.
+function ShareModal({ group, expenses, payments, onClose }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [link, setLink] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      const payload = await encodeSnapshot(createSnapshot(group, expenses, payments), passphrase);
+      setLink(`${window.location.origin}${paths.shared()}#${payload}`);
+      setCopied(false);
+    } catch (failure) {
+      setError(failure.message || 'The link could not be created');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(link)
+      .then(() => setCopied(true))
+      .catch(() => setError('Copying failed; select the link and copy it by hand'));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Share {group.name}</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600">
+            The link contains a snapshot of the group's members, {expenses.length} expenses and {payments.length} payments.
+            Whoever opens it sees a read-only copy and can import it. Receipts are not included, and later changes are not
+            sent along.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Passphrase (optional)</label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => {
+                setPassphrase(e.target.value);
+                setLink('');
+              }}
+              placeholder="Leave empty for an open link"
+              autoComplete="new-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              With a passphrase the snapshot is encrypted; send the passphrase separately from the link.
+            </p>
+          </div>
+
+          {link ? (
+            <div className="space-y-3">
+              <div className="flex gap-2">
+                <input
+                  readOnly
+                  value={link}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-600"
+                />
+                <button
+                  onClick={handleCopy}
+                  className="bg-white border border-indigo-200 hover:bg-indigo-50 text-indigo-600 px-3 py-2 rounded-lg flex items-center gap-1 text-sm transition"
+                >
+                  <Copy size={16} />
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+              <QrCode text={link} />
+            </div>
+          ) : (
+            <button
+              onClick={handleCreate}
+              disabled={creating}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 text-white py-3 rounded-lg font-medium transition"
+            >
+              {creating ? 'Creating…' : passphrase ? 'Create Protected Link' : 'Create Link'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Drawn as SVG squares from the module matrix, with the standard 4-module
+// quiet zone. Links too long for a QR code get a notice instead.
+function QrCode({ text }) {
+  const modules = useMemo(() => {
+    try {
+      return QRCode.create(text, { errorCorrectionLevel: 'L' }).modules;
+    } catch {
+      return null;
+    }
+  }, [text]);
+
+  if (!modules) {
+    return (
+      <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2 text-sm text-amber-800">
+        <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+        <span>This group is too large for a QR code. Share the link instead.</span>
+      </div>
+    );
+  }
+
+  const size = modules.size + 8;
+  let path = '';
+  for (let y = 0; y < modules.size; y++) {
+    for (let x = 0; x < modules.size; x++) {
+      if (modules.get(y, x)) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+    }
+  }
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-64 h-64 mx-auto" shapeRendering="crispEdges" role="img" aria-label="QR code of the link">
+      <rect width={size} height={size} fill="#fff" />
+      <path d={path} fill="#000" />
+    </svg>
+  );
+}
+
+function ExchangeRatesModal({ group, onClose, onSave }) {
+  const baseCurrency = getBaseCurrency(group);
+  const [rates, setRates] = useState(
+    Object.entries(group.rates || {}).map(([currency, rate]) => ({ currency, rate: String(rate) }))
+  );
+  const [newCurrency, setNewCurrency] = useState('');
+  const [error, setError] = useState('');
+
+  const availableCurrencies = CURRENCIES.filter(
+    c => c !== baseCurrency && !rates.some(r => r.currency === c)
+  );
+
+  const addRate = () => {
+    if (newCurrency) {
+      setRates([...rates, { currency: newCurrency, rate: '' }]);
+      setNewCurrency('');
+    }
+  };
+
+  const handleSubmit = () => {
+    if (rates.some(r => !(parseFloat(r.rate) > 0))) {
+      setError('Every rate must be a number greater than 0');
+      return;
+    }
+    onSave(Object.fromEntries(rates.map(r => [r.currency, parseFloat(r.rate)])));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Exchange Rates</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600">
+            Value of 1 unit of each currency in {baseCurrency}. Rates are stored with every expense when it is added.
+          </p>
+
+          {rates.length > 0 && (
+            <div className="space-y-2">
+              {rates.map(({ currency, rate }) => (
+                <div key={currency} className="flex items-center gap-2">
+                  <span className="text-sm font-medium w-24">1 {currency} =</span>
+                  <input
+                    type="number"
+                    step="any"
+                    value={rate}
+                    onChange={(e) => {
+                      setRates(rates.map(r => r.currency === currency ? { ...r, rate: e.target.value } : r));
+                      setError('');
+                    }}
+                    placeholder="0.00"
+                    className="flex-1 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                  />
+                  <span className="text-sm text-gray-500">{baseCurrency}</span>
+                  <button
+                    onClick={() => setRates(rates.filter(r => r.currency !== currency))}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <select
+              value={newCurrency}
+              onChange={(e) => setNewCurrency(e.target.value)}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            >
+              <option value="">Select currency</option>
+              {availableCurrencies.map(c => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <button
+              onClick={addRate}
+              disabled={!newCurrency}
+              className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-300 text-white px-4 py-2 rounded-lg transition"
+            >
+              Add
+            </button>
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium transition"
+          >
+            Save Rates
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const BUDGET_BAR_COLORS = { ok: 'bg-green-500', warning: 'bg-amber-500', over: 'bg-red-500' };
+
+// One budget's progress bar with the previous period for comparison
+function BudgetProgress({ status, currency, title }) {
+  const { budget, spent, previousSpent, ratio, level } = status;
+  const period = BUDGET_PERIODS.find(p => p.value === budget.period);
+  const change = previousSpent > 0 ? Math.round(((spent - previousSpent) / previousSpent) * 100) : null;
+  return (
+    <div>
+      <div className="flex justify-between items-baseline text-sm mb-1">
+        <span className="font-medium text-gray-800">
+          {title || getBudgetLabel(budget)}
+          <span className="text-gray-500 font-normal"> • {period.adjective}</span>
+        </span>
+        <span className={level === 'over' ? 'text-red-600 font-medium' : 'text-gray-600'}>
+          {formatMoney(spent, currency)} of {formatMoney(budget.amount, currency)} ({Math.round(ratio * 100)}%)
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div className={`h-full ${BUDGET_BAR_COLORS[level]} transition-all`} style={{ width: `${Math.min(100, ratio * 100)}%` }} />
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Last {period.label.toLowerCase()}: {formatMoney(previousSpent, currency)}
+        {change !== null && ` (${change >= 0 ? '+' : ''}${change}% this ${period.label.toLowerCase()} so far)`}
+        {level === 'over' && ` • ${formatMoney(spent - budget.amount, currency)} over budget`}
+      </p>
+    </div>
+  );
+}
+
+function BudgetPanel({ group, expenses, onEdit }) {
+  const statuses = getBudgetStatus(group, expenses, getTodayKey());
+  const currency = getBaseCurrency(group);
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Wallet size={20} />
+          Budgets
+        </h3>
+        <button onClick={onEdit} className="text-indigo-600 hover:text-indigo-700 text-sm font-medium">
+          {statuses.length > 0 ? 'Edit budgets' : 'Set a budget'}
+        </button>
+      </div>
+      {statuses.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No budgets yet. Set a limit for all spending or a category, e.g. {formatMoney(150000, currency)} a month on groceries.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {statuses.map(status => (
+            <BudgetProgress key={status.budget.id} status={status} currency={currency} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Budgets of every group in one card for the dashboard
+function BudgetOverview({ groups, expenses, onOpenGroup }) {
+  const todayKey = getTodayKey();
+  const rows = groups.flatMap(group => getBudgetStatus(group, expenses, todayKey).map(status => ({ group, status })));
+  if (rows.length === 0) return null;
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <Wallet size={20} />
+        Budgets
+      </h3>
+      <div className="space-y-4">
+        {rows.map(({ group, status }) => (
+          <button key={`${group.id}-${status.budget.id}`} onClick={() => onOpenGroup(group.id)} className="block w-full text-left">
+            <BudgetProgress
+              status={status}
+              currency={getBaseCurrency(group)}
+              title={`${group.name}: ${getBudgetLabel(status.budget)}`}
+            />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function BudgetsModal({ group, onClose, onSave }) {
+  const currency = getBaseCurrency(group);
+  const [rows, setRows] = useState(getBudgets(group).map(b => ({ ...b, amount: String(fromMinor(b.amount, currency)) })));
+  const [error, setError] = useState('');
+
+  const updateRow = (id, changes) => {
+    setRows(rows.map(row => row.id === id ? { ...row, ...changes } : row));
+    setError('');
+  };
+
+  const addRow = () => {
+    setRows([...rows, { id: crypto.randomUUID(), category: '', period: 'month', amount: '' }]);
+  };
+
+  const handleSave = () => {
+    const budgets = rows.map(row => ({ ...row, amount: toMinor(row.amount, currency) }));
+    const validationError = validateBudgets(budgets);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSave(budgets);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Budgets</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-500">
+            Amounts are in {currency}. Adding an expense warns when it takes a budget past {WARNING_RATIO * 100}% or over the limit.
+          </p>
+
+          {rows.map(row => (
+            <div key={row.id} className="flex items-center gap-2">
+              <select
+                value={row.category}
+                onChange={(e) => updateRow(row.id, { category: e.target.value })}
+                className="flex-1 min-w-0 px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                <option value="">All spending</option>
+                {CATEGORIES.map(c => (
+                  <option key={c.value} value={c.value}>{c.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                value={row.amount}
+                onChange={(e) => updateRow(row.id, { amount: e.target.value })}
+                placeholder="0.00"
+                className="w-24 px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <select
+                value={row.period}
+                onChange={(e) => updateRow(row.id, { period: e.target.value })}
+                className="px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                {BUDGET_PERIODS.map(p => (
+                  <option key={p.value} value={p.value}>per {p.label.toLowerCase()}</option>
+                ))}
+              </select>
+              <button onClick={() => setRows(rows.filter(r => r.id !== row.id))} className="text-gray-400 hover:text-red-600">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+
+          <button onClick={addRow} className="text-indigo-600 hover:text-indigo-700 text-sm font-medium flex items-center gap-1">
+            <Plus size={16} />
+            Add budget
+          </button>
+
+          <button
+            onClick={handleSave}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium transition"
+          >
+            Save Budgets
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Progress of the settlement plan the group agreed to follow
+function SettlementPlanPanel({ group, payments, onRecord, onDiscard }) {
+  const currency = getBaseCurrency(group);
+  const progress = getPlanProgress(group.settlementPlan, payments);
+  const done = progress.filter(t => t.remaining === 0).length;
+  const memberName = (id) => group.members.find(m => m.id === id)?.name ?? 'Unknown';
+
+  const handleDiscard = () => {
+    if (done === progress.length || window.confirm('Discard this settlement plan? Recorded payments are kept.')) {
+      onDiscard();
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-xl font-bold text-gray-800">Settlement Plan</h3>
+        <button onClick={handleDiscard} className="text-indigo-600 hover:text-indigo-700 text-sm font-medium">
+          {done === progress.length ? 'Close plan' : 'Discard plan'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Agreed {new Date(group.settlementPlan.createdAt).toLocaleDateString()} • {done} of {progress.length} payments complete
+      </p>
+      <div className="space-y-4">
+        {progress.map(t => (
+          <div key={t.id} className="flex items-center gap-3">
+            <div className="flex-1">
+              <div className="flex justify-between items-baseline text-sm mb-1">
+                <span className="font-medium text-gray-800">
+                  {memberName(t.fromId)}
+                  <ArrowRight className="inline mx-2" size={14} />
+                  {memberName(t.toId)}
+                </span>
+                <span className="text-gray-600">
+                  {formatMoney(t.paid, currency)} of {formatMoney(t.amount, currency)} paid
+                </span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-green-500 transition-all" style={{ width: `${Math.min(100, (t.paid / t.amount) * 100)}%` }} />
+              </div>
+            </div>
+            {t.remaining > 0 ? (
+              <button
+                onClick={() => onRecord(t)}
+                className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm font-medium transition"
+              >
+                Record
+              </button>
+            ) : (
+              <span className="text-green-600 text-sm font-medium px-3">Paid</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// "Can only pay" lists per member plus a minimum transfer for the optimized plan
+function SettlementRulesModal({ group, onClose, onSave }) {
+  const baseCurrency = getBaseCurrency(group);
+  const members = getActiveMembers(group);
+  const rules = getSettlementRules(group);
+  const [minTransfer, setMinTransfer] = useState(rules.minTransfer ? String(fromMinor(rules.minTransfer, baseCurrency)) : '');
+  const [allowedPayees, setAllowedPayees] = useState(rules.allowedPayees);
+  const [error, setError] = useState('');
 
-  const handleSettlement = (settlement) => {
-    if (window.confirm(`Mark payment: ${settlement.from} paid ${settlement.to} $${settlement.amount.toFixed(2)}?`)) {
-      onRecordPayment(group.id, settlement.fromId, settlement.toId, settlement.amount);
+  const togglePayee = (fromId, toId) => {
+    const current = allowedPayees[fromId] || [];
+    const next = current.includes(toId) ? current.filter(id => id !== toId) : [...current, toId];
+    setAllowedPayees({ ...allowedPayees, [fromId]: next });
+  };
+
+  const handleSubmit = () => {
+    const min = minTransfer.trim() ? toMinor(minTransfer, baseCurrency) : 0;
+    if (!Number.isInteger(min) || min < 0) {
+      setError('Minimum transfer must be 0 or more');
+      return;
     }
+    const activeIds = members.map(m => m.id);
+    onSave({
+      minTransfer: min,
+      allowedPayees: Object.fromEntries(
+        Object.entries(allowedPayees)
+          .filter(([fromId]) => activeIds.includes(fromId))
+          .map(([fromId, ids]) => [fromId, ids.filter(id => activeIds.includes(id))])
+          .filter(([, ids]) => ids.length > 0)
+      )
+    });
   };
 
   return (
-    <div className="space-y-6">
-      <div className="bg-white rounded-xl shadow-md p-6">
-        <div className="flex items-center justify-between mb-4">
-          <button onClick={onBack} className="text-indigo-600 hover:text-indigo-700 font-medium">
-            ← Back to Groups
-          </button>
-          <button
-            onClick={onAddExpense}
-            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
-          >
-            <Plus size={20} />
-            Add Expense
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Settlement Rules</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
           </button>
         </div>
-        <h2 className="text-2xl font-bold text-gray-800">{group.name}</h2>
-        <div className="flex flex-wrap gap-2 mt-2">
-          {group.members.map(m => (
-            <span key={m.id} className="bg-indigo-100 text-indigo-700 px-3 py-1 rounded-full text-sm">
-              {m.name}
-            </span>
-          ))}
-        </div>
-      </div>
 
-      {settlements.length > 0 ? (
-        <div className="bg-white rounded-xl shadow-md p-6">
-          <h3 className="text-xl font-bold text-gray-800 mb-4">Who Owes What</h3>
-          <div className="space-y-3">
-            {settlements.map((s, i) => (
-              <div key={i} className="flex items-center gap-3 p-3 bg-green-50 rounded-lg">
-                <div className="flex-1">
-                  <span className="font-medium">{s.from}</span>
-                  <ArrowRight className="inline mx-2" size={16} />
-                  <span className="font-medium">{s.to}</span>
-                </div>
-                <span className="text-green-600 font-bold text-lg">
-                  ${s.amount.toFixed(2)}
-                </span>
-                <button
-                  onClick={() => handleSettlement(s)}
-                  className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm font-medium transition"
-                >
-                  Settle
-                </button>
-              </div>
-            ))}
+        <div className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-start gap-2">
+              <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Avoid payments under ({baseCurrency})
+            </label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={minTransfer}
+              onChange={(e) => {
+                setMinTransfer(e.target.value);
+                setError('');
+              }}
+              placeholder="0.00"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
           </div>
-        </div>
-      ) : expenses.length > 0 ? (
-        <div className="bg-white rounded-xl shadow-md p-6">
-          <div className="flex items-center gap-2 text-green-600">
-            <AlertCircle size={20} />
-            <span className="font-medium">All settled up! No one owes anyone.</span>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Who can pay whom</p>
+            <p className="text-xs text-gray-500 mb-2">Leave everyone unticked to allow paying anyone.</p>
+            <div className="space-y-3">
+              {members.map(from => (
+                <div key={from.id} className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-sm font-medium text-gray-800 mb-1">{from.name} can only pay</p>
+                  <div className="flex flex-wrap gap-3">
+                    {members.filter(to => to.id !== from.id).map(to => (
+                      <label key={to.id} className="flex items-center gap-1 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={(allowedPayees[from.id] || []).includes(to.id)}
+                          onChange={() => togglePayee(from.id, to.id)}
+                        />
+                        {to.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
           </div>
-        </div>
-      ) : null}
 
-      <div className="bg-white rounded-xl shadow-md p-6">
-        <h3 className="text-xl font-bold text-gray-800 mb-4">Transaction History</h3>
-        <div className="space-y-3">
-          {expenses.length === 0 && payments.length === 0 ? (
-            <p className="text-gray-500 text-center py-8">No transactions yet. Add an expense to get started!</p>
-          ) : (
-            [...expenses.map(e => ({ ...e, type: 'expense' })), 
-             ...payments.map(p => ({ ...p, type: 'payment' }))]
-              .sort((a, b) => new Date(b.date) - new Date(a.date))
-              .map(transaction => {
-                if (transaction.type === 'expense') {
-                  const payer = group.members.find(m => m.id === transaction.paidBy);
-                  return (
-                    <div key={transaction.id} className="border rounded-lg p-4 hover:bg-gray-50 transition">
-                      <div className="flex justify-between items-start mb-2">
-                        <div>
-                          <h4 className="font-semibold text-gray-800">{transaction.description}</h4>
-                          <p className="text-sm text-gray-600 mt-1">
-                            Paid by {payer?.name} • {new Date(transaction.date).toLocaleDateString()}
-                          </p>
-                        </div>
-                        <span className="text-xl font-bold text-indigo-600">
-                          ${transaction.amount.toFixed(2)}
-                        </span>
-                      </div>
-                      {transaction.splitType === 'custom' && (
-                        <div className="mt-2 pt-2 border-t text-sm text-gray-600">
-                          <span className="font-medium">Custom split:</span>{' '}
-                          {transaction.splits.map((split, idx) => {
-                            const member = group.members.find(m => m.id === split.memberId);
-                            return `${member?.name} ($${split.amount.toFixed(2)})${idx < transaction.splits.length - 1 ? ', ' : ''}`;
-                          })}
-                        </div>
-                      )}
-                    </div>
-                  );
-                } else {
-                  const fromMember = group.members.find(m => m.id === transaction.fromId);
-                  const toMember = group.members.find(m => m.id === transaction.toId);
-                  return (
-                    <div key={transaction.id} className="border border-green-200 bg-green-50 rounded-lg p-4">
-                      <div className="flex justify-between items-start">
-                        <div>
-                          <h4 className="font-semibold text-green-800">Payment Recorded</h4>
-                          <p className="text-sm text-green-700 mt-1">
-                            {fromMember?.name} paid {toMember?.name} • {new Date(transaction.date).toLocaleDateString()}
-                          </p>
-                        </div>
-                        <span className="text-xl font-bold text-green-600">
-                          ${transaction.amount.toFixed(2)}
-                        </span>
-                      </div>
-                    </div>
-                  );
-                }
-              })
-          )}
+          <button
+            onClick={handleSubmit}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-3 rounded-lg font-medium transition"
+          >
+            Save Rules
+          </button>
         </div>
       </div>
     </div>
   );
 }
 
-function AddGroupModal({ onClose, onAdd }) {
+// Names typed into member inputs that match a contact link to that person
+function ContactSuggestions({ contacts }) {
+  return (
+    <datalist id="contact-names">
+      {contacts.map(c => (
+        <option key={c.id} value={c.name} />
+      ))}
+    </datalist>
+  );
+}
+
+function AddGroupModal({ contacts, onClose, onAdd }) {
   const [name, setName] = useState('');
   const [memberInput, setMemberInput] = useState('');
   const [members, setMembers] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
 
   const addMember = () => {
     if (memberInput.trim() && !members.includes(memberInput.trim())) {
@@ -551,7 +4361,7 @@ function AddGroupModal({ onClose, onAdd }) {
 
   const handleSubmit = () => {
     if (name.trim() && members.length >= 2) {
-      onAdd(name, members);
+      onAdd(name, members, baseCurrency);
     }
   };
 
@@ -579,6 +4389,21 @@ function AddGroupModal({ onClose, onAdd }) {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Base Currency
+            </label>
+            <select
+              value={baseCurrency}
+              onChange={(e) => setBaseCurrency(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            >
+              {CURRENCIES.map(c => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Add Members (minimum 2)
@@ -590,8 +4415,10 @@ function AddGroupModal({ onClose, onAdd }) {
                 onChange={(e) => setMemberInput(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && addMember()}
                 placeholder="Enter name"
+                list="contact-names"
                 className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               />
+              <ContactSuggestions contacts={contacts} />
               <button
                 onClick={addMember}
                 className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg transition"
@@ -630,15 +4457,53 @@ function AddGroupModal({ onClose, onAdd }) {
   );
 }
 
-function AddExpenseModal({ group, onClose, onAdd }) {
-  const [description, setDescription] = useState('');
-  const [amount, setAmount] = useState('');
-  const [paidBy, setPaidBy] = useState(group.members[0]?.id || '');
-  const [splitType, setSplitType] = useState('equal');
+// Passing `expense` opens the modal prefilled for editing that expense
+// `recurrence` is set when editing a recurring template; new expenses can
+// be turned into one with the Repeat section
+// `expenses` are checked against the group's budgets as the form is filled in
+function AddExpenseModal({ group, expense, recurrence, expenses = [], tagSuggestions = [], onClose, onAdd }) {
+  const members = getActiveMembers(group);
+  const initialCurrency = expense ? getExpenseCurrency(expense, group) : getBaseCurrency(group);
+  const details = expense?.splitDetails;
+  const toInput = (minor) => (minor ? String(fromMinor(minor, initialCurrency)) : '');
+  const findFor = (list, memberId) => list?.find(x => x.memberId === memberId);
+
+  const [description, setDescription] = useState(expense?.description || '');
+  const [amount, setAmount] = useState(expense ? toInput(expense.amount) : '');
+  const [currency, setCurrency] = useState(initialCurrency);
+  const [paidBy, setPaidBy] = useState(expense?.paidBy || members[0]?.id || '');
+  const [category, setCategory] = useState(expense?.category || '');
+  const [tagInput, setTagInput] = useState((expense?.tags || []).join(', '));
+  const [splitType, setSplitType] = useState(expense?.splitType || 'equal');
   const [customSplits, setCustomSplits] = useState(
-    group.members.map(m => ({ memberId: m.id, amount: '' }))
+    members.map(m => ({
+      memberId: m.id,
+      amount: expense?.splitType === 'custom' ? toInput(findFor(details?.splits || expense.splits, m.id)?.amount) : ''
+    }))
   );
+  const [excludedIds, setExcludedIds] = useState(details?.excludedIds || []);
+  const [percentages, setPercentages] = useState(
+    members.map(m => ({ memberId: m.id, percent: String(findFor(details?.percentages, m.id)?.percent ?? '') }))
+  );
+  const [shares, setShares] = useState(
+    members.map(m => ({ memberId: m.id, shares: String(findFor(details?.shares, m.id)?.shares ?? '1') }))
+  );
+  const [items, setItems] = useState(
+    (details?.items || []).map(item => ({ ...item, amount: toInput(item.amount) }))
+  );
+  const [tax, setTax] = useState(toInput(details?.tax));
+  const [tip, setTip] = useState(toInput(details?.tip));
+  const [frequency, setFrequency] = useState(recurrence?.frequency || 'none');
+  const [repeatEvery, setRepeatEvery] = useState(String(recurrence?.interval || 2));
+  const [intervalUnit, setIntervalUnit] = useState(recurrence?.intervalUnit || 'week');
+  const [startDate, setStartDate] = useState(recurrence?.startDate || getTodayKey());
+  const [endDate, setEndDate] = useState(recurrence?.endDate || '');
+  const [variableAmount, setVariableAmount] = useState(recurrence?.amountType === 'variable');
   const [error, setError] = useState('');
+  const canRepeat = Boolean(recurrence) || !expense;
+  const [newAttachments, setNewAttachments] = useState([]);
+
+  const isItemized = splitType === 'itemized';
 
   const handleCustomSplitChange = (memberId, value) => {
     setCustomSplits(customSplits.map(s => 
@@ -647,16 +4512,83 @@ function AddExpenseModal({ group, onClose, onAdd }) {
     setError('');
   };
 
+  const toggleExcluded = (memberId) => {
+    setExcludedIds(excludedIds.includes(memberId)
+      ? excludedIds.filter(id => id !== memberId)
+      : [...excludedIds, memberId]);
+    setError('');
+  };
+
+  const addItem = () => {
+    setItems([...items, {
+      id: crypto.randomUUID(),
+      description: '',
+      amount: '',
+      memberIds: members.map(m => m.id)
+    }]);
+  };
+
+  const updateItem = (itemId, changes) => {
+    setItems(items.map(item => item.id === itemId ? { ...item, ...changes } : item));
+    setError('');
+  };
+
+  const toggleItemMember = (item, memberId) => {
+    updateItem(item.id, {
+      memberIds: item.memberIds.includes(memberId)
+        ? item.memberIds.filter(id => id !== memberId)
+        : [...item.memberIds, memberId]
+    });
+  };
+
+  // Converts the form state of the current split type into stored splitDetails
+  const buildSplitDetails = () => {
+    switch (splitType) {
+      case 'exclude':
+        return { excludedIds };
+      case 'custom':
+        return { splits: customSplits.map(s => ({ memberId: s.memberId, amount: toMinor(s.amount, currency) })) };
+      case 'percentage':
+        return { percentages: percentages.map(p => ({ memberId: p.memberId, percent: parseFloat(p.percent) || 0 })) };
+      case 'shares':
+        return { shares: shares.map(s => ({ memberId: s.memberId, shares: parseFloat(s.shares) || 0 })) };
+      case 'itemized':
+        return {
+          items: items.map(item => ({ ...item, amount: toMinor(item.amount, currency) })),
+          tax: toMinor(tax, currency),
+          tip: toMinor(tip, currency)
+        };
+      default:
+        return undefined;
+    }
+  };
+
+  const itemizedTotal = isItemized ? getItemizedTotal(buildSplitDetails()) : 0;
+
+  // Budgets this expense would take past 80% or over the limit
+  const previewAmount = isItemized ? itemizedTotal : toMinor(amount, currency);
+  const budgetAlerts = frequency === 'none' && previewAmount > 0 && getRate(group, currency) !== null
+    ? getBudgetAlerts(group, expenses, {
+      id: expense?.id,
+      groupId: group.id,
+      date: expense?.date || new Date().toISOString(),
+      category,
+      amount: previewAmount,
+      currency,
+      exchangeRate: getRate(group, currency)
+    })
+    : [];
+
   const validateCustomSplits = () => {
-    const totalAmount = parseFloat(amount);
-    const splitTotal = customSplits.reduce((sum, s) => sum + (parseFloat(s.amount) || 0), 0);
+    const totalAmount = toMinor(amount, currency);
+    const splitTotal = sumMinor(customSplits.map(s => toMinor(s.amount, currency)));
     
-    if (Math.abs(totalAmount - splitTotal) > 0.01) {
-      setError(`Split amounts ($${splitTotal.toFixed(2)}) must equal total ($${totalAmount.toFixed(2)})`);
+    if (totalAmount !== splitTotal) {
+      setError(`Split amounts (${formatMoney(splitTotal, currency)}) must equal total (${formatMoney(totalAmount, currency)})`);
       return false;
     }
     
-    const hasInvalid = customSplits.some(s => !s.amount || parseFloat(s.amount) <= 0);
+    const hasInvalid = customSplits.some(s => !s.amount || toMinor(s.amount, currency) <= 0);
     if (hasInvalid) {
       setError('All members must have a valid amount greater than 0');
       return false;
@@ -666,27 +4598,73 @@ function AddExpenseModal({ group, onClose, onAdd }) {
   };
 
   const handleSubmit = () => {
-    if (!description.trim() || !amount || !paidBy) {
+    if (!description.trim() || (!amount && !isItemized) || !paidBy) {
       setError('Please fill in all required fields');
       return;
     }
 
+    const totalAmount = isItemized ? itemizedTotal : toMinor(amount, currency);
+    if (totalAmount <= 0) {
+      setError('Amount must be greater than 0');
+      return;
+    }
+
     if (splitType === 'custom' && !validateCustomSplits()) {
       return;
     }
 
-    const finalSplits = splitType === 'custom' 
-      ? customSplits.map(s => ({ memberId: s.memberId, amount: parseFloat(s.amount) }))
-      : [];
+    const splitDetails = buildSplitDetails();
+    const validators = {
+      exclude: () => validateExclusions(members, splitDetails),
+      percentage: () => validatePercentages(members, splitDetails),
+      shares: () => validateShares(members, splitDetails),
+      itemized: () => validateItems(members, splitDetails)
+    };
+    const splitError = validators[splitType]?.();
+    if (splitError) {
+      setError(splitError);
+      return;
+    }
+
+    let schedule = null;
+    if (frequency !== 'none') {
+      const interval = parseInt(repeatEvery, 10);
+      if (frequency === 'custom' && !(interval > 0)) {
+        setError('Repeat interval must be a whole number of at least 1');
+        return;
+      }
+      if (!startDate || (endDate && endDate < startDate)) {
+        setError('The end date must be after the start date');
+        return;
+      }
+      if (variableAmount && !VARIABLE_SPLIT_TYPES.includes(splitType)) {
+        setError(`A varying amount cannot be split by ${getSplitTypeLabel(splitType).toLowerCase()}`);
+        return;
+      }
+      schedule = {
+        frequency,
+        interval: frequency === 'custom' ? interval : undefined,
+        intervalUnit: frequency === 'custom' ? intervalUnit : undefined,
+        startDate,
+        endDate: endDate || null,
+        amountType: variableAmount ? 'variable' : 'fixed'
+      };
+    }
 
-    onAdd(group.id, description, parseFloat(amount), paidBy, splitType, finalSplits);
+    const saveError = onAdd(
+      group.id, description, totalAmount, paidBy, splitType, splitDetails, currency, { category, tags: parseTags(tagInput) }, schedule,
+      schedule ? [] : newAttachments
+    );
+    if (saveError) setError(saveError);
   };
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
       <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold text-gray-800">Add Expense</h2>
+          <h2 className="text-2xl font-bold text-gray-800">
+            {recurrence ? 'Edit Recurring Expense' : expense ? 'Edit Expense' : 'Add Expense'}
+          </h2>
           <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
             <X size={24} />
           </button>
@@ -715,19 +4693,42 @@ function AddExpenseModal({ group, onClose, onAdd }) {
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
-              Amount ($) *
+              Amount *
             </label>
-            <input
-              type="number"
-              step="0.01"
-              value={amount}
-              onChange={(e) => {
-                setAmount(e.target.value);
-                setError('');
-              }}
-              placeholder="0.00"
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-            />
+            <div className="flex gap-2">
+              {isItemized ? (
+                <div className="flex-1 px-4 py-2 border border-gray-200 bg-gray-50 rounded-lg text-gray-700">
+                  {formatMoney(itemizedTotal, currency)}
+                  <span className="text-xs text-gray-500 ml-2">from items</span>
+                </div>
+              ) : (
+                <input
+                  type="number"
+                  step="0.01"
+                  value={amount}
+                  onChange={(e) => {
+                    setAmount(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="0.00"
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                />
+              )}
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                {getGroupCurrencies(group).map(c => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+            </div>
+            {currency !== getBaseCurrency(group) && (amount || isItemized) && (
+              <p className="text-xs text-gray-500 mt-1">
+                ≈ {formatMoney(convertMinor(isItemized ? itemizedTotal : toMinor(amount, currency), getRate(group, currency), currency, getBaseCurrency(group)), getBaseCurrency(group))} at 1 {currency} = {getRate(group, currency)} {getBaseCurrency(group)}
+              </p>
+            )}
           </div>
 
           <div>
@@ -739,7 +4740,7 @@ function AddExpenseModal({ group, onClose, onAdd }) {
               onChange={(e) => setPaidBy(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
             >
-              {group.members.map(member => (
+              {members.map(member => (
                 <option key={member.id} value={member.id}>
                   {member.name}
                 </option>
@@ -747,6 +4748,45 @@ function AddExpenseModal({ group, onClose, onAdd }) {
             </select>
           </div>
 
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              >
+                <option value="">None</option>
+                {CATEGORIES.map(c => (
+                  <option key={c.value} value={c.value}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+              <input
+                type="text"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                placeholder="e.g., ski trip, work"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+          {tagSuggestions.some(tag => !parseTags(tagInput).includes(tag)) && (
+            <div className="flex flex-wrap gap-1 -mt-2">
+              {tagSuggestions.filter(tag => !parseTags(tagInput).includes(tag)).slice(0, 8).map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => setTagInput([...parseTags(tagInput), tag].join(', '))}
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full text-xs transition"
+                >
+                  + {tag}
+                </button>
+              ))}
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Split Type *
@@ -759,31 +4799,200 @@ function AddExpenseModal({ group, onClose, onAdd }) {
               }}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
             >
-              <option value="equal">Split Equally</option>
-              <option value="custom">Custom Amounts</option>
+              {SPLIT_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
             </select>
           </div>
 
+          {splitType === 'exclude' && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <label className="block text-sm font-medium text-gray-700 mb-3">
+                Who shares this expense?
+              </label>
+              <div className="space-y-2">
+                {members.map(member => (
+                  <label key={member.id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={!excludedIds.includes(member.id)}
+                      onChange={() => toggleExcluded(member.id)}
+                    />
+                    {member.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {splitType === 'percentage' && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <label className="block text-sm font-medium text-gray-700 mb-3">
+                Enter a percentage for each person:
+              </label>
+              <div className="space-y-2">
+                {percentages.map(p => (
+                  <div key={p.memberId} className="flex items-center gap-2">
+                    <span className="text-sm font-medium w-24 truncate">
+                      {group.members.find(m => m.id === p.memberId)?.name}
+                    </span>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={p.percent}
+                      onChange={(e) => {
+                        setPercentages(percentages.map(x => x.memberId === p.memberId ? { ...x, percent: e.target.value } : x));
+                        setError('');
+                      }}
+                      placeholder="0"
+                      className="flex-1 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                    />
+                    <span className="text-sm text-gray-500">%</span>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Total: {percentages.reduce((sum, p) => sum + (parseFloat(p.percent) || 0), 0).toFixed(2)}%
+              </p>
+            </div>
+          )}
+
+          {splitType === 'shares' && (
+            <div className="border rounded-lg p-4 bg-gray-50">
+              <label className="block text-sm font-medium text-gray-700 mb-3">
+                Enter shares for each person (e.g. 2 : 1 : 1):
+              </label>
+              <div className="space-y-2">
+                {shares.map(s => (
+                  <div key={s.memberId} className="flex items-center gap-2">
+                    <span className="text-sm font-medium w-24 truncate">
+                      {group.members.find(m => m.id === s.memberId)?.name}
+                    </span>
+                    <input
+                      type="number"
+                      step="0.5"
+                      min="0"
+                      value={s.shares}
+                      onChange={(e) => {
+                        setShares(shares.map(x => x.memberId === s.memberId ? { ...x, shares: e.target.value } : x));
+                        setError('');
+                      }}
+                      className="flex-1 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {isItemized && (
+            <div className="border rounded-lg p-4 bg-gray-50 space-y-3">
+              <label className="block text-sm font-medium text-gray-700">
+                Line items
+              </label>
+              {items.map(item => (
+                <div key={item.id} className="bg-white border rounded-lg p-3 space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={item.description}
+                      onChange={(e) => updateItem(item.id, { description: e.target.value })}
+                      placeholder="Item"
+                      className="flex-1 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={item.amount}
+                      onChange={(e) => updateItem(item.id, { amount: e.target.value })}
+                      placeholder="0.00"
+                      className="w-24 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                    />
+                    <button
+                      onClick={() => setItems(items.filter(i => i.id !== item.id))}
+                      className="text-red-500 hover:text-red-700"
+                    >
+                      <X size={18} />
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {members.map(member => (
+                      <button
+                        key={member.id}
+                        onClick={() => toggleItemMember(item, member.id)}
+                        className={`px-2 py-0.5 rounded-full text-xs transition ${
+                          item.memberIds.includes(member.id)
+                            ? 'bg-indigo-100 text-indigo-700'
+                            : 'bg-gray-100 text-gray-400 line-through'
+                        }`}
+                      >
+                        {member.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              <button
+                onClick={addItem}
+                className="text-indigo-600 hover:text-indigo-700 text-sm font-medium flex items-center gap-1"
+              >
+                <Plus size={16} />
+                Add item
+              </button>
+              <div className="flex gap-2">
+                <div className="flex-1">
+                  <label className="block text-xs text-gray-600 mb-1">Tax</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={tax}
+                    onChange={(e) => {
+                      setTax(e.target.value);
+                      setError('');
+                    }}
+                    placeholder="0.00"
+                    className="w-full px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                  />
+                </div>
+                <div className="flex-1">
+                  <label className="block text-xs text-gray-600 mb-1">Tip</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={tip}
+                    onChange={(e) => {
+                      setTip(e.target.value);
+                      setError('');
+                    }}
+                    placeholder="0.00"
+                    className="w-full px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">Tax and tip are shared in proportion to each person's items.</p>
+            </div>
+          )}
+
           {splitType === 'custom' && (
             <div className="border rounded-lg p-4 bg-gray-50">
               <label className="block text-sm font-medium text-gray-700 mb-3">
                 Enter amount for each person:
               </label>
               <div className="space-y-2">
-                {group.members.map(member => {
+                {members.map(member => {
                   const split = customSplits.find(s => s.memberId === member.id);
                   return (
                     <div key={member.id} className="flex items-center gap-2">
                       <span className="text-sm font-medium w-24 truncate">{member.name}</span>
                       <div className="flex-1 relative">
-                        <span className="absolute left-3 top-2 text-gray-500">$</span>
+                        <span className="absolute left-3 top-1.5 text-gray-500 text-xs">{currency}</span>
                         <input
                           type="number"
                           step="0.01"
                           value={split?.amount || ''}
                           onChange={(e) => handleCustomSplitChange(member.id, e.target.value)}
                           placeholder="0.00"
-                          className="w-full pl-7 pr-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                          className="w-full pl-12 pr-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
                         />
                       </div>
                     </div>
@@ -793,12 +5002,129 @@ function AddExpenseModal({ group, onClose, onAdd }) {
             </div>
           )}
 
+          {frequency === 'none' && (
+            <div className="space-y-2">
+              <AttachmentPicker onAdd={(prepared) => setNewAttachments([...newAttachments, ...prepared])} />
+              {newAttachments.map(attachment => (
+                <div key={attachment.id} className="flex items-center gap-2 text-sm text-gray-600">
+                  {isImage(attachment) ? <Paperclip size={14} /> : <FileText size={14} />}
+                  <span className="flex-1 truncate">{attachment.name}</span>
+                  <span className="text-xs text-gray-400">{formatFileSize(attachment.size)}</span>
+                  <button
+                    onClick={() => setNewAttachments(newAttachments.filter(a => a.id !== attachment.id))}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              {(expense?.attachments?.length > 0) && (
+                <p className="text-xs text-gray-500">
+                  {expense.attachments.length} receipt{expense.attachments.length === 1 ? '' : 's'} already attached
+                </p>
+              )}
+            </div>
+          )}
+
+          {budgetAlerts.map(({ budget, spent, previousSpent, level }) => {
+            const period = BUDGET_PERIODS.find(p => p.value === budget.period).label.toLowerCase();
+            const baseCurrency = getBaseCurrency(group);
+            return (
+              <div
+                key={budget.id}
+                className={`px-4 py-3 rounded-lg flex items-start gap-2 text-sm border ${
+                  level === 'over' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-amber-50 border-amber-200 text-amber-800'
+                }`}
+              >
+                <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />
+                <span>
+                  {level === 'over'
+                    ? `This puts ${getBudgetLabel(budget)} over its budget: ${formatMoney(spent, baseCurrency)} of ${formatMoney(budget.amount, baseCurrency)} this ${period}.`
+                    : `This takes ${getBudgetLabel(budget)} to ${Math.round((spent / budget.amount) * 100)}% of its budget (${formatMoney(spent, baseCurrency)} of ${formatMoney(budget.amount, baseCurrency)}) this ${period}.`}
+                  {' '}Last {period}: {formatMoney(previousSpent, baseCurrency)}.
+                </span>
+              </div>
+            );
+          })}
+
+          {canRepeat && (
+            <div className="border rounded-lg p-4 bg-gray-50 space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+                <select
+                  value={frequency}
+                  onChange={(e) => setFrequency(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                >
+                  {!recurrence && <option value="none">Does not repeat</option>}
+                  {FREQUENCIES.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {frequency === 'custom' && (
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-gray-700">Every</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={repeatEvery}
+                    onChange={(e) => setRepeatEvery(e.target.value)}
+                    className="w-20 px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  />
+                  <select
+                    value={intervalUnit}
+                    onChange={(e) => setIntervalUnit(e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  >
+                    {INTERVAL_UNITS.map(u => (
+                      <option key={u.value} value={u.value}>{u.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {frequency !== 'none' && (
+                <>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Starts</label>
+                      <input
+                        type="date"
+                        value={startDate}
+                        onChange={(e) => setStartDate(e.target.value)}
+                        className="w-full px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Ends (optional)</label>
+                      <input
+                        type="date"
+                        value={endDate}
+                        onChange={(e) => setEndDate(e.target.value)}
+                        className="w-full px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+                      />
+                    </div>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={variableAmount} onChange={(e) => setVariableAmount(e.target.checked)} />
+                    Amount varies - ask for it each time instead of posting automatically
+                  </label>
+                  <p className="text-xs text-gray-500">
+                    Occurrences up to today are posted as soon as you save, and missed ones whenever the app opens.
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+
           <button
             onClick={handleSubmit}
-            disabled={!description.trim() || !amount || !paidBy}
+            disabled={!description.trim() || (!amount && !isItemized) || !paidBy}
             className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white py-3 rounded-lg font-medium transition"
           >
-            Add Expense
+            {expense ? 'Save Changes' : frequency !== 'none' ? 'Add Recurring Expense' : 'Add Expense'}
           </button>
         </div>
       </div>
@@ -0,0 +1,146 @@
+import { getBaseCurrency, getExpenseBaseAmount, getExpenseBaseSplits } from './currency.js';
+import { getCategory, CATEGORIES, UNCATEGORIZED } from './categories.js';
+import { toDateKey } from './recurring.js';
+
+// Spending figures for the analytics views. Everything is in base currency
+// minor units; callers only combine groups that share a base currency.
+
+export const DATE_RANGES = [
+  { value: 'all', label: 'All time' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+  { value: 'year', label: 'This year' },
+  { value: 'custom', label: 'Custom' }
+];
+
+// { from, to } date keys for a preset, either side null when open
+export const getDateRange = (preset, todayKey, custom = {}) => {
+  const daysAgo = (days) => {
+    const [year, month, day] = todayKey.split('-').map(Number);
+    return toDateKey(new Date(year, month - 1, day - days));
+  };
+  switch (preset) {
+    case '30d': return { from: daysAgo(29), to: todayKey };
+    case '90d': return { from: daysAgo(89), to: todayKey };
+    case 'year': return { from: `${todayKey.slice(0, 4)}-01-01`, to: todayKey };
+    case 'custom': return { from: custom.from || null, to: custom.to || null };
+    default: return { from: null, to: null };
+  }
+};
+
+const getDateKey = (record) => toDateKey(new Date(record.date));
+
+export const filterByDateRange = (records, { from, to }) => records.filter(record => {
+  const key = getDateKey(record);
+  return (!from || key >= from) && (!to || key <= to);
+});
+
+// Base currencies of the given groups, most groups first
+export const getAnalyticsCurrencies = (groups) => {
+  const counts = new Map();
+  groups.forEach(group => counts.set(getBaseCurrency(group), (counts.get(getBaseCurrency(group)) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([currency]) => currency);
+};
+
+const withGroups = (groups, expenses) => {
+  const byId = new Map(groups.map(g => [g.id, g]));
+  return expenses.filter(e => byId.has(e.groupId)).map(expense => ({ expense, group: byId.get(expense.groupId) }));
+};
+
+const sortByAmount = (rows) => rows.filter(row => row.amount > 0).sort((a, b) => b.amount - a.amount);
+
+// [{ key, label, color, amount }]
+export const getSpendingByCategory = (groups, expenses) => {
+  const totals = new Map();
+  withGroups(groups, expenses).forEach(({ expense, group }) => {
+    const key = getCategory(expense.category).value;
+    totals.set(key, (totals.get(key) || 0) + getExpenseBaseAmount(expense, group));
+  });
+  return sortByAmount([...CATEGORIES, UNCATEGORIZED].map(c => ({
+    key: c.value || 'none', label: c.label, color: c.color, amount: totals.get(c.value) || 0
+  })));
+};
+
+// [{ key, label, amount }]
+export const getSpendingByGroup = (groups, expenses) => {
+  const totals = new Map();
+  withGroups(groups, expenses).forEach(({ expense, group }) => {
+    totals.set(group.id, (totals.get(group.id) || 0) + getExpenseBaseAmount(expense, group));
+  });
+  return sortByAmount(groups.map(g => ({ key: g.id, label: g.name, amount: totals.get(g.id) || 0 })));
+};
+
+// What each member consumed, i.e. their share of expenses:
+// [{ key, label, amount }]
+export const getSpendingByMember = (group, expenses) => {
+  const shares = {};
+  withGroups([group], expenses).forEach(({ expense }) => {
+    getExpenseBaseSplits(expense, group).forEach(split => {
+      shares[split.memberId] = (shares[split.memberId] || 0) + split.amount;
+    });
+  });
+  return sortByAmount(group.members.map(m => ({
+    key: m.id, label: m.name, amount: shares[m.id] || 0
+  })));
+};
+
+const nextMonth = (month) => {
+  const [year, m] = month.split('-').map(Number);
+  return m === 12 ? `${year + 1}-01` : `${year}-${String(m + 1).padStart(2, '0')}`;
+};
+
+// Consecutive months from the first to the last expense, empty months
+// included: [{ key: 'YYYY-MM', amount }]
+export const getMonthlySpending = (groups, expenses) => {
+  const totals = new Map();
+  withGroups(groups, expenses).forEach(({ expense, group }) => {
+    const month = getDateKey(expense).slice(0, 7);
+    totals.set(month, (totals.get(month) || 0) + getExpenseBaseAmount(expense, group));
+  });
+  const months = [...totals.keys()].sort();
+  if (months.length === 0) return [];
+  const rows = [];
+  for (let month = months[0]; month <= months[months.length - 1]; month = nextMonth(month)) {
+    rows.push({ key: month, amount: totals.get(month) || 0 });
+  }
+  return rows;
+};
+
+// Each member's balance at the end of every day with activity, positive =
+// owed money: [{ date, balances: { [memberId]: minor } }]. Balances carried
+// in from before `range.from` are the starting point, so the line matches
+// the balances shown elsewhere.
+export const getBalanceHistory = (group, expenses, payments, range = {}) => {
+  const balances = Object.fromEntries(group.members.map(m => [m.id, 0]));
+  const events = [
+    ...expenses.filter(e => e.groupId === group.id).map(expense => ({
+      date: getDateKey(expense),
+      apply: () => {
+        balances[expense.paidBy] += getExpenseBaseAmount(expense, group);
+        getExpenseBaseSplits(expense, group).forEach(split => {
+          balances[split.memberId] -= split.amount;
+        });
+      }
+    })),
+    ...payments.filter(p => p.groupId === group.id).map(payment => ({
+      date: getDateKey(payment),
+      apply: () => {
+        balances[payment.fromId] += payment.amount;
+        balances[payment.toId] -= payment.amount;
+      }
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const points = [];
+  events.forEach(event => {
+    if (range.to && event.date > range.to) return;
+    event.apply();
+    const date = range.from && event.date < range.from ? range.from : event.date;
+    if (points.length > 0 && points[points.length - 1].date === date) {
+      points[points.length - 1].balances = { ...balances };
+    } else {
+      points.push({ date, balances: { ...balances } });
+    }
+  });
+  return points;
+};
@@ -0,0 +1,107 @@
+// Receipt attachments: images are downscaled and get a thumbnail before
+// they are stored; PDFs are kept as they are.
+
+export const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+
+export const MAX_FILE_SIZE = 15 * 1024 * 1024;
+
+// Longest side in pixels
+const MAX_IMAGE_SIZE = 1600;
+const THUMBNAIL_SIZE = 200;
+
+export const isImage = (attachment) => attachment.type.startsWith('image/');
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Draws the image at most `maxSize` pixels on its longest side and encodes
+// it as JPEG. Images already small enough are returned unchanged unless
+// `force` is set.
+const resizeImage = async (bitmap, source, maxSize, force = false) => {
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1 && !force) return source;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; receipts read best on white
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/jpeg', 0.85);
+  });
+};
+
+// Turns a picked file into an attachment record ready for the attachment
+// store: { attachment } with { id, name, type, size, blob, thumbnail,
+// createdAt }, or { error }
+export const prepareAttachment = async (file) => {
+  if (!ACCEPTED_TYPES.includes(file.type)) {
+    return { error: `${file.name} is not an image or PDF` };
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return { error: `${file.name} is larger than ${formatFileSize(MAX_FILE_SIZE)}` };
+  }
+
+  let blob = file;
+  let thumbnail = null;
+  if (file.type.startsWith('image/')) {
+    try {
+      const bitmap = await createImageBitmap(file);
+      blob = await resizeImage(bitmap, file, MAX_IMAGE_SIZE);
+      thumbnail = await resizeImage(bitmap, file, THUMBNAIL_SIZE, true);
+      bitmap.close();
+    } catch {
+      return { error: `${file.name} could not be read as an image` };
+    }
+  }
+
+  return {
+    attachment: {
+      id: crypto.randomUUID(),
+      name: file.name,
+      type: blob.type || file.type,
+      size: blob.size,
+      blob,
+      thumbnail,
+      createdAt: new Date().toISOString()
+    }
+  };
+};
+
+// The metadata kept on the expense itself
+export const toAttachmentInfo = ({ id, name, type, size }) => ({ id, name, type, size });
+
+const blobToBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToBlob = (base64, type) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+// Stored attachments <-> the JSON form written into backups, with the file
+// and thumbnail as base64
+export const serializeAttachment = async ({ blob, thumbnail, ...attachment }) => ({
+  ...attachment,
+  data: await blobToBase64(blob),
+  thumbnail: thumbnail ? await blobToBase64(thumbnail) : null
+});
+
+export const deserializeAttachment = ({ data, thumbnail, ...attachment }) => ({
+  ...attachment,
+  blob: base64ToBlob(data, attachment.type),
+  thumbnail: thumbnail ? base64ToBlob(thumbnail, 'image/jpeg') : null
+});
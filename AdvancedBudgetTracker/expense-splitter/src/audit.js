@@ -0,0 +1,26 @@
+// Append-only audit log - one entry per create, update or delete of an
+// expense or payment, with full before/after snapshots of the record
+export const AUDIT_FIELDS = {
+  expense: ['description', 'amount', 'currency', 'paidBy', 'splitType', 'splits'],
+  payment: ['fromId', 'toId', 'amount']
+};
+
+export const createAuditEntry = (groupId, entityType, action, before, after, actor) => ({
+  id: crypto.randomUUID(),
+  groupId,
+  entityType,
+  entityId: (after || before).id,
+  action,
+  actor,
+  before: before || null,
+  after: after || null,
+  timestamp: new Date().toISOString()
+});
+
+// Field names whose values differ between the two snapshots
+export const getChangedFields = (entry) => {
+  if (entry.action !== 'update') return [];
+  return AUDIT_FIELDS[entry.entityType].filter(
+    field => JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field])
+  );
+};
@@ -0,0 +1,72 @@
+import { COLLECTIONS, SCHEMA_VERSION, migrateData, normalizeData, validateData } from './schema.js';
+
+// Full-data JSON backups. A backup records the schema version it was written
+// with, so older files are migrated on import just like stored data. Receipt
+// files go in a separate `attachments` list, serialized by ./attachments.
+export const BACKUP_FORMAT = 'expense-splitter-backup';
+
+export const createBackup = (data, attachments = []) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: normalizeData(data),
+  ...(attachments.length > 0 && { attachments })
+});
+
+const validateAttachments = (attachments, data) => {
+  if (!Array.isArray(attachments)) return ['"attachments" must be a list'];
+  const expenseIds = new Set(data.expenses.map(e => e.id));
+  return attachments.flatMap((attachment, i) => {
+    const label = `Attachment ${i + 1}${typeof attachment?.name === 'string' ? ` ("${attachment.name}")` : ''}`;
+    if (typeof attachment?.id !== 'string' || typeof attachment.type !== 'string' || typeof attachment.data !== 'string') {
+      return [`${label} is invalid`];
+    }
+    return expenseIds.has(attachment.expenseId) ? [] : [`${label} belongs to an unknown expense`];
+  }).slice(0, 20);
+};
+
+export const getBackupFilename = (date = new Date()) =>
+  `expense-splitter-backup-${date.toISOString().slice(0, 10)}.json`;
+
+// Parses and validates a backup file. Returns { data, attachments } migrated
+// to the current schema, or { errors } describing why it cannot be imported.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return { errors: ['File is not valid JSON'] };
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || typeof backup.data !== 'object' || backup.data === null) {
+    return { errors: ['File is not an expense splitter backup'] };
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    return { errors: ['Backup has no valid schema version'] };
+  }
+  if (backup.schemaVersion > SCHEMA_VERSION) {
+    return { errors: [`Backup was made by a newer version of the app (schema ${backup.schemaVersion}, this app supports up to ${SCHEMA_VERSION})`] };
+  }
+
+  let data;
+  try {
+    data = migrateData(backup.data, backup.schemaVersion);
+  } catch (error) {
+    return { errors: [`Backup could not be upgraded: ${error.message}`] };
+  }
+
+  const attachments = backup.attachments ?? [];
+  const errors = validateData(data);
+  if (errors.length === 0) errors.push(...validateAttachments(attachments, data));
+  return errors.length > 0 ? { errors } : { data, attachments };
+};
+
+// Merges two datasets by record id; records from `incoming` win conflicts
+export const mergeData = (current, incoming) => Object.fromEntries(COLLECTIONS.map(key => {
+  const merged = new Map((current[key] || []).map(record => [record.id, record]));
+  (incoming[key] || []).forEach(record => merged.set(record.id, record));
+  return [key, [...merged.values()]];
+}));
+
+export const countRecords = (data) =>
+  Object.fromEntries(COLLECTIONS.map(key => [key, (data[key] || []).length]));
@@ -0,0 +1,86 @@
+import { getExpenseBaseAmount } from './currency.js';
+import { CATEGORIES, getCategory } from './categories.js';
+import { toDateKey } from './recurring.js';
+
+// Spending limits, stored on the group as group.budgets:
+//   [{ id, category, amount, period }]
+// `category` is a category value or '' for all spending, `amount` is in base
+// currency minor units and `period` is 'week', 'month' or 'year'.
+
+export const BUDGET_PERIODS = [
+  { value: 'week', label: 'Week', adjective: 'weekly' },
+  { value: 'month', label: 'Month', adjective: 'monthly' },
+  { value: 'year', label: 'Year', adjective: 'yearly' }
+];
+
+export const WARNING_RATIO = 0.8;
+
+export const getBudgets = (group) => group.budgets || [];
+
+export const getBudgetLabel = (budget) => budget.category ? getCategory(budget.category).label : 'All spending';
+
+export const validateBudgets = (budgets) => {
+  if (!Array.isArray(budgets)) return 'Budgets must be a list';
+  for (const budget of budgets) {
+    if (typeof budget.id !== 'string' || !budget.id) return 'Every budget needs an id';
+    if (budget.category && !CATEGORIES.some(c => c.value === budget.category)) return `Unknown category "${budget.category}"`;
+    if (!BUDGET_PERIODS.some(p => p.value === budget.period)) return `Unknown budget period "${budget.period}"`;
+    if (!Number.isInteger(budget.amount) || budget.amount <= 0) return `The ${getBudgetLabel(budget)} budget must be greater than 0`;
+  }
+  const keys = budgets.map(b => `${b.category || ''}|${b.period}`);
+  if (new Set(keys).size !== keys.length) return 'There can be only one budget per category and period';
+  return null;
+};
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// { from, to } date keys of the period containing `dateKey`; `offset` -1
+// gives the period before it. Weeks start on Monday.
+export const getPeriodRange = (period, dateKey, offset = 0) => {
+  const date = parseDateKey(dateKey);
+  if (period === 'week') {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7) + offset * 7);
+    return { from: toDateKey(monday), to: toDateKey(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6)) };
+  }
+  if (period === 'year') {
+    const year = date.getFullYear() + offset;
+    return { from: `${year}-01-01`, to: `${year}-12-31` };
+  }
+  const first = new Date(date.getFullYear(), date.getMonth() + offset, 1);
+  return { from: toDateKey(first), to: toDateKey(new Date(first.getFullYear(), first.getMonth() + 1, 0)) };
+};
+
+const countsTowards = (budget, expense, range) => {
+  const dateKey = toDateKey(new Date(expense.date));
+  return dateKey >= range.from && dateKey <= range.to && (!budget.category || expense.category === budget.category);
+};
+
+export const getBudgetSpent = (group, budget, expenses, range) => expenses
+  .filter(e => e.groupId === group.id && countsTowards(budget, e, range))
+  .reduce((sum, e) => sum + getExpenseBaseAmount(e, group), 0);
+
+const getLevel = (ratio) => (ratio >= 1 ? 'over' : ratio >= WARNING_RATIO ? 'warning' : 'ok');
+
+// Progress of every budget in the period containing `dateKey`, with the
+// previous period's total for comparison:
+// [{ budget, range, spent, previousSpent, ratio, level }]
+export const getBudgetStatus = (group, expenses, dateKey) => getBudgets(group).map(budget => {
+  const range = getPeriodRange(budget.period, dateKey);
+  const spent = getBudgetSpent(group, budget, expenses, range);
+  const previousSpent = getBudgetSpent(group, budget, expenses, getPeriodRange(budget.period, dateKey, -1));
+  return { budget, range, spent, previousSpent, ratio: spent / budget.amount, level: getLevel(spent / budget.amount) };
+});
+
+// Budgets the expense counts towards that would be at 80% or more once it is
+// saved, each with the amount spent before it. `expense` needs groupId, date,
+// category and the stored amount fields; an edited expense replaces the
+// stored one with the same id.
+export const getBudgetAlerts = (group, expenses, expense) => {
+  const others = expenses.filter(e => e.id !== expense.id);
+  return getBudgetStatus(group, [...others, expense], toDateKey(new Date(expense.date)))
+    .filter(status => status.level !== 'ok' && countsTowards(status.budget, expense, status.range))
+    .map(status => ({ ...status, before: getBudgetSpent(group, status.budget, others, status.range) }));
+};
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { validateBudgets, getPeriodRange, getBudgetStatus, getBudgetAlerts } from './budgets.js';
+import { fromDateKey } from './recurring.js';
+
+const budget = (period, amount, category = '') => ({ id: `${category || 'all'}-${period}`, category, amount, period });
+
+const group = {
+  id: 'g1',
+  name: 'Flat',
+  baseCurrency: 'USD',
+  rates: { EUR: 1.1 },
+  members: [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }],
+  budgets: [budget('month', 10000, 'food'), budget('week', 5000)]
+};
+
+const expense = (id, date, amount, category, currency = 'USD') => ({
+  id, groupId: 'g1', amount, currency, exchangeRate: currency === 'USD' ? 1 : group.rates[currency], category, date: fromDateKey(date)
+});
+
+describe('validateBudgets', () => {
+  it('accepts one budget per category and period', () => {
+    expect(validateBudgets(group.budgets)).toBeNull();
+    expect(validateBudgets([])).toBeNull();
+  });
+
+  it('rejects unknown categories and periods, empty amounts and duplicates', () => {
+    expect(validateBudgets([budget('month', 100, 'yachts')])).toBe('Unknown category "yachts"');
+    expect(validateBudgets([budget('fortnight', 100)])).toBe('Unknown budget period "fortnight"');
+    expect(validateBudgets([budget('month', 0, 'food')])).toBe('The Food & Drink budget must be greater than 0');
+    expect(validateBudgets([budget('month', 12.5)])).toMatch(/must be greater than 0/);
+    expect(validateBudgets([budget('year', 100), { ...budget('year', 200), id: 'other' }])).toMatch(/only one budget/);
+    expect(validateBudgets({})).toBe('Budgets must be a list');
+  });
+});
+
+describe('getPeriodRange', () => {
+  it('starts weeks on Monday, across month and year ends', () => {
+    expect(getPeriodRange('week', '2026-01-01')).toEqual({ from: '2025-12-29', to: '2026-01-04' });
+    expect(getPeriodRange('week', '2026-03-08')).toEqual({ from: '2026-03-02', to: '2026-03-08' });
+    expect(getPeriodRange('week', '2026-03-09', -1)).toEqual({ from: '2026-03-02', to: '2026-03-08' });
+  });
+
+  it('covers whole months and years, stepping back across the year', () => {
+    expect(getPeriodRange('month', '2028-02-10')).toEqual({ from: '2028-02-01', to: '2028-02-29' });
+    expect(getPeriodRange('month', '2026-01-15', -1)).toEqual({ from: '2025-12-01', to: '2025-12-31' });
+    expect(getPeriodRange('year', '2026-06-30', -1)).toEqual({ from: '2025-01-01', to: '2025-12-31' });
+  });
+});
+
+describe('getBudgetStatus', () => {
+  const expenses = [
+    expense('e1', '2026-02-27', 3000, 'food'),
+    expense('e2', '2026-03-02', 5000, 'food', 'EUR'),
+    expense('e3', '2026-03-03', 2600, 'transport'),
+    expense('e4', '2026-03-31', 1000, 'food')
+  ];
+
+  it('totals the current and previous period in base currency', () => {
+    const [food, weekly] = getBudgetStatus(group, expenses, '2026-03-04');
+    expect(food).toMatchObject({ range: { from: '2026-03-01', to: '2026-03-31' }, spent: 6500, previousSpent: 3000, level: 'ok' });
+    expect(food.ratio).toBe(0.65);
+    expect(weekly).toMatchObject({ range: { from: '2026-03-02', to: '2026-03-08' }, spent: 8100, previousSpent: 3000, level: 'over' });
+  });
+
+  it('warns from 80% of the budget', () => {
+    const [food] = getBudgetStatus(group, [...expenses, expense('e5', '2026-03-20', 1500, 'food')], '2026-03-20');
+    expect(food).toMatchObject({ spent: 8000, level: 'warning' });
+  });
+});
+
+describe('getBudgetAlerts', () => {
+  const expenses = [expense('e1', '2026-03-02', 7000, 'food')];
+
+  it('reports budgets a new expense takes to 80% or more, with what was spent before', () => {
+    const alerts = getBudgetAlerts(group, expenses, expense('new', '2026-03-03', 1500, 'food'));
+    expect(alerts.map(a => [a.budget.id, a.before, a.spent, a.level])).toEqual([
+      ['food-month', 7000, 8500, 'warning'],
+      ['all-week', 7000, 8500, 'over']
+    ]);
+  });
+
+  it('counts an edited expense once, and only towards its own category', () => {
+    expect(getBudgetAlerts(group, expenses, { ...expenses[0], amount: 8000 }).map(a => a.before)).toEqual([0, 0]);
+    expect(getBudgetAlerts(group, expenses, expense('new', '2026-03-03', 100, 'transport'))).toMatchObject([{ budget: { id: 'all-week' } }]);
+  });
+});
@@ -0,0 +1,52 @@
+// Expense labels: one category from a fixed list plus any number of
+// free-form tags. Both are optional; expenses without a category count as
+// uncategorized in analytics.
+export const CATEGORIES = [
+  { value: 'food', label: 'Food & Drink', color: '#f97316' },
+  { value: 'groceries', label: 'Groceries', color: '#84cc16' },
+  { value: 'transport', label: 'Transport', color: '#0ea5e9' },
+  { value: 'lodging', label: 'Lodging', color: '#8b5cf6' },
+  { value: 'entertainment', label: 'Entertainment', color: '#ec4899' },
+  { value: 'utilities', label: 'Utilities', color: '#eab308' },
+  { value: 'shopping', label: 'Shopping', color: '#14b8a6' },
+  { value: 'other', label: 'Other', color: '#64748b' }
+];
+
+export const UNCATEGORIZED = { value: '', label: 'Uncategorized', color: '#cbd5e1' };
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+export const getCategory = (value) => CATEGORIES.find(c => c.value === value) || UNCATEGORIZED;
+
+// "Trip, Ski ,trip" -> ['trip', 'ski']
+export const parseTags = (text) => [
+  ...new Set(String(text).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))
+];
+
+// Returns { labels: { category, tags } } ready to store on an expense, or
+// { error }. Empty values are stored as undefined so unlabeled expenses keep
+// their old shape.
+export const buildExpenseLabels = (category, tags = []) => {
+  if (category && !CATEGORIES.some(c => c.value === category)) {
+    return { error: `Unknown category "${category}"` };
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be a list of text labels' };
+  }
+  const cleaned = parseTags(tags.join(','));
+  if (cleaned.length > MAX_TAGS) {
+    return { error: `An expense can have at most ${MAX_TAGS} tags` };
+  }
+  if (cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters long` };
+  }
+  return { labels: { category: category || undefined, tags: cleaned.length > 0 ? cleaned : undefined } };
+};
+
+// Every tag used in the given expenses, most used first
+export const getUsedTags = (expenses) => {
+  const counts = new Map();
+  expenses.forEach(expense => (expense.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag]) => tag);
+};
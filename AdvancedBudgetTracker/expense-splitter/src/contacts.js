@@ -0,0 +1,110 @@
+import { getBaseCurrency } from './currency.js';
+import { getGroupBalances, optimizeSettlement } from './ledger/index.js';
+
+// Contacts are people shared across groups. Every group member links to one
+// through member.contactId, so "Ana" in two groups is the same person.
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+export const createContact = (name) => ({ id: crypto.randomUUID(), name: name.trim(), createdAt: new Date().toISOString() });
+
+export const findContactByName = (contacts, name) =>
+  contacts.find(c => normalizeName(c.name) === normalizeName(name));
+
+// Links members without a contact to the contact of the same name, creating
+// contacts for new names. Returns the linked members and the full contact list.
+export const linkMembers = (members, contacts) => {
+  let allContacts = contacts;
+  const linked = members.map(member => {
+    if (member.contactId && allContacts.some(c => c.id === member.contactId)) return member;
+    let contact = findContactByName(allContacts, member.name);
+    if (!contact) {
+      contact = createContact(member.name);
+      allContacts = [...allContacts, contact];
+    }
+    return { ...member, contactId: contact.id };
+  });
+  return { members: linked, contacts: allContacts };
+};
+
+// Links every member of every group; used to upgrade data without contacts
+export const linkAllMembers = (groups, contacts = []) => {
+  let allContacts = contacts;
+  const linkedGroups = groups.map(group => {
+    const { members, contacts: next } = linkMembers(group.members, allContacts);
+    allContacts = next;
+    return { ...group, members };
+  });
+  return { groups: linkedGroups, contacts: allContacts };
+};
+
+// Points every member linked to `fromId` at `intoId`
+export const mergeContacts = (groups, contacts, fromId, intoId) => ({
+  groups: groups.map(group => group.members.some(m => m.contactId === fromId)
+    ? { ...group, members: group.members.map(m => m.contactId === fromId ? { ...m, contactId: intoId } : m) }
+    : group),
+  contacts: contacts.filter(c => c.id !== fromId)
+});
+
+export const getContactMemberships = (contactId, groups) =>
+  groups.flatMap(group => group.members
+    .filter(m => m.contactId === contactId)
+    .map(member => ({ group, member })));
+
+// Who owes whom in each group according to its settlement plan, in contacts:
+// [{ group, fromContactId, toContactId, fromId, toId, amount, currency }]
+export const getGroupDebts = (groups, expenses, payments) =>
+  groups.flatMap(group => {
+    const contactOf = (memberId) => group.members.find(m => m.id === memberId)?.contactId;
+    const { transfers } = optimizeSettlement(getGroupBalances(group, expenses, payments), group);
+    return transfers.map(t => ({
+      group,
+      fromContactId: contactOf(t.fromId),
+      toContactId: contactOf(t.toId),
+      fromId: t.fromId,
+      toId: t.toId,
+      amount: t.amount,
+      currency: getBaseCurrency(group)
+    }));
+  });
+
+// Everything one person owes or is owed, across all groups:
+//   balances        { [currency]: net }, positive = the person is owed money
+//   groups          [{ group, member, balance }]
+//   counterparties  [{ contactId, currency, net, debts }] where net > 0 means
+//                   the other person owes this one, after netting across groups
+export const getPersonSummary = (contactId, groups, expenses, payments) => {
+  const memberships = getContactMemberships(contactId, groups).map(({ group, member }) => ({
+    group,
+    member,
+    balance: getGroupBalances(group, expenses, payments)[member.id] || 0
+  }));
+
+  const balances = {};
+  memberships.forEach(({ group, balance }) => {
+    const currency = getBaseCurrency(group);
+    balances[currency] = (balances[currency] || 0) + balance;
+  });
+
+  const counterparties = new Map();
+  getGroupDebts(memberships.map(m => m.group), expenses, payments)
+    .filter(d => d.fromContactId === contactId || d.toContactId === contactId)
+    .forEach(debt => {
+      const otherId = debt.fromContactId === contactId ? debt.toContactId : debt.fromContactId;
+      const key = `${otherId}|${debt.currency}`;
+      if (!counterparties.has(key)) {
+        counterparties.set(key, { contactId: otherId, currency: debt.currency, net: 0, debts: [] });
+      }
+      const entry = counterparties.get(key);
+      entry.net += debt.toContactId === contactId ? debt.amount : -debt.amount;
+      entry.debts.push(debt);
+    });
+
+  return { balances, groups: memberships, counterparties: [...counterparties.values()] };
+};
+
+// Settling a netted balance in one real payment still has to be booked in
+// each group: every per-group debt between the two is recorded as paid.
+// Returns [{ groupId, fromId, toId, amount }].
+export const buildNettingPayments = (debts) =>
+  debts.map(d => ({ groupId: d.group.id, fromId: d.fromId, toId: d.toId, amount: d.amount }));
@@ -0,0 +1,186 @@
+import { fromMinor, toMinor } from './money.js';
+import {
+  getBaseCurrency, getExpenseCurrency, getExpenseRate, getExpenseBaseAmount, getExpenseBaseSplits
+} from './currency.js';
+import { getSplitTypeLabel } from './ledger/index.js';
+import { getCategory } from './categories.js';
+import { toDateKey } from './recurring.js';
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t']
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+};
+
+// RFC 4180 parser with quoted fields; the delimiter is detected from the
+// first line when not given (banks use commas, semicolons or tabs)
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Parses "1,234.56", "1.234,56", "-42.10" or "$ 42.10" into a positive
+// number of major units; bank exports show charges as negatives
+export const parseAmount = (text) => {
+  let cleaned = String(text).replace(/[^\d.,-]/g, '');
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator only when followed by 1-2 digits
+    cleaned = /,\d{1,2}$/.test(cleaned)
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+  const value = Math.abs(parseFloat(cleaned));
+  return Number.isFinite(value) ? value : null;
+};
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Returns an ISO timestamp (local noon, as fromDateKey in ./recurring) or null
+export const parseDate = (text, format) => {
+  const parts = String(text).trim().split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+  const [year, month, day] = {
+    'YYYY-MM-DD': [parts[0], parts[1], parts[2]],
+    'DD/MM/YYYY': [parts[2], parts[1], parts[0]],
+    'MM/DD/YYYY': [parts[2], parts[0], parts[1]]
+  }[format];
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day, 12);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date.toISOString();
+};
+
+const normalizeDescription = (text) => text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Key used to spot an expense that was already recorded
+export const getDuplicateKey = (date, amount, description) =>
+  `${toDateKey(new Date(date))}|${amount}|${normalizeDescription(description)}`;
+
+// Turns mapped CSV rows into import candidates with a status of 'ok',
+// 'duplicate' or 'invalid' (with a reason). `mapping` holds column indexes
+// for date, description, amount and (optionally) payer.
+export const buildImportRows = (rows, mapping, { dateFormat, currency, members, defaultPayerId, existingExpenses }) => {
+  const seen = new Set(existingExpenses.map(e => getDuplicateKey(e.date, e.amount, e.description)));
+  const findMember = (name) => members.find(m => m.name.trim().toLowerCase() === name.trim().toLowerCase());
+
+  return rows.map((row, index) => {
+    const cell = (column) => (column === '' || column === undefined ? '' : row[column] ?? '');
+    const description = cell(mapping.description).trim();
+    const date = parseDate(cell(mapping.date), dateFormat);
+    const major = parseAmount(cell(mapping.amount));
+    const amount = major === null ? 0 : toMinor(major, currency);
+    const payerName = cell(mapping.payer).trim();
+    const paidBy = (payerName && findMember(payerName)?.id) || defaultPayerId;
+
+    const base = { index, description, date, amount, paidBy };
+    if (!description) return { ...base, status: 'invalid', reason: 'Missing description' };
+    if (!date) return { ...base, status: 'invalid', reason: 'Unreadable date' };
+    if (amount <= 0) return { ...base, status: 'invalid', reason: 'Unreadable amount' };
+    if (!paidBy) return { ...base, status: 'invalid', reason: `Unknown payer "${payerName}"` };
+
+    const key = getDuplicateKey(date, amount, description);
+    if (seen.has(key)) return { ...base, status: 'duplicate', reason: 'Already recorded' };
+    seen.add(key);
+    return { ...base, status: 'ok' };
+  });
+};
+
+// One row per expense and payment, with each member's share of every
+// expense in the group's base currency
+export const buildLedgerCsv = (group, expenses, payments) => {
+  const baseCurrency = getBaseCurrency(group);
+  const memberName = (id) => group.members.find(m => m.id === id)?.name || '';
+  const toBase = (minor) => fromMinor(minor, baseCurrency);
+
+  const header = [
+    'Date', 'Type', 'Description', 'Paid By', 'Paid To', 'Amount', 'Currency', 'Exchange Rate',
+    `Amount (${baseCurrency})`, 'Split Type', 'Category', 'Tags',
+    ...group.members.map(m => `Share: ${m.name} (${baseCurrency})`)
+  ];
+
+  const expenseRows = expenses.map(expense => {
+    const currency = getExpenseCurrency(expense, group);
+    const shares = Object.fromEntries(getExpenseBaseSplits(expense, group).map(s => [s.memberId, s.amount]));
+    return {
+      date: expense.date,
+      cells: [
+        toDateKey(new Date(expense.date)), 'Expense', expense.description, memberName(expense.paidBy), '',
+        fromMinor(expense.amount, currency), currency, getExpenseRate(expense),
+        toBase(getExpenseBaseAmount(expense, group)), getSplitTypeLabel(expense.splitType),
+        expense.category ? getCategory(expense.category).label : '', (expense.tags || []).join(', '),
+        ...group.members.map(m => (shares[m.id] ? toBase(shares[m.id]) : ''))
+      ]
+    };
+  });
+
+  const paymentRows = payments.map(payment => ({
+    date: payment.date,
+    cells: [
+      toDateKey(new Date(payment.date)), 'Payment', payment.note || 'Settlement payment', memberName(payment.fromId), memberName(payment.toId),
+      toBase(payment.amount), baseCurrency, 1, toBase(payment.amount), '', '', '',
+      ...group.members.map(() => '')
+    ]
+  }));
+
+  const body = [...expenseRows, ...paymentRows]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(row => row.cells);
+
+  return toCsv([header, ...body]);
+};
+
+export const getLedgerFilename = (group, date = new Date()) =>
+  `${group.name.replace(/[^\w-]+/g, '-').toLowerCase()}-ledger-${date.toISOString().slice(0, 10)}.csv`;
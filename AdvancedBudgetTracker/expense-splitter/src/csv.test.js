@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import process from 'node:process';
+import { toCsv, parseCsv, parseAmount, parseDate, buildImportRows, buildLedgerCsv } from './csv.js';
+import { toDateKey } from './recurring.js';
+
+const group = { id: 'g1', name: 'Trip', baseCurrency: 'USD', rates: {}, members: [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }] };
+
+const importOptions = (existingExpenses) => ({
+  dateFormat: 'YYYY-MM-DD', currency: 'USD', members: group.members, defaultPayerId: 'ana', existingExpenses
+});
+
+const mapping = { date: 0, description: 1, amount: 2, payer: 3 };
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('Date,Description\r\n2026-01-05,"Taxi, ""airport""\nreturn"\r\n\r\n')).toEqual([
+      ['Date', 'Description'],
+      ['2026-01-05', 'Taxi, "airport"\nreturn']
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('a;b;c\n1;2,5;3')).toEqual([['a', 'b', 'c'], ['1', '2,5', '3']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('round-trips what toCsv writes, defusing formulas', () => {
+    const rows = [['=SUM(A1)', 'Ana, Ben', 'say "hi"', 12.5]];
+    expect(toCsv(rows)).toBe('\'=SUM(A1),"Ana, Ben","say ""hi""",12.5');
+    expect(parseCsv(toCsv(rows))).toEqual([['\'=SUM(A1)', 'Ana, Ben', 'say "hi"', '12.5']]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads both decimal separators, currency signs and charges', () => {
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('-42.10')).toBe(42.1);
+    expect(parseAmount('$ 42.10')).toBe(42.1);
+    expect(parseAmount('1,234')).toBe(1234);
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('parseDate', () => {
+  it('reads each format, with two-digit years', () => {
+    expect(toDateKey(new Date(parseDate('2026-01-05', 'YYYY-MM-DD')))).toBe('2026-01-05');
+    expect(toDateKey(new Date(parseDate('05/01/26', 'DD/MM/YYYY')))).toBe('2026-01-05');
+    expect(toDateKey(new Date(parseDate('1/5/2026', 'MM/DD/YYYY')))).toBe('2026-01-05');
+  });
+
+  it('rejects days that do not exist', () => {
+    expect(parseDate('31/02/2026', 'DD/MM/YYYY')).toBeNull();
+    expect(parseDate('2026-13-01', 'YYYY-MM-DD')).toBeNull();
+    expect(parseDate('yesterday', 'YYYY-MM-DD')).toBeNull();
+  });
+});
+
+describe('buildImportRows', () => {
+  it('maps rows to payers and amounts in minor units', () => {
+    const [row] = buildImportRows([['2026-01-05', ' Taxi ', '-12.50', 'ben']], mapping, importOptions([]));
+    expect(row).toMatchObject({ index: 0, description: 'Taxi', amount: 1250, paidBy: 'ben', status: 'ok' });
+    expect(buildImportRows([['2026-01-05', 'Taxi', '12.50', '']], mapping, importOptions([]))[0].paidBy).toBe('ana');
+  });
+
+  it('explains invalid rows', () => {
+    const rows = buildImportRows([
+      ['2026-01-05', '', '1'],
+      ['January', 'Taxi', '1'],
+      ['2026-01-05', 'Taxi', '0'],
+      ['2026-01-05', 'Taxi', '1', 'Dee']
+    ], mapping, { ...importOptions([]), defaultPayerId: '' });
+    expect(rows.map(r => r.reason)).toEqual(['Missing description', 'Unreadable date', 'Unreadable amount', 'Unknown payer "Dee"']);
+  });
+
+  it('marks rows already recorded or repeated in the file as duplicates', () => {
+    const recorded = { description: 'taxi  home', amount: 1250, date: parseDate('2026-01-05', 'YYYY-MM-DD') };
+    const rows = buildImportRows([
+      ['2026-01-05', 'Taxi home', '12.50'],
+      ['2026-01-06', 'Lunch', '8'],
+      ['2026-01-06', 'lunch', '8.00'],
+      ['2026-01-07', 'Lunch', '8']
+    ], mapping, importOptions([recorded]));
+    expect(rows.map(r => r.status)).toEqual(['duplicate', 'ok', 'duplicate', 'ok']);
+  });
+});
+
+// New Zealand summer time is UTC+13, where noon UTC is already tomorrow
+describe('dates in Pacific/Auckland', () => {
+  const timeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = 'Pacific/Auckland';
+  });
+  afterAll(() => {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  });
+
+  it('keeps the day of an imported row', () => {
+    expect(toDateKey(new Date(parseDate('31/01/2026', 'DD/MM/YYYY')))).toBe('2026-01-31');
+  });
+
+  it('spots an expense recorded early on the same local day', () => {
+    const recorded = { description: 'Taxi', amount: 1250, date: new Date(2026, 0, 5, 0, 30).toISOString() };
+    const [row] = buildImportRows([['2026-01-05', 'Taxi', '12.50']], { date: 0, description: 1, amount: 2 }, importOptions([recorded]));
+    expect(row.status).toBe('duplicate');
+  });
+
+  it('exports the local day of each record', () => {
+    const expense = {
+      id: 'e1', groupId: 'g1', description: 'Taxi', amount: 1000, paidBy: 'ana', splitType: 'equal',
+      splits: [{ memberId: 'ana', amount: 500 }, { memberId: 'ben', amount: 500 }], date: parseDate('2026-01-05', 'YYYY-MM-DD')
+    };
+    expect(buildLedgerCsv(group, [expense], []).split('\r\n')[1]).toMatch(/^2026-01-05,Expense,Taxi,/);
+  });
+});
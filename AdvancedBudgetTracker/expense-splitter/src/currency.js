@@ -0,0 +1,55 @@
+import { allocate, convertMinor, fromMinor } from './money.js';
+
+// Currency helpers - every group has a base currency and a manual table of
+// exchange rates (1 unit of currency = rate units of the base currency)
+export const DEFAULT_CURRENCY = 'USD';
+
+export const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'CAD', 'AUD', 'CHF', 'SEK', 'NOK',
+  'DKK', 'PLN', 'CZK', 'HUF', 'INR', 'KRW', 'SGD', 'HKD', 'THB', 'MXN',
+  'BRL', 'ZAR', 'NZD', 'TRY'
+];
+
+const formatters = new Map();
+
+// Formats an amount given in minor units
+export const formatMoney = (minor, currency = DEFAULT_CURRENCY) => {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+  }
+  return formatters.get(currency).format(fromMinor(minor, currency));
+};
+
+export const getBaseCurrency = (group) => group?.baseCurrency || DEFAULT_CURRENCY;
+
+// Returns the rate converting `currency` into the group's base currency,
+// or null when the group has no rate recorded for it
+export const getRate = (group, currency) => {
+  if (!currency || currency === getBaseCurrency(group)) return 1;
+  const rate = group?.rates?.[currency];
+  return rate > 0 ? rate : null;
+};
+
+// Currencies an expense can be entered in: the base plus every rated currency
+export const getGroupCurrencies = (group) => [
+  getBaseCurrency(group),
+  ...Object.keys(group?.rates || {}).filter(c => getRate(group, c) !== null && c !== getBaseCurrency(group))
+];
+
+export const getExpenseCurrency = (expense, group) => expense.currency || getBaseCurrency(group);
+
+export const getExpenseRate = (expense) => expense.exchangeRate || 1;
+
+export const getExpenseBaseAmount = (expense, group) =>
+  convertMinor(expense.amount, getExpenseRate(expense), getExpenseCurrency(expense, group), getBaseCurrency(group));
+
+// Splits converted to the base currency; the converted total is re-allocated
+// over the original split amounts so the parts still add up exactly
+export const getExpenseBaseSplits = (expense, group) => {
+  const baseAmounts = allocate(
+    getExpenseBaseAmount(expense, group),
+    expense.splits.map(s => s.amount),
+    Math.max(expense.splits.findIndex(s => s.memberId === expense.paidBy), 0)
+  );
+  return expense.splits.map((s, i) => ({ ...s, amount: baseAmounts[i] }));
+};
@@ -0,0 +1,9 @@
+// Browser file helpers for exports and imports
+export const downloadFile = (filename, content, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,5 @@
+// Group helpers - removed members keep their record (flagged with removedAt)
+// so past transactions still show their names
+export const getActiveMembers = (group) => group.members.filter(m => !m.removedAt);
+
+export const isArchived = (group) => Boolean(group.archivedAt);
@@ -0,0 +1,141 @@
+import { fromMinor, getMinorDigits } from './money.js';
+import { getExpenseCurrency, getExpenseBaseAmount, getBaseCurrency } from './currency.js';
+import { getCategory } from './categories.js';
+import { toDateKey } from './recurring.js';
+import { getPaymentMethodLabel } from './payments.js';
+
+// Searching, filtering, sorting and paging a group's transaction history.
+// Filters round-trip through the URL query string so a filtered view can be
+// shared; values equal to the defaults are left out of the URL.
+
+export const HISTORY_PAGE_SIZE = 25;
+
+export const HISTORY_SORTS = [
+  { value: 'date-desc', label: 'Newest first' },
+  { value: 'date-asc', label: 'Oldest first' },
+  { value: 'amount-desc', label: 'Largest amount' },
+  { value: 'amount-asc', label: 'Smallest amount' },
+  { value: 'description', label: 'Description (A-Z)' }
+];
+
+export const DEFAULT_HISTORY_FILTERS = {
+  q: '',
+  type: 'all',
+  payer: '',
+  category: '',
+  split: '',
+  from: '',
+  to: '',
+  sort: 'date-desc',
+  page: 1
+};
+
+export const parseHistoryFilters = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_HISTORY_FILTERS };
+  Object.keys(DEFAULT_HISTORY_FILTERS).forEach(key => {
+    if (params.has(key)) filters[key] = params.get(key);
+  });
+  filters.page = Math.max(1, parseInt(filters.page, 10) || 1);
+  if (!['all', 'expense', 'payment'].includes(filters.type)) filters.type = 'all';
+  if (!HISTORY_SORTS.some(s => s.value === filters.sort)) filters.sort = DEFAULT_HISTORY_FILTERS.sort;
+  return filters;
+};
+
+// Query string for `filters`, keeping any unrelated parameters in `search`
+export const toHistorySearch = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+  Object.entries(DEFAULT_HISTORY_FILTERS).forEach(([key, fallback]) => {
+    if (filters[key] === undefined || String(filters[key]) === String(fallback)) {
+      params.delete(key);
+    } else {
+      params.set(key, filters[key]);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+export const hasActiveFilters = (filters) =>
+  ['q', 'type', 'payer', 'category', 'split', 'from', 'to'].some(key => filters[key] !== DEFAULT_HISTORY_FILTERS[key]);
+
+const formatAmountForSearch = (minor, currency) => fromMinor(minor, currency).toFixed(getMinorDigits(currency));
+
+// Expenses and payments as one list of entries with the values filters and
+// sorts need precomputed: { type, record, dateKey, time, baseAmount, payerId, text }
+export const buildHistoryEntries = (group, expenses, payments) => {
+  const memberName = (id) => group.members.find(m => m.id === id)?.name || '';
+  const baseCurrency = getBaseCurrency(group);
+
+  const expenseEntries = expenses.map(expense => {
+    const currency = getExpenseCurrency(expense, group);
+    return {
+      type: 'expense',
+      record: expense,
+      dateKey: toDateKey(new Date(expense.date)),
+      time: new Date(expense.date).getTime(),
+      baseAmount: getExpenseBaseAmount(expense, group),
+      payerId: expense.paidBy,
+      text: [
+        expense.description,
+        memberName(expense.paidBy),
+        ...(expense.splits || []).map(s => memberName(s.memberId)),
+        expense.category ? getCategory(expense.category).label : '',
+        ...(expense.tags || []),
+        formatAmountForSearch(expense.amount, currency)
+      ].join('\n').toLowerCase()
+    };
+  });
+
+  const paymentEntries = payments.map(payment => ({
+    type: 'payment',
+    record: payment,
+    dateKey: toDateKey(new Date(payment.date)),
+    time: new Date(payment.date).getTime(),
+    baseAmount: payment.amount,
+    payerId: payment.fromId,
+    text: [
+      'payment',
+      memberName(payment.fromId),
+      memberName(payment.toId),
+      getPaymentMethodLabel(payment.method),
+      payment.note || '',
+      formatAmountForSearch(payment.amount, payment.currency || baseCurrency)
+    ].join('\n').toLowerCase()
+  }));
+
+  return [...expenseEntries, ...paymentEntries];
+};
+
+// Search matches the description, member names, category, tags, payment
+// method and note, and amount ("12.5" finds 12.50). Category and split type
+// filters only match expenses.
+export const filterHistory = (entries, filters) => {
+  const terms = filters.q.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    if (filters.type !== 'all' && entry.type !== filters.type) return false;
+    if (filters.payer && entry.payerId !== filters.payer) return false;
+    if (filters.category && (entry.type !== 'expense' || (entry.record.category || 'none') !== filters.category)) return false;
+    if (filters.split && (entry.type !== 'expense' || entry.record.splitType !== filters.split)) return false;
+    if (filters.from && entry.dateKey < filters.from) return false;
+    if (filters.to && entry.dateKey > filters.to) return false;
+    return terms.every(term => entry.text.includes(term));
+  });
+};
+
+const comparators = {
+  'date-desc': (a, b) => b.time - a.time,
+  'date-asc': (a, b) => a.time - b.time,
+  'amount-desc': (a, b) => b.baseAmount - a.baseAmount || b.time - a.time,
+  'amount-asc': (a, b) => a.baseAmount - b.baseAmount || b.time - a.time,
+  description: (a, b) => (a.record.description || '').localeCompare(b.record.description || '') || b.time - a.time
+};
+
+export const sortHistory = (entries, sort) => [...entries].sort(comparators[sort] || comparators['date-desc']);
+
+// { items, page, pageCount } with `page` clamped to the available pages
+export const paginate = (items, page, pageSize = HISTORY_PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return { items: items.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount };
+};
@@ -0,0 +1,54 @@
+import { getExpenseBaseAmount, getExpenseBaseSplits } from '../currency.js';
+import { getActiveMembers } from '../groups.js';
+
+// Net balance per member id in base currency minor units: positive means the
+// member is owed money, negative means they owe
+export const getGroupBalances = (group, expenses, payments) => {
+  const balances = {};
+
+  group.members.forEach(m => {
+    balances[m.id] = 0;
+  });
+
+  // Add expenses, converted into the group's base currency
+  expenses.filter(e => e.groupId === group.id).forEach(expense => {
+    balances[expense.paidBy] += getExpenseBaseAmount(expense, group);
+    getExpenseBaseSplits(expense, group).forEach(split => {
+      balances[split.memberId] -= split.amount;
+    });
+  });
+
+  // Subtract settlement payments
+  payments.filter(p => p.groupId === group.id).forEach(payment => {
+    balances[payment.fromId] += payment.amount;
+    balances[payment.toId] -= payment.amount;
+  });
+
+  return balances;
+};
+
+// `members` is the group's full new member list. Members are never dropped,
+// since expenses and payments refer to them; they are flagged removedAt
+// instead, which needs them to have settled up first.
+export const validateMembers = (group, members, expenses, payments) => {
+  if (!Array.isArray(members) || getActiveMembers({ members }).length < 2) {
+    return 'A group needs at least 2 members';
+  }
+  const dropped = group.members.find(m => !members.some(member => member?.id === m.id));
+  if (dropped) {
+    return `${dropped.name} is missing from the member list; flag removed members with removedAt instead`;
+  }
+  const balances = getGroupBalances(group, expenses, payments);
+  const blocked = members.find(m => m.removedAt && balances[m.id]);
+  return blocked ? `${blocked.name} still has an outstanding balance` : null;
+};
+
+// Balances after the given transfers ({ fromId, toId, amount }) are paid
+export const applyTransfers = (balances, transfers) => {
+  const next = { ...balances };
+  transfers.forEach(t => {
+    next[t.fromId] = (next[t.fromId] || 0) + t.amount;
+    next[t.toId] = (next[t.toId] || 0) - t.amount;
+  });
+  return next;
+};
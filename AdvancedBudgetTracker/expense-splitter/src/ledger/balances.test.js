@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { applyTransfers, buildExpenseFields, buildPaymentFields, getGroupBalances, validateMembers } from './index.js';
+
+const makeGroup = (size) => ({
+  id: 'g1',
+  name: 'Trip',
+  baseCurrency: 'USD',
+  rates: { EUR: 1.0832, JPY: 0.0067 },
+  members: Array.from({ length: size }, (_, i) => ({ id: `m${i}`, name: `Member ${i}` }))
+});
+
+const expense = (group, amount, paidBy, splitType = 'equal', splitDetails, currency) => {
+  const { fields, error } = buildExpenseFields(group, 'Dinner', amount, paidBy, splitType, splitDetails, currency);
+  if (error) throw new Error(error);
+  return { id: crypto.randomUUID(), groupId: group.id, ...fields };
+};
+
+const sum = (balances) => Object.values(balances).reduce((total, b) => total + b, 0);
+
+describe('getGroupBalances', () => {
+  it('credits the payer and debits everyone who shared the expense', () => {
+    const group = makeGroup(3);
+    const expenses = [expense(group, 9000, 'm0')];
+    expect(getGroupBalances(group, expenses, [])).toEqual({ m0: 6000, m1: -3000, m2: -3000 });
+  });
+
+  it('counts payments towards the payer', () => {
+    const group = makeGroup(2);
+    const expenses = [expense(group, 1000, 'm0')];
+    const payments = [{ id: 'p1', groupId: group.id, fromId: 'm1', toId: 'm0', amount: 500 }];
+    expect(getGroupBalances(group, expenses, payments)).toEqual({ m0: 0, m1: 0 });
+  });
+
+  it('converts foreign currency expenses at their stored rate', () => {
+    const group = makeGroup(2);
+    const expenses = [expense(group, 10000, 'm0', 'equal', undefined, 'EUR')];
+    expect(getGroupBalances(group, expenses, [])).toEqual({ m0: 5416, m1: -5416 });
+  });
+
+  it('ignores records of other groups', () => {
+    const group = makeGroup(2);
+    const other = { ...expense(group, 1000, 'm0'), groupId: 'g2' };
+    expect(getGroupBalances(group, [other], [])).toEqual({ m0: 0, m1: 0 });
+  });
+});
+
+describe('applyTransfers', () => {
+  it('moves each amount from the payer to the payee', () => {
+    expect(applyTransfers({ a: -500, b: 500 }, [{ fromId: 'a', toId: 'b', amount: 200 }])).toEqual({ a: -300, b: 300 });
+  });
+});
+
+describe('validation', () => {
+  const group = makeGroup(3);
+
+  it('rejects expenses without a description, amount or valid payer', () => {
+    expect(buildExpenseFields(group, ' ', 100, 'm0', 'equal').error).toBe('Please enter a description');
+    expect(buildExpenseFields(group, 'Taxi', 0, 'm0', 'equal').error).toBe('Please enter a valid amount');
+    expect(buildExpenseFields(group, 'Taxi', 100, 'nobody', 'equal').error).toMatch(/payer/);
+  });
+
+  it('rejects currencies without an exchange rate', () => {
+    expect(buildExpenseFields(group, 'Taxi', 100, 'm0', 'equal', undefined, 'GBP').error).toMatch(/No exchange rate for GBP/);
+  });
+
+  it('rejects payments to yourself or of nothing', () => {
+    expect(buildPaymentFields(group, 'm0', 'm0', 100).error).toBe('A payment needs two different people');
+    expect(buildPaymentFields(group, 'm0', 'm1', 1.5).error).toBe('Please enter a valid amount');
+    expect(buildPaymentFields(group, 'm0', 'm1', 100).fields).toEqual({ fromId: 'm0', toId: 'm1', amount: 100, currency: 'USD' });
+  });
+
+  it('keeps members with an open balance in the group', () => {
+    const expenses = [expense(group, 900, 'm0')];
+    const members = group.members.map(m => m.id === 'm1' ? { ...m, removedAt: '2026-01-01' } : m);
+    expect(validateMembers(group, members, expenses, [])).toBe('Member 1 still has an outstanding balance');
+    expect(validateMembers(group, [group.members[0]], [], [])).toBe('A group needs at least 2 members');
+  });
+
+  it('refuses member lists that drop a member instead of removing them', () => {
+    const expenses = [expense(group, 900, 'm0')];
+    expect(validateMembers(group, group.members.filter(m => m.id !== 'm2'), expenses, [])).toMatch(/^Member 2 is missing/);
+    expect(validateMembers(group, [...group.members, { id: 'm9', name: 'New' }], expenses, [])).toBeNull();
+  });
+});
+
+describe('balance properties', () => {
+  // A random group with expenses in several currencies and split modes, and
+  // payments between random members
+  const ledger = fc.integer({ min: 2, max: 8 }).chain(size => {
+    const member = fc.integer({ min: 0, max: size - 1 }).map(i => `m${i}`);
+    const split = fc.oneof(
+      fc.constant({ type: 'equal' }),
+      fc.uniqueArray(member, { maxLength: size - 1 }).map(excludedIds => ({ type: 'exclude', details: { excludedIds } })),
+      fc.array(fc.integer({ min: 0, max: 5 }), { minLength: size, maxLength: size })
+        .filter(weights => weights.some(w => w > 0))
+        .map(weights => ({ type: 'shares', details: { shares: weights.map((w, i) => ({ memberId: `m${i}`, shares: w })) } }))
+    );
+    return fc.record({
+      size: fc.constant(size),
+      expenses: fc.array(fc.record({
+        amount: fc.integer({ min: 1, max: 1_000_000 }),
+        paidBy: member,
+        currency: fc.constantFrom('USD', 'EUR', 'JPY'),
+        split
+      }), { maxLength: 20 }),
+      payments: fc.array(fc.record({ fromId: member, toId: member, amount: fc.integer({ min: 1, max: 500_000 }) })
+        .filter(p => p.fromId !== p.toId), { maxLength: 10 })
+    });
+  });
+
+  const build = ({ size, expenses, payments }) => {
+    const group = makeGroup(size);
+    return {
+      group,
+      expenses: expenses.map(e => expense(group, e.amount, e.paidBy, e.split.type, e.split.details, e.currency)),
+      payments: payments.map((p, i) => ({ id: `p${i}`, groupId: group.id, ...p }))
+    };
+  };
+
+  it('always sum to zero', () => {
+    fc.assert(fc.property(ledger, input => {
+      const { group, expenses, payments } = build(input);
+      const balances = getGroupBalances(group, expenses, payments);
+      expect(Object.keys(balances)).toHaveLength(group.members.length);
+      expect(sum(balances)).toBe(0);
+      Object.values(balances).forEach(b => expect(Number.isInteger(b)).toBe(true));
+    }));
+  });
+
+  it('are unchanged by an expense paid by the only person sharing it', () => {
+    fc.assert(fc.property(ledger, fc.integer({ min: 1, max: 1_000_000 }), (input, amount) => {
+      const { group, expenses, payments } = build(input);
+      const excludedIds = group.members.slice(1).map(m => m.id);
+      const own = expense(group, amount, 'm0', 'exclude', { excludedIds });
+      expect(getGroupBalances(group, [...expenses, own], payments)).toEqual(getGroupBalances(group, expenses, payments));
+    }));
+  });
+});
@@ -0,0 +1,40 @@
+// The ledger engine: splits, balances, settlement plans and the rules for
+// valid expenses and payments. Everything here is a pure function of plain
+// records, shared by the app, the sync server and the tests; nothing touches
+// React, storage or the network.
+//
+// Records (all amounts are integer minor units):
+//   group    { id, members: [{ id, name, removedAt? }], baseCurrency, rates,
+//              settlementRules? }
+//   expense  { id, groupId, amount, currency, exchangeRate, paidBy,
+//              splitType, splitDetails, splits: [{ memberId, amount }] }
+//   payment  { id, groupId, fromId, toId, amount }
+//
+// Splits (./splits.js)
+//   validateSplit(splitType, amount, members, details)  -> error | null
+//   computeSplits(splitType, amount, members, paidBy, details)
+//                                   -> [{ memberId, amount }] summing to amount
+// Validation (./transactions.js)
+//   buildExpenseFields(group, description, amount, paidBy, splitType,
+//                      splitDetails, currency, previous?) -> { fields } | { error }
+//   buildPaymentFields(group, fromId, toId, amount)    -> { fields } | { error }
+// Balances (./balances.js)
+//   getGroupBalances(group, expenses, payments)
+//                  -> { [memberId]: balance } in base currency, summing to zero;
+//                     positive = owed money, negative = owes
+//   validateMembers(group, members, expenses, payments) -> error | null
+//   applyTransfers(balances, transfers)  -> balances after paying transfers
+// Settlement (./settlement.js)
+//   settleDebts(balances, group)         -> greedy transfers that zero balances
+//   optimizeSettlement(balances, group, rules?)
+//                  -> { transfers, skipped, unsettled }, fewest transfers that
+//                     respect the group's payee rules and minimum
+// Transfers are { from, fromId, to, toId, amount, explanation }.
+
+export {
+  SPLIT_TYPES, getSplitTypeLabel, getItemizedTotal, validateExclusions, validateCustomSplits, validatePercentages, validateShares,
+  validateItems, validateSplit, computeSplits
+} from './splits.js';
+export { buildExpenseFields, buildPaymentFields } from './transactions.js';
+export { getGroupBalances, validateMembers, applyTransfers } from './balances.js';
+export { DEFAULT_SETTLEMENT_RULES, getSettlementRules, settleDebts, optimizeSettlement } from './settlement.js';
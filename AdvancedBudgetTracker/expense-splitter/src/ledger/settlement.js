@@ -0,0 +1,288 @@
+import { formatMoney, getBaseCurrency } from '../currency.js';
+
+// Settlement plans turn member balances (base currency minor units, positive
+// = owed money) into suggested payments:
+//   { from, fromId, to, toId, amount, explanation }
+
+// Per-group rules, stored as group.settlementRules:
+//   minTransfer    payments smaller than this are left out of the plan
+//   allowedPayees  { [memberId]: [memberIds] } - who a member may pay;
+//                  missing or empty means anyone
+export const DEFAULT_SETTLEMENT_RULES = { minTransfer: 0, allowedPayees: {} };
+
+export const getSettlementRules = (group) => ({ ...DEFAULT_SETTLEMENT_RULES, ...group.settlementRules });
+
+// Exact search is exponential in the number of people with a balance; larger
+// groups fall back to a constrained greedy plan
+const MAX_EXACT_PEOPLE = 14;
+
+const canPay = (rules, fromId, toId) => {
+  const allowed = rules.allowedPayees[fromId];
+  return !allowed || allowed.length === 0 || allowed.includes(toId);
+};
+
+const hasPayeeRules = (rules) => Object.values(rules.allowedPayees).some(allowed => allowed?.length > 0);
+
+const getOpenBalances = (balances) =>
+  Object.entries(balances)
+    .filter(([, balance]) => balance !== 0)
+    .map(([memberId, balance]) => ({ memberId, balance }));
+
+const memberName = (group, memberId) => group.members.find(m => m.id === memberId)?.name ?? 'Unknown';
+
+const toTransfer = (group, fromId, toId, amount, explanation) => ({
+  from: memberName(group, fromId),
+  fromId,
+  to: memberName(group, toId),
+  toId,
+  amount,
+  explanation
+});
+
+// Greedy plan: repeatedly match the largest creditor with the largest debtor.
+// Balances are integer minor units, so every debt is cleared exactly.
+export const settleDebts = (balances, group) => {
+  const currency = getBaseCurrency(group);
+  const settlements = [];
+  const creditors = [];
+  const debtors = [];
+
+  Object.entries(balances).forEach(([memberId, balance]) => {
+    if (balance > 0) {
+      creditors.push({ memberId, amount: balance });
+    } else if (balance < 0) {
+      debtors.push({ memberId, amount: -balance });
+    }
+  });
+
+  creditors.sort((a, b) => b.amount - a.amount);
+  debtors.sort((a, b) => b.amount - a.amount);
+
+  let i = 0, j = 0;
+  while (i < creditors.length && j < debtors.length) {
+    const payment = Math.min(creditors[i].amount, debtors[j].amount);
+    const explanation = `${memberName(group, debtors[j].memberId)} has the largest remaining debt `
+      + `(${formatMoney(debtors[j].amount, currency)}) and ${memberName(group, creditors[i].memberId)} `
+      + `the largest remaining credit (${formatMoney(creditors[i].amount, currency)}).`;
+
+    settlements.push(toTransfer(group, debtors[j].memberId, creditors[i].memberId, payment, explanation));
+
+    creditors[i].amount -= payment;
+    debtors[j].amount -= payment;
+
+    if (creditors[i].amount === 0) i++;
+    if (debtors[j].amount === 0) j++;
+  }
+
+  return settlements;
+};
+
+// Payments as [fromIndex, toIndex, amount] that clear the given people's
+// balances using only allowed pairs, or null when the rules make that
+// impossible. Tries largest-first matching, then a max-flow search.
+const settleSubgroup = (people, rules) => {
+  const remaining = people.map(p => p.balance);
+  const payments = [];
+  for (;;) {
+    const debtors = remaining.map((b, i) => i).filter(i => remaining[i] < 0).sort((a, b) => remaining[a] - remaining[b]);
+    if (debtors.length === 0) return payments;
+    const pair = debtors.flatMap(d => {
+      const creditors = remaining.map((b, i) => i)
+        .filter(c => remaining[c] > 0 && canPay(rules, people[d].memberId, people[c].memberId))
+        .sort((a, b) => remaining[b] - remaining[a]);
+      return creditors.length > 0 ? [[d, creditors[0]]] : [];
+    })[0];
+    if (!pair) break;
+    const [d, c] = pair;
+    const amount = Math.min(-remaining[d], remaining[c]);
+    payments.push([d, c, amount]);
+    remaining[d] += amount;
+    remaining[c] -= amount;
+  }
+  return maxFlowPayments(people, rules);
+};
+
+// Debtors -> creditors flow network (Edmonds-Karp). Greedy matching can paint
+// itself into a corner under payee rules even when a valid plan exists.
+const maxFlowPayments = (people, rules) => {
+  const n = people.length;
+  const source = n;
+  const sink = n + 1;
+  const capacity = Array.from({ length: n + 2 }, () => new Array(n + 2).fill(0));
+  let total = 0;
+  people.forEach((p, i) => {
+    if (p.balance < 0) {
+      capacity[source][i] = -p.balance;
+      total -= p.balance;
+      people.forEach((q, j) => {
+        if (q.balance > 0 && canPay(rules, p.memberId, q.memberId)) capacity[i][j] = Infinity;
+      });
+    } else {
+      capacity[i][sink] = p.balance;
+    }
+  });
+
+  const flow = Array.from({ length: n + 2 }, () => new Array(n + 2).fill(0));
+  let flowed = 0;
+  for (;;) {
+    const parent = new Array(n + 2).fill(-1);
+    parent[source] = source;
+    const queue = [source];
+    while (queue.length > 0 && parent[sink] === -1) {
+      const u = queue.shift();
+      for (let v = 0; v < n + 2; v++) {
+        if (parent[v] === -1 && capacity[u][v] - flow[u][v] > 0) {
+          parent[v] = u;
+          queue.push(v);
+        }
+      }
+    }
+    if (parent[sink] === -1) break;
+    let bottleneck = Infinity;
+    for (let v = sink; v !== source; v = parent[v]) {
+      bottleneck = Math.min(bottleneck, capacity[parent[v]][v] - flow[parent[v]][v]);
+    }
+    for (let v = sink; v !== source; v = parent[v]) {
+      flow[parent[v]][v] += bottleneck;
+      flow[v][parent[v]] -= bottleneck;
+    }
+    flowed += bottleneck;
+  }
+
+  if (flowed !== total) return null;
+  const payments = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (people[i].balance < 0 && flow[i][j] > 0) payments.push([i, j, flow[i][j]]);
+    }
+  }
+  return payments;
+};
+
+// Largest-first matching over allowed pairs only, stopping when no allowed
+// pair has money left to move
+const partialPayments = (people, rules) => {
+  const remaining = people.map(p => p.balance);
+  const payments = [];
+  const order = remaining.map((b, i) => i);
+  for (;;) {
+    const candidates = order
+      .filter(d => remaining[d] < 0)
+      .flatMap(d => order
+        .filter(c => remaining[c] > 0 && canPay(rules, people[d].memberId, people[c].memberId))
+        .map(c => [d, c, Math.min(-remaining[d], remaining[c])]))
+      .sort((a, b) => b[2] - a[2]);
+    if (candidates.length === 0) return payments;
+    const [d, c, amount] = candidates[0];
+    payments.push([d, c, amount]);
+    remaining[d] += amount;
+    remaining[c] -= amount;
+  }
+};
+
+// Splits everyone into as many zero-sum subgroups as possible. A subgroup of
+// k people settles in k - 1 payments, so more subgroups means fewer payments.
+// Each subgroup must be settleable on its own under the rules.
+const findSubgroups = (people, rules) => {
+  const n = people.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  for (let mask = 1; mask <= full; mask++) {
+    const low = mask & -mask;
+    sums[mask] = sums[mask ^ low] + people[31 - Math.clz32(low)].balance;
+  }
+
+  const constrained = hasPayeeRules(rules);
+  const feasible = new Map();
+  const isFeasible = (mask) => {
+    if (!constrained) return true;
+    if (!feasible.has(mask)) {
+      feasible.set(mask, settleSubgroup(people.filter((p, i) => mask & (1 << i)), rules) !== null);
+    }
+    return feasible.get(mask);
+  };
+
+  // best(mask) = most subgroups that exactly cover `mask`, or -1 if none
+  const memo = new Map();
+  const best = (mask) => {
+    if (mask === 0) return { count: 0, blocks: [] };
+    if (memo.has(mask)) return memo.get(mask);
+    let result = { count: -1, blocks: [] };
+    const low = mask & -mask;
+    const rest = mask ^ low;
+    // Every subgroup that contains the lowest member
+    for (let sub = rest; ; sub = (sub - 1) & rest) {
+      const block = sub | low;
+      if (sums[block] === 0 && isFeasible(block)) {
+        const remainder = best(mask ^ block);
+        if (remainder.count >= 0 && remainder.count + 1 > result.count) {
+          result = { count: remainder.count + 1, blocks: [block, ...remainder.blocks] };
+        }
+      }
+      if (sub === 0) break;
+    }
+    memo.set(mask, result);
+    return result;
+  };
+
+  const { count, blocks } = best(full);
+  return count < 0 ? null : blocks.map(block => people.filter((p, i) => block & (1 << i)));
+};
+
+const explainSubgroup = (group, subgroup, currency) => {
+  if (subgroup.length === 2) {
+    return `${memberName(group, subgroup[0].memberId)} and ${memberName(group, subgroup[1].memberId)} `
+      + `have matching balances of ${formatMoney(Math.abs(subgroup[0].balance), currency)}, so one payment settles both.`;
+  }
+  const names = subgroup.map(p => memberName(group, p.memberId));
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} have balances that cancel out `
+    + `among themselves, so they settle in ${subgroup.length - 1} payments without involving anyone else.`;
+};
+
+const explainRule = (group, rules, fromId) => {
+  const allowed = rules.allowedPayees[fromId];
+  if (!allowed || allowed.length === 0) return '';
+  return ` ${memberName(group, fromId)} can only pay ${allowed.map(id => memberName(group, id)).join(' or ')}.`;
+};
+
+// Plan with the fewest payments that respects the group's settlement rules.
+// Returns { transfers, skipped, unsettled }: `skipped` are payments under the
+// minimum, `unsettled` lists { memberId, balance } the payee rules leave open.
+export const optimizeSettlement = (balances, group, rules = getSettlementRules(group)) => {
+  const currency = getBaseCurrency(group);
+  const people = getOpenBalances(balances);
+  const transfers = [];
+  const unsettled = [];
+
+  const addPayments = (subgroup, payments, explanation) => {
+    payments.forEach(([d, c, amount]) => {
+      const fromId = subgroup[d].memberId;
+      transfers.push(toTransfer(group, fromId, subgroup[c].memberId, amount, explanation + explainRule(group, rules, fromId)));
+    });
+  };
+
+  const subgroups = people.length <= MAX_EXACT_PEOPLE ? findSubgroups(people, rules) : null;
+  if (subgroups) {
+    subgroups.forEach(subgroup => addPayments(subgroup, settleSubgroup(subgroup, rules), explainSubgroup(group, subgroup, currency)));
+  } else {
+    // Too many people for an exact search, or the rules rule out a full
+    // settlement: pay what the rules allow, largest debts first
+    const payments = settleSubgroup(people, rules) ?? partialPayments(people, rules);
+    addPayments(people, payments, 'Largest remaining debt paid to the largest creditor they are allowed to pay.');
+    const remaining = people.map(p => p.balance);
+    payments.forEach(([d, c, amount]) => {
+      remaining[d] += amount;
+      remaining[c] -= amount;
+    });
+    people.forEach((p, i) => {
+      if (remaining[i] !== 0) unsettled.push({ memberId: p.memberId, balance: remaining[i] });
+    });
+  }
+
+  const minTransfer = rules.minTransfer || 0;
+  return {
+    transfers: transfers.filter(t => t.amount >= minTransfer),
+    skipped: transfers.filter(t => t.amount < minTransfer),
+    unsettled
+  };
+};
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { applyTransfers, optimizeSettlement, settleDebts } from './index.js';
+
+const makeGroup = (ids, settlementRules) => ({
+  id: 'g1',
+  name: 'Trip',
+  baseCurrency: 'USD',
+  members: ids.map(id => ({ id, name: id.toUpperCase() })),
+  settlementRules
+});
+
+const isSettled = (balances) => Object.values(balances).every(b => b === 0);
+
+describe('settleDebts', () => {
+  it('pays the largest creditor from the largest debtor first', () => {
+    const group = makeGroup(['a', 'b', 'c']);
+    const transfers = settleDebts({ a: 5000, b: -3000, c: -2000 }, group);
+    expect(transfers.map(({ fromId, toId, amount }) => ({ fromId, toId, amount }))).toEqual([
+      { fromId: 'b', toId: 'a', amount: 3000 },
+      { fromId: 'c', toId: 'a', amount: 2000 }
+    ]);
+    expect(transfers[0].from).toBe('B');
+  });
+
+  it('suggests nothing when everyone is even', () => {
+    expect(settleDebts({ a: 0, b: 0 }, makeGroup(['a', 'b']))).toEqual([]);
+  });
+});
+
+describe('optimizeSettlement', () => {
+  it('settles matching balances with one payment each', () => {
+    // Greedy pairs the largest balances and needs three payments here
+    const balances = { a: 1000, b: 700, c: -1000, d: -700 };
+    const { transfers } = optimizeSettlement(balances, makeGroup(Object.keys(balances)));
+    expect(transfers).toHaveLength(2);
+    expect(isSettled(applyTransfers(balances, transfers))).toBe(true);
+  });
+
+  it('leaves out payments under the minimum', () => {
+    const balances = { a: 50, b: -50, c: 1000, d: -1000 };
+    const { transfers, skipped } = optimizeSettlement(balances, makeGroup(Object.keys(balances), { minTransfer: 100 }));
+    expect(transfers.map(t => t.amount)).toEqual([1000]);
+    expect(skipped.map(t => t.amount)).toEqual([50]);
+  });
+
+  it('follows payee rules', () => {
+    const balances = { a: 1000, b: 1000, c: -2000 };
+    const { transfers } = optimizeSettlement(balances, makeGroup(Object.keys(balances), { allowedPayees: { c: ['b'] } }));
+    expect(transfers.every(t => t.toId === 'b')).toBe(true);
+  });
+
+  it('reports balances the payee rules leave open', () => {
+    const balances = { a: 1000, b: -1000 };
+    const { transfers, unsettled } = optimizeSettlement(balances, makeGroup(['a', 'b', 'c'], { allowedPayees: { b: ['c'] } }));
+    expect(transfers).toEqual([]);
+    expect(unsettled).toEqual([{ memberId: 'a', balance: 1000 }, { memberId: 'b', balance: -1000 }]);
+  });
+});
+
+describe('settlement properties', () => {
+  // Balances of `min` to `max` people that sum to zero, as real balances do
+  const balancesOf = (max, min = 2) => fc.array(fc.integer({ min: -1_000_000, max: 1_000_000 }), { minLength: min - 1, maxLength: max - 1 })
+    .map(values => {
+      const all = [...values, -values.reduce((sum, v) => sum + v, 0)];
+      return Object.fromEntries(all.map((balance, i) => [`m${i}`, balance]));
+    });
+
+  const nonZero = (balances) => Object.values(balances).filter(b => b !== 0).length;
+
+  it('greedy plans clear every debt in fewer payments than people', () => {
+    fc.assert(fc.property(balancesOf(20), balances => {
+      const transfers = settleDebts(balances, makeGroup(Object.keys(balances)));
+      expect(isSettled(applyTransfers(balances, transfers))).toBe(true);
+      transfers.forEach(t => expect(t.amount).toBeGreaterThan(0));
+      expect(transfers.length).toBeLessThanOrEqual(Math.max(0, nonZero(balances) - 1));
+    }));
+  });
+
+  it('optimized plans clear every debt and never need more payments than greedy ones', () => {
+    fc.assert(fc.property(balancesOf(9), balances => {
+      const group = makeGroup(Object.keys(balances));
+      const { transfers, skipped, unsettled } = optimizeSettlement(balances, group);
+      expect(skipped).toEqual([]);
+      expect(unsettled).toEqual([]);
+      expect(isSettled(applyTransfers(balances, transfers))).toBe(true);
+      expect(transfers.length).toBeLessThanOrEqual(settleDebts(balances, group).length);
+    }));
+  });
+
+  it('large groups still clear every debt', () => {
+    // Past 14 people with a balance the exact search gives way to a greedy one
+    fc.assert(fc.property(balancesOf(30, 16), balances => {
+      const { transfers } = optimizeSettlement(balances, makeGroup(Object.keys(balances)));
+      expect(isSettled(applyTransfers(balances, transfers))).toBe(true);
+    }), { numRuns: 20 });
+  });
+
+  it('skipped payments make up the rest of the plan', () => {
+    fc.assert(fc.property(balancesOf(8), fc.integer({ min: 0, max: 500_000 }), (balances, minTransfer) => {
+      const { transfers, skipped } = optimizeSettlement(balances, makeGroup(Object.keys(balances), { minTransfer }));
+      transfers.forEach(t => expect(t.amount).toBeGreaterThanOrEqual(minTransfer));
+      expect(isSettled(applyTransfers(balances, [...transfers, ...skipped]))).toBe(true);
+    }));
+  });
+
+  it('payee rules are respected and only the reported balances stay open', () => {
+    const input = balancesOf(7).chain(balances => {
+      const ids = Object.keys(balances);
+      return fc.record({
+        balances: fc.constant(balances),
+        allowedPayees: fc.dictionary(fc.constantFrom(...ids), fc.subarray(ids), { maxKeys: ids.length })
+      });
+    });
+    fc.assert(fc.property(input, ({ balances, allowedPayees }) => {
+      const { transfers, unsettled } = optimizeSettlement(balances, makeGroup(Object.keys(balances), { allowedPayees }));
+      transfers.forEach(t => {
+        const allowed = allowedPayees[t.fromId];
+        expect(!allowed || allowed.length === 0 || allowed.includes(t.toId)).toBe(true);
+      });
+      const open = Object.fromEntries(unsettled.map(u => [u.memberId, u.balance]));
+      const after = applyTransfers(balances, transfers);
+      Object.entries(after).forEach(([memberId, balance]) => expect(balance).toBe(open[memberId] || 0));
+    }));
+  });
+});
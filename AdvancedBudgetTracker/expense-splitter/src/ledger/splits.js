@@ -0,0 +1,208 @@
+import { allocate, allocateEqually, sumMinor } from '../money.js';
+
+// Split modes - `details` holds whatever a mode needs to recompute its splits
+// and is stored on the expense as `splitDetails`:
+//   equal:      none
+//   exclude:    { excludedIds: [memberId] }
+//   custom:     { splits: [{ memberId, amount }] }
+//   percentage: { percentages: [{ memberId, percent }] }
+//   shares:     { shares: [{ memberId, shares }] }
+//   itemized:   { items: [{ id, description, amount, memberIds }], tax, tip }
+// All amounts are integer minor units.
+export const SPLIT_TYPES = [
+  { value: 'equal', label: 'Split Equally' },
+  { value: 'exclude', label: 'Equally, Excluding Some' },
+  { value: 'custom', label: 'Custom Amounts' },
+  { value: 'percentage', label: 'By Percentage' },
+  { value: 'shares', label: 'By Shares' },
+  { value: 'itemized', label: 'Itemized' }
+];
+
+export const getSplitTypeLabel = (splitType) =>
+  SPLIT_TYPES.find(t => t.value === splitType)?.label || splitType;
+
+// Percentages are compared in basis points so 33.33 + 33.33 + 33.34 is exact
+const toBasisPoints = (percent) => Math.round((parseFloat(percent) || 0) * 100);
+
+// Share weights may be fractional (e.g. 1.5), so scale them to integers
+const toWeight = (shares) => Math.round((parseFloat(shares) || 0) * 1000);
+
+export const getItemizedTotal = (details) =>
+  sumMinor(details.items.map(item => item.amount)) + (details.tax || 0) + (details.tip || 0);
+
+const MISSING_DETAILS = 'The split details are missing';
+
+// The members a split names must be active members of the group, each named once
+const validateMemberIds = (members, memberIds) => {
+  if (memberIds.some(id => !members.some(m => m.id === id))) {
+    return 'The split names someone who is not a member of the group';
+  }
+  if (new Set(memberIds).size !== memberIds.length) {
+    return 'Each member can only be named once in a split';
+  }
+  return null;
+};
+
+export const validateExclusions = (members, details) => {
+  if (!Array.isArray(details?.excludedIds)) {
+    return MISSING_DETAILS;
+  }
+  if (members.every(m => details.excludedIds.includes(m.id))) {
+    return 'At least one member must share the expense';
+  }
+  return null;
+};
+
+export const validateCustomSplits = (members, details, amount) => {
+  if (!Array.isArray(details?.splits)) {
+    return MISSING_DETAILS;
+  }
+  const memberError = validateMemberIds(members, details.splits.map(s => s.memberId));
+  if (memberError) {
+    return memberError;
+  }
+  if (details.splits.some(s => !Number.isInteger(s.amount) || s.amount < 0)) {
+    return 'Split amounts cannot be negative';
+  }
+  if (sumMinor(details.splits.map(s => s.amount)) !== amount) {
+    return 'Split amounts must equal the total';
+  }
+  return null;
+};
+
+export const validatePercentages = (members, details) => {
+  if (!Array.isArray(details?.percentages)) {
+    return MISSING_DETAILS;
+  }
+  const memberError = validateMemberIds(members, details.percentages.map(p => p.memberId));
+  if (memberError) {
+    return memberError;
+  }
+  if (details.percentages.some(p => (parseFloat(p.percent) || 0) < 0)) {
+    return 'Percentages cannot be negative';
+  }
+  const total = sumMinor(details.percentages.map(p => toBasisPoints(p.percent)));
+  if (total !== 10000) {
+    return `Percentages (${(total / 100).toFixed(2)}%) must add up to 100%`;
+  }
+  return null;
+};
+
+export const validateShares = (members, details) => {
+  if (!Array.isArray(details?.shares)) {
+    return MISSING_DETAILS;
+  }
+  const memberError = validateMemberIds(members, details.shares.map(s => s.memberId));
+  if (memberError) {
+    return memberError;
+  }
+  if (details.shares.some(s => (parseFloat(s.shares) || 0) < 0)) {
+    return 'Shares cannot be negative';
+  }
+  if (sumMinor(details.shares.map(s => toWeight(s.shares))) <= 0) {
+    return 'At least one member must have shares';
+  }
+  return null;
+};
+
+export const validateItems = (members, details, amount) => {
+  if (!Array.isArray(details?.items) || details.items.some(item => !Array.isArray(item.memberIds))) {
+    return MISSING_DETAILS;
+  }
+  if (details.items.length === 0) {
+    return 'Add at least one item';
+  }
+  if (details.items.some(item => !item.description?.trim() || !(item.amount > 0))) {
+    return 'Every item needs a description and an amount greater than 0';
+  }
+  if (details.items.some(item => item.memberIds.length === 0)) {
+    return 'Every item must be assigned to at least one member';
+  }
+  const memberError = details.items.map(item => validateMemberIds(members, item.memberIds)).find(Boolean);
+  if (memberError) {
+    return memberError;
+  }
+  if ((details.tax || 0) < 0 || (details.tip || 0) < 0) {
+    return 'Tax and tip cannot be negative';
+  }
+  if (amount !== undefined && getItemizedTotal(details) !== amount) {
+    return 'Items, tax and tip must add up to the expense amount';
+  }
+  return null;
+};
+
+// Returns an error message for the given split, or null when it is valid
+export const validateSplit = (splitType, amount, members, details) => {
+  switch (splitType) {
+    case 'equal':
+      return null;
+    case 'exclude':
+      return validateExclusions(members, details);
+    case 'custom':
+      return validateCustomSplits(members, details, amount);
+    case 'percentage':
+      return validatePercentages(members, details);
+    case 'shares':
+      return validateShares(members, details);
+    case 'itemized':
+      return validateItems(members, details, amount);
+    default:
+      return `Unknown split type: ${splitType}`;
+  }
+};
+
+// Computes [{ memberId, amount }] for an expense. Leftover minor units are
+// handed out deterministically starting with the payer.
+export const computeSplits = (splitType, amount, members, paidBy, details) => {
+  const payerIndex = (ids) => Math.max(ids.indexOf(paidBy), 0);
+  const byWeights = (ids, weights) => {
+    const parts = allocate(amount, weights, payerIndex(ids));
+    return ids.map((memberId, i) => ({ memberId, amount: parts[i] }));
+  };
+
+  switch (splitType) {
+    case 'equal': {
+      const ids = members.map(m => m.id);
+      const parts = allocateEqually(amount, ids.length, payerIndex(ids));
+      return ids.map((memberId, i) => ({ memberId, amount: parts[i] }));
+    }
+    case 'exclude': {
+      const ids = members.map(m => m.id).filter(id => !details.excludedIds.includes(id));
+      const parts = allocateEqually(amount, ids.length, payerIndex(ids));
+      return ids.map((memberId, i) => ({ memberId, amount: parts[i] }));
+    }
+    case 'custom':
+      return details.splits.map(s => ({ memberId: s.memberId, amount: s.amount }));
+    case 'percentage':
+      return byWeights(
+        details.percentages.map(p => p.memberId),
+        details.percentages.map(p => toBasisPoints(p.percent))
+      ).filter(s => s.amount > 0);
+    case 'shares':
+      return byWeights(
+        details.shares.map(s => s.memberId),
+        details.shares.map(s => toWeight(s.shares))
+      ).filter(s => s.amount > 0);
+    case 'itemized': {
+      const ids = members.map(m => m.id);
+      const subtotals = Object.fromEntries(ids.map(id => [id, 0]));
+      details.items.forEach(item => {
+        const parts = allocateEqually(item.amount, item.memberIds.length, payerIndex(item.memberIds));
+        item.memberIds.forEach((memberId, i) => {
+          subtotals[memberId] += parts[i];
+        });
+      });
+      // Tax and tip follow each member's share of the items
+      const extras = allocate(
+        (details.tax || 0) + (details.tip || 0),
+        ids.map(id => subtotals[id]),
+        payerIndex(ids)
+      );
+      return ids
+        .map((memberId, i) => ({ memberId, amount: subtotals[memberId] + extras[i] }))
+        .filter(s => s.amount > 0);
+    }
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { computeSplits, validateSplit } from './index.js';
+
+const members = ['ana', 'ben', 'cy'].map(id => ({ id, name: id }));
+const amountOf = (splits) => splits.reduce((sum, s) => sum + s.amount, 0);
+
+describe('computeSplits', () => {
+  it('gives leftover units of an equal split to the payer first', () => {
+    expect(computeSplits('equal', 1000, members, 'ben', undefined)).toEqual([
+      { memberId: 'ana', amount: 333 },
+      { memberId: 'ben', amount: 334 },
+      { memberId: 'cy', amount: 333 }
+    ]);
+  });
+
+  it('leaves excluded members out', () => {
+    expect(computeSplits('exclude', 1001, members, 'ana', { excludedIds: ['cy'] })).toEqual([
+      { memberId: 'ana', amount: 501 },
+      { memberId: 'ben', amount: 500 }
+    ]);
+  });
+
+  it('splits by percentage exactly', () => {
+    const details = { percentages: [
+      { memberId: 'ana', percent: '33.33' }, { memberId: 'ben', percent: '33.33' }, { memberId: 'cy', percent: '33.34' }
+    ] };
+    expect(amountOf(computeSplits('percentage', 10000, members, 'ana', details))).toBe(10000);
+  });
+
+  it('adds tax and tip to itemized shares in proportion', () => {
+    const details = {
+      items: [
+        { id: 'i1', description: 'Pizza', amount: 2000, memberIds: ['ana', 'ben'] },
+        { id: 'i2', description: 'Salad', amount: 1000, memberIds: ['cy'] }
+      ],
+      tax: 300,
+      tip: 0
+    };
+    expect(computeSplits('itemized', 3300, members, 'ana', details)).toEqual([
+      { memberId: 'ana', amount: 1100 },
+      { memberId: 'ben', amount: 1100 },
+      { memberId: 'cy', amount: 1100 }
+    ]);
+  });
+});
+
+describe('validateSplit', () => {
+  it('rejects custom amounts that miss the total', () => {
+    const details = { splits: [{ memberId: 'ana', amount: 500 }, { memberId: 'ben', amount: 400 }] };
+    expect(validateSplit('custom', 1000, members, details)).toBe('Split amounts must equal the total');
+  });
+
+  it('rejects negative amounts, percentages and shares even when they add up', () => {
+    const custom = { splits: [{ memberId: 'ana', amount: -1000 }, { memberId: 'ben', amount: 2000 }] };
+    expect(validateSplit('custom', 1000, members, custom)).toBe('Split amounts cannot be negative');
+    const percentages = { percentages: [{ memberId: 'ana', percent: '-50' }, { memberId: 'ben', percent: '150' }] };
+    expect(validateSplit('percentage', 1000, members, percentages)).toBe('Percentages cannot be negative');
+    const shares = { shares: [{ memberId: 'ana', shares: '-1' }, { memberId: 'ben', shares: '2' }] };
+    expect(validateSplit('shares', 1000, members, shares)).toBe('Shares cannot be negative');
+  });
+
+  it('rejects percentages that do not add up to 100', () => {
+    const details = { percentages: [{ memberId: 'ana', percent: '50' }, { memberId: 'ben', percent: '40' }] };
+    expect(validateSplit('percentage', 1000, members, details)).toMatch(/must add up to 100%/);
+  });
+
+  it('rejects excluding everyone', () => {
+    expect(validateSplit('exclude', 1000, members, { excludedIds: ['ana', 'ben', 'cy'] })).not.toBeNull();
+  });
+
+  it('rejects people outside the group and members named twice', () => {
+    const stranger = { splits: [{ memberId: 'ana', amount: 500 }, { memberId: 'dee', amount: 500 }] };
+    expect(validateSplit('custom', 1000, members, stranger)).toBe('The split names someone who is not a member of the group');
+    const twice = { percentages: [{ memberId: 'ana', percent: '50' }, { memberId: 'ana', percent: '50' }] };
+    expect(validateSplit('percentage', 1000, members, twice)).toBe('Each member can only be named once in a split');
+    const shares = { shares: [{ memberId: 'ana', shares: '1' }, { memberId: 'dee', shares: '1' }] };
+    expect(validateSplit('shares', 1000, members, shares)).toBe('The split names someone who is not a member of the group');
+    const items = { items: [{ id: 'i1', description: 'Pizza', amount: 1000, memberIds: ['ana', 'dee'] }], tax: 0, tip: 0 };
+    expect(validateSplit('itemized', 1000, members, items)).toBe('The split names someone who is not a member of the group');
+    expect(validateSplit('custom', 1000, members.slice(0, 2), { splits: [{ memberId: 'cy', amount: 1000 }] })).toMatch(/not a member/);
+  });
+
+  it('rejects missing split details', () => {
+    ['exclude', 'custom', 'percentage', 'shares', 'itemized'].forEach(splitType => {
+      expect(validateSplit(splitType, 1000, members, undefined)).toBe('The split details are missing');
+    });
+    expect(validateSplit('custom', 1000, members, {})).toBe('The split details are missing');
+    expect(validateSplit('itemized', 1000, members, { items: [{ id: 'i1', description: 'Pizza', amount: 1000 }] }))
+      .toBe('The split details are missing');
+    expect(validateSplit('equal', 1000, members, undefined)).toBeNull();
+  });
+
+  it('rejects unknown split types', () => {
+    expect(validateSplit('lottery', 1000, members, {})).toBe('Unknown split type: lottery');
+  });
+});
+
+describe('split properties', () => {
+  const group = fc.integer({ min: 1, max: 10 }).map(size =>
+    Array.from({ length: size }, (_, i) => ({ id: `m${i}`, name: `Member ${i}` })));
+
+  // Percentages with two decimals that add up to exactly 100
+  const percentagesFor = (size) => fc.array(fc.integer({ min: 0, max: 10000 }), { minLength: size - 1, maxLength: size - 1 })
+    .map(cuts => {
+      const points = [0, ...cuts.sort((a, b) => a - b), 10000];
+      return points.slice(1).map((point, i) => ((point - points[i]) / 100).toFixed(2));
+    });
+
+  const splitInput = group.chain(groupMembers => fc.record({
+    members: fc.constant(groupMembers),
+    amount: fc.integer({ min: 1, max: 10_000_000 }),
+    payer: fc.integer({ min: 0, max: groupMembers.length - 1 }),
+    split: fc.oneof(
+      fc.constant({ type: 'equal' }),
+      fc.subarray(groupMembers.map(m => m.id), { maxLength: groupMembers.length - 1 })
+        .map(excludedIds => ({ type: 'exclude', details: { excludedIds } })),
+      fc.array(fc.integer({ min: 0, max: 20 }), { minLength: groupMembers.length, maxLength: groupMembers.length })
+        .filter(weights => weights.some(w => w > 0))
+        .map(weights => ({
+          type: 'shares',
+          details: { shares: weights.map((w, i) => ({ memberId: groupMembers[i].id, shares: String(w / 2) })) }
+        })),
+      percentagesFor(groupMembers.length).map(percents => ({
+        type: 'percentage',
+        details: { percentages: percents.map((percent, i) => ({ memberId: groupMembers[i].id, percent })) }
+      }))
+    )
+  }));
+
+  it('always hands out exactly the expense amount to members of the group', () => {
+    fc.assert(fc.property(splitInput, ({ members: groupMembers, amount, payer, split }) => {
+      expect(validateSplit(split.type, amount, groupMembers, split.details)).toBeNull();
+      const splits = computeSplits(split.type, amount, groupMembers, groupMembers[payer].id, split.details);
+      expect(amountOf(splits)).toBe(amount);
+      splits.forEach(s => {
+        expect(Number.isInteger(s.amount)).toBe(true);
+        expect(s.amount).toBeGreaterThanOrEqual(0);
+        expect(groupMembers.some(m => m.id === s.memberId)).toBe(true);
+      });
+    }));
+  });
+
+  it('keeps equal shares within one minor unit of each other', () => {
+    fc.assert(fc.property(group, fc.integer({ min: 1, max: 10_000_000 }), (groupMembers, amount) => {
+      const parts = computeSplits('equal', amount, groupMembers, groupMembers[0].id).map(s => s.amount);
+      expect(Math.max(...parts) - Math.min(...parts)).toBeLessThanOrEqual(1);
+    }));
+  });
+});
@@ -0,0 +1,62 @@
+import { getBaseCurrency, getRate, getExpenseCurrency, getExpenseRate } from '../currency.js';
+import { getActiveMembers } from '../groups.js';
+import { validateSplit, computeSplits } from './splits.js';
+
+// Rules for creating expenses and payments, shared by the app and the sync
+// server. Builders return { fields } for a valid input, otherwise { error }.
+
+const isActiveMember = (group, memberId) => getActiveMembers(group).some(m => m.id === memberId);
+
+// `amount` is in minor units of `currency` (the group's base currency when
+// omitted). When editing, `previous` keeps its stored exchange rate.
+export const buildExpenseFields = (group, description, amount, paidBy, splitType, splitDetails, currency, previous) => {
+  if (typeof description !== 'string' || !description.trim()) {
+    return { error: 'Please enter a description' };
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: 'Please enter a valid amount' };
+  }
+  if (!isActiveMember(group, paidBy)) {
+    return { error: 'The payer must be a current member of the group' };
+  }
+
+  const expenseCurrency = currency || getBaseCurrency(group);
+  const exchangeRate = previous && getExpenseCurrency(previous, group) === expenseCurrency
+    ? getExpenseRate(previous)
+    : getRate(group, expenseCurrency);
+  if (exchangeRate === null) {
+    return { error: `No exchange rate for ${expenseCurrency} in group ${group.name}` };
+  }
+
+  const splitError = validateSplit(splitType, amount, getActiveMembers(group), splitDetails);
+  if (splitError) {
+    return { error: splitError };
+  }
+
+  return {
+    fields: {
+      description,
+      amount,
+      currency: expenseCurrency,
+      exchangeRate,
+      paidBy,
+      splits: computeSplits(splitType, amount, getActiveMembers(group), paidBy, splitDetails),
+      splitType,
+      splitDetails: splitType !== 'equal' ? splitDetails : undefined
+    }
+  };
+};
+
+// `amount` is in minor units of the group's base currency
+export const buildPaymentFields = (group, fromId, toId, amount) => {
+  if (!isActiveMember(group, fromId) || !isActiveMember(group, toId)) {
+    return { error: 'Both people must be current members of the group' };
+  }
+  if (fromId === toId) {
+    return { error: 'A payment needs two different people' };
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: 'Please enter a valid amount' };
+  }
+  return { fields: { fromId, toId, amount, currency: getBaseCurrency(group) } };
+};
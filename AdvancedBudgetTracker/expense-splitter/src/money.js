@@ -0,0 +1,85 @@
+// Money helpers - all stored amounts are integers in the currency's minor
+// unit (cents for USD, yen for JPY), so sums and splits never drift
+const digitsCache = new Map();
+
+export const getMinorDigits = (currency) => {
+  if (!digitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+    digitsCache.set(currency, maximumFractionDigits);
+  }
+  return digitsCache.get(currency);
+};
+
+export const toMinor = (amount, currency) => {
+  const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+  if (!Number.isFinite(value)) return 0;
+  return Math.round(value * 10 ** getMinorDigits(currency));
+};
+
+export const fromMinor = (minor, currency) => minor / 10 ** getMinorDigits(currency);
+
+// Converts minor units of one currency into minor units of another
+export const convertMinor = (minor, rate, fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency && rate === 1) return minor;
+  const scale = 10 ** (getMinorDigits(toCurrency) - getMinorDigits(fromCurrency));
+  return Math.round(minor * rate * scale);
+};
+
+export const sumMinor = (values) => values.reduce((sum, v) => sum + v, 0);
+
+// Splits an integer total proportionally to `weights` so the parts always
+// add up to the total. Leftover units go to the largest fractional parts;
+// ties are broken round-robin starting at `startIndex` (e.g. the payer).
+export const allocate = (total, weights, startIndex = 0) => {
+  const weightSum = sumMinor(weights);
+  if (weights.length === 0 || weightSum <= 0) return weights.map(() => 0);
+
+  const parts = weights.map(w => Math.floor((total * w) / weightSum));
+  let remainder = total - sumMinor(parts);
+
+  const order = weights
+    .map((w, index) => ({
+      index,
+      fraction: (total * w) % weightSum,
+      position: (index - startIndex + weights.length) % weights.length
+    }))
+    .filter(({ index }) => weights[index] > 0)
+    .sort((a, b) => b.fraction - a.fraction || a.position - b.position);
+
+  for (let k = 0; remainder > 0; k = (k + 1) % order.length) {
+    parts[order[k].index] += 1;
+    remainder -= 1;
+  }
+
+  return parts;
+};
+
+export const allocateEqually = (total, count, startIndex = 0) =>
+  allocate(total, Array(count).fill(1), startIndex);
+
+// Pre-minor-unit data stored amounts as floats in major units
+export const migrateToMinorUnits = (groups, expenses, payments) => {
+  const baseCurrencyOf = (groupId) => groups.find(g => g.id === groupId)?.baseCurrency || 'USD';
+
+  const migratedExpenses = expenses.map(expense => {
+    const currency = expense.currency || baseCurrencyOf(expense.groupId);
+    const amount = toMinor(expense.amount, currency);
+    const rawSplits = expense.splits.map(s => toMinor(s.amount, currency));
+    // Float splits rarely add up exactly, so re-allocate them over the total
+    const splitAmounts = sumMinor(rawSplits) === amount
+      ? rawSplits
+      : allocate(amount, expense.splits.map(s => Math.round(Math.max(s.amount, 0) * 1e6)));
+    return {
+      ...expense,
+      amount,
+      splits: expense.splits.map((s, i) => ({ ...s, amount: splitAmounts[i] }))
+    };
+  });
+
+  const migratedPayments = payments.map(payment => ({
+    ...payment,
+    amount: toMinor(payment.amount, payment.currency || baseCurrencyOf(payment.groupId))
+  }));
+
+  return { groups, expenses: migratedExpenses, payments: migratedPayments };
+};
@@ -0,0 +1,103 @@
+import { formatMoney, getBaseCurrency } from './currency.js';
+import { toDateKey, fromDateKey } from './recurring.js';
+
+// Details a payment can carry beyond who paid whom how much:
+//   method          one of PAYMENT_METHODS, or absent
+//   note            free text, or absent
+//   planTransferId  the settlement plan transfer it pays towards, or absent
+// A settlement plan is a suggested plan the group agreed to follow, stored on
+// the group as group.settlementPlan:
+//   { id, createdAt, transfers: [{ id, fromId, toId, amount }] }
+// Payments linked to a transfer count towards it, so it can be paid in parts.
+
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'bank', label: 'Bank transfer' },
+  { value: 'card', label: 'Card' },
+  { value: 'app', label: 'Payment app' },
+  { value: 'other', label: 'Other' }
+];
+
+const MAX_NOTE_LENGTH = 500;
+
+export const getPaymentMethodLabel = (method) => PAYMENT_METHODS.find(m => m.value === method)?.label || '';
+
+const memberName = (group, memberId) => group.members.find(m => m.id === memberId)?.name ?? 'Unknown';
+
+// Returns { details } to store on the payment, or { error }
+export const buildPaymentDetails = (group, fromId, toId, { method, note, planTransferId } = {}) => {
+  if (method && !PAYMENT_METHODS.some(m => m.value === method)) {
+    return { error: `Unknown payment method "${method}"` };
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    return { error: 'The note must be text' };
+  }
+  if (note && note.trim().length > MAX_NOTE_LENGTH) {
+    return { error: `Notes can be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  if (planTransferId) {
+    const transfer = group.settlementPlan?.transfers.find(t => t.id === planTransferId);
+    if (!transfer) return { error: 'That settlement plan payment no longer exists' };
+    if (transfer.fromId !== fromId || transfer.toId !== toId) {
+      return { error: `The plan payment is from ${memberName(group, transfer.fromId)} to ${memberName(group, transfer.toId)}` };
+    }
+  }
+  return {
+    details: {
+      method: method || undefined,
+      note: note?.trim() || undefined,
+      planTransferId: planTransferId || undefined
+    }
+  };
+};
+
+// Payments keep their exact time unless they are moved to another day
+export const toPaymentDate = (dateKey, previous = new Date().toISOString()) =>
+  toDateKey(new Date(previous)) === dateKey ? previous : fromDateKey(dateKey);
+
+// The most `fromId` can pay `toId` before either of them crosses zero
+export const getMaxPayment = (balances, fromId, toId) =>
+  Math.max(0, Math.min(-(balances[fromId] || 0), balances[toId] || 0));
+
+// Rejects payments larger than what the payer owes or the payee is owed.
+// `balances` should leave out the payment being edited.
+export const validatePaymentAmount = (group, balances, fromId, toId, amount) => {
+  if (amount <= getMaxPayment(balances, fromId, toId)) return null;
+  const currency = getBaseCurrency(group);
+  const owes = -(balances[fromId] || 0);
+  const owed = balances[toId] || 0;
+  if (owes <= 0) return `${memberName(group, fromId)} does not owe anything`;
+  if (owed <= 0) return `${memberName(group, toId)} is not owed anything`;
+  return owes < owed
+    ? `${memberName(group, fromId)} only owes ${formatMoney(owes, currency)}`
+    : `${memberName(group, toId)} is only owed ${formatMoney(owed, currency)}`;
+};
+
+export const createSettlementPlan = (transfers) => ({
+  id: crypto.randomUUID(),
+  createdAt: new Date().toISOString(),
+  transfers: transfers.map(t => ({ id: crypto.randomUUID(), fromId: t.fromId, toId: t.toId, amount: t.amount }))
+});
+
+export const validateSettlementPlan = (plan, memberIds) => {
+  if (!plan || typeof plan.id !== 'string' || !Array.isArray(plan.transfers)) return 'The settlement plan is invalid';
+  const invalid = plan.transfers.some(t => typeof t.id !== 'string'
+    || !memberIds.has(t.fromId) || !memberIds.has(t.toId) || !Number.isInteger(t.amount) || t.amount <= 0);
+  return invalid ? 'The settlement plan has invalid payments' : null;
+};
+
+// Each plan transfer with what has been paid towards it:
+// [{ id, fromId, toId, amount, paid, remaining }]
+export const getPlanProgress = (plan, payments) =>
+  plan.transfers.map(transfer => {
+    const paid = payments
+      .filter(p => p.planTransferId === transfer.id)
+      .reduce((sum, p) => sum + p.amount, 0);
+    return { ...transfer, paid, remaining: Math.max(0, transfer.amount - paid) };
+  });
+
+// The open plan transfer between two people, for linking new payments
+export const findPlanTransfer = (group, payments, fromId, toId) =>
+  group.settlementPlan
+    ? getPlanProgress(group.settlementPlan, payments).find(t => t.fromId === fromId && t.toId === toId && t.remaining > 0)
+    : undefined;
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import process from 'node:process';
+import {
+  buildPaymentDetails, toPaymentDate, getMaxPayment, validatePaymentAmount, createSettlementPlan, validateSettlementPlan,
+  getPlanProgress, findPlanTransfer
+} from './payments.js';
+import { toDateKey } from './recurring.js';
+
+const group = {
+  id: 'g1',
+  name: 'Trip',
+  baseCurrency: 'USD',
+  members: [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }, { id: 'cy', name: 'Cy' }]
+};
+
+// Ana is owed 60.00, Ben and Cy owe 30.00 each
+const balances = { ana: 6000, ben: -3000, cy: -3000 };
+
+describe('payment amounts', () => {
+  it('caps a payment at what the payer owes and the payee is owed', () => {
+    expect(getMaxPayment(balances, 'ben', 'ana')).toBe(3000);
+    expect(getMaxPayment({ ana: 1000, ben: -3000 }, 'ben', 'ana')).toBe(1000);
+    expect(getMaxPayment(balances, 'ana', 'ben')).toBe(0);
+  });
+
+  it('explains why a payment is too large', () => {
+    expect(validatePaymentAmount(group, balances, 'ben', 'ana', 3000)).toBeNull();
+    expect(validatePaymentAmount(group, balances, 'ben', 'ana', 3001)).toBe('Ben only owes $30.00');
+    expect(validatePaymentAmount(group, { ana: 1000, ben: -3000, cy: 2000 }, 'ben', 'ana', 2000)).toBe('Ana is only owed $10.00');
+    expect(validatePaymentAmount(group, balances, 'ana', 'ben', 100)).toBe('Ana does not owe anything');
+    expect(validatePaymentAmount(group, balances, 'ben', 'cy', 100)).toBe('Cy is not owed anything');
+  });
+});
+
+describe('buildPaymentDetails', () => {
+  const planned = { ...group, settlementPlan: createSettlementPlan([{ fromId: 'ben', toId: 'ana', amount: 3000 }]) };
+
+  it('keeps known methods, trimmed notes and plan links', () => {
+    const planTransferId = planned.settlementPlan.transfers[0].id;
+    expect(buildPaymentDetails(planned, 'ben', 'ana', { method: 'bank', note: ' rent ', planTransferId })).toEqual({
+      details: { method: 'bank', note: 'rent', planTransferId }
+    });
+    expect(buildPaymentDetails(group, 'ben', 'ana', { note: '  ' })).toEqual({
+      details: { method: undefined, note: undefined, planTransferId: undefined }
+    });
+  });
+
+  it('rejects unknown methods, long notes and mismatched plan payments', () => {
+    expect(buildPaymentDetails(group, 'ben', 'ana', { method: 'gold' }).error).toBe('Unknown payment method "gold"');
+    expect(buildPaymentDetails(group, 'ben', 'ana', { note: 'x'.repeat(501) }).error).toMatch(/at most 500/);
+    expect(buildPaymentDetails(group, 'ben', 'ana', { planTransferId: 'gone' }).error).toMatch(/no longer exists/);
+    const planTransferId = planned.settlementPlan.transfers[0].id;
+    expect(buildPaymentDetails(planned, 'cy', 'ana', { planTransferId }).error).toBe('The plan payment is from Ben to Ana');
+  });
+});
+
+describe('settlement plans', () => {
+  const plan = createSettlementPlan([{ fromId: 'ben', toId: 'ana', amount: 3000 }, { fromId: 'cy', toId: 'ana', amount: 3000 }]);
+  const [benToAna, cyToAna] = plan.transfers;
+  const memberIds = new Set(group.members.map(m => m.id));
+
+  it('validates stored plans', () => {
+    expect(validateSettlementPlan(plan, memberIds)).toBeNull();
+    expect(validateSettlementPlan({ ...plan, transfers: [{ ...benToAna, toId: 'dee' }] }, memberIds)).toMatch(/invalid payments/);
+    expect(validateSettlementPlan({ ...plan, transfers: [{ ...benToAna, amount: 0 }] }, memberIds)).toMatch(/invalid payments/);
+    expect(validateSettlementPlan({ transfers: [] }, memberIds)).toBe('The settlement plan is invalid');
+  });
+
+  it('tracks payments made in parts', () => {
+    const payments = [
+      { id: 'p1', fromId: 'ben', toId: 'ana', amount: 1000, planTransferId: benToAna.id },
+      { id: 'p2', fromId: 'ben', toId: 'ana', amount: 2500, planTransferId: benToAna.id },
+      { id: 'p3', fromId: 'cy', toId: 'ana', amount: 500 }
+    ];
+    expect(getPlanProgress(plan, payments).map(t => [t.paid, t.remaining])).toEqual([[3500, 0], [0, 3000]]);
+  });
+
+  it('finds the open transfer between two people', () => {
+    const planned = { ...group, settlementPlan: plan };
+    const paid = [{ id: 'p1', fromId: 'ben', toId: 'ana', amount: 3000, planTransferId: benToAna.id }];
+    expect(findPlanTransfer(planned, paid, 'ben', 'ana')).toBeUndefined();
+    expect(findPlanTransfer(planned, paid, 'cy', 'ana')).toMatchObject({ id: cyToAna.id, remaining: 3000 });
+    expect(findPlanTransfer(group, paid, 'cy', 'ana')).toBeUndefined();
+  });
+});
+
+// New Zealand summer time is UTC+13, where noon UTC is already tomorrow
+describe('payment dates in Pacific/Auckland', () => {
+  const timeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = 'Pacific/Auckland';
+  });
+  afterAll(() => {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  });
+
+  it('records a payment on the day that was picked', () => {
+    expect(toDateKey(new Date(toPaymentDate('2026-01-31')))).toBe('2026-01-31');
+  });
+
+  it('keeps the time of a payment that stays on its day', () => {
+    const previous = new Date(2026, 0, 31, 23, 45).toISOString();
+    expect(toPaymentDate('2026-01-31', previous)).toBe(previous);
+  });
+});
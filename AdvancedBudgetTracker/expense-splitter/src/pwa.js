@@ -0,0 +1,39 @@
+// Registers the service worker built from ./serviceWorker.js (production
+// builds only). `onUpdate(apply)` is called once a new build has been
+// installed and is waiting; `apply()` switches to it and reloads the page.
+export const registerServiceWorker = (onUpdate) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  let updating = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updating) window.location.reload();
+  });
+
+  // The first install has no controller yet and needs no prompt
+  const checkWaiting = (registration) => {
+    const worker = registration.waiting;
+    if (worker && navigator.serviceWorker.controller) {
+      onUpdate(() => {
+        updating = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      });
+    }
+  };
+
+  navigator.serviceWorker.register('/sw.js')
+    .then(registration => {
+      checkWaiting(registration);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed') checkWaiting(registration);
+        });
+      });
+
+      // Tabs left open for days look for new builds when shown again
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+      });
+    })
+    .catch(error => console.error('Service worker registration failed:', error));
+};
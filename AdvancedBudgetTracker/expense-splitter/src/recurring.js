@@ -0,0 +1,213 @@
+import { createAuditEntry } from './audit.js';
+import { isArchived } from './groups.js';
+import { buildExpenseFields } from './ledger/index.js';
+
+// Recurring expense templates, one record per schedule in the `recurring`
+// collection. A template holds the expense fields (description, amount,
+// currency, paidBy, splitType, splitDetails, category, tags) plus its schedule:
+//   frequency      'daily' | 'weekly' | 'monthly' | 'custom'
+//   interval       with intervalUnit ('day' | 'week' | 'month'), for custom
+//   startDate      first occurrence, 'YYYY-MM-DD'
+//   endDate        last possible occurrence, or null
+//   amountType     'fixed' posts automatically, 'variable' waits for the
+//                  amount of each occurrence to be entered
+//   occurrences    { [date]: { status: 'posted', expenseId }
+//                            | { status: 'skipped' }
+//                            | { status: 'edited', amount, description } }
+
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'custom', label: 'Custom interval' }
+];
+
+export const INTERVAL_UNITS = [
+  { value: 'day', label: 'days' },
+  { value: 'week', label: 'weeks' },
+  { value: 'month', label: 'months' }
+];
+
+// Amount-dependent splits cannot follow an amount that changes every time
+export const VARIABLE_SPLIT_TYPES = ['equal', 'exclude', 'percentage', 'shares'];
+
+// Upper bound on occurrences looked at per template in one go, counted from
+// where a schedule is picked up rather than from its start date, so a daily
+// schedule left unattended for years cannot stall the app
+const MAX_OCCURRENCES = 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const getTodayKey = () => toDateKey(new Date());
+
+// The timestamp stored for a day picked by date: local noon, so toDateKey
+// reads the same day back whatever the offset (noon UTC is already the next
+// day east of UTC+12)
+export const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, 12).toISOString();
+};
+
+const getStep = (template) => template.frequency === 'custom'
+  ? { unit: template.intervalUnit, count: template.interval }
+  : { unit: { daily: 'day', weekly: 'week', monthly: 'month' }[template.frequency], count: 1 };
+
+// Monthly schedules keep their day of the month, clamped to shorter months
+// (Jan 31 -> Feb 28 -> Mar 31)
+const addToDateKey = (dateKey, unit, count) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  if (unit === 'month') {
+    const daysInMonth = new Date(Date.UTC(year, month - 1 + count + 1, 0)).getUTCDate();
+    const date = new Date(Date.UTC(year, month - 1 + count, Math.min(day, daysInMonth)));
+    return date.toISOString().slice(0, 10);
+  }
+  const date = new Date(Date.UTC(year, month - 1, day + count * (unit === 'week' ? 7 : 1)));
+  return date.toISOString().slice(0, 10);
+};
+
+// The number of the last occurrence on or before `dateKey` (0 for the start
+// date), worked out without stepping through the ones before it
+const getOccurrenceIndex = (template, dateKey) => {
+  const { unit, count } = getStep(template);
+  const [startYear, startMonth, startDay] = template.startDate.split('-').map(Number);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const units = unit === 'month'
+    ? (year - startYear) * 12 + month - startMonth
+    : (Date.UTC(year, month - 1, day) - Date.UTC(startYear, startMonth - 1, startDay)) / 86400000 / (unit === 'week' ? 7 : 1);
+  const n = Math.max(Math.floor(units / count), 0);
+  // A monthly date later in the month than `dateKey` is still to come
+  return n > 0 && addToDateKey(template.startDate, unit, n * count) > dateKey ? n - 1 : n;
+};
+
+// Scheduled dates up to and including `untilKey`, oldest first, from the
+// occurrence on or before `fromKey`
+export const getOccurrenceDates = (template, untilKey, fromKey = template.startDate) => {
+  const { unit, count } = getStep(template);
+  const dates = [];
+  for (let n = getOccurrenceIndex(template, fromKey); dates.length < MAX_OCCURRENCES; n++) {
+    const date = addToDateKey(template.startDate, unit, n * count);
+    if (date > untilKey || (template.endDate && date > template.endDate)) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+const getOccurrence = (template, date) => template.occurrences?.[date];
+
+// Description and amount of one occurrence, with any edit applied
+export const getOccurrenceInput = (template, date) => {
+  const occurrence = getOccurrence(template, date);
+  return occurrence?.status === 'edited'
+    ? { description: occurrence.description, amount: occurrence.amount, edited: true }
+    : { description: template.description, amount: template.amount, edited: false };
+};
+
+export const needsAmount = (template, date) =>
+  template.amountType === 'variable' && getOccurrence(template, date)?.status !== 'edited';
+
+const isHandled = (template, date) => ['posted', 'skipped'].includes(getOccurrence(template, date)?.status);
+
+// Where to pick a schedule up: the last occurrence of the unbroken run that
+// was posted or skipped from the start date on, or the start date. Dates left
+// open before a later one was handled are still picked up that way.
+const getResumeDate = (template) => {
+  const { unit, count } = getStep(template);
+  const handled = Object.keys(template.occurrences || {}).filter(date => isHandled(template, date)).sort();
+  const run = handled.findIndex((date, i) => addToDateKey(template.startDate, unit, i * count) !== date);
+  const last = run === -1 ? handled.length - 1 : run - 1;
+  return last >= 0 ? handled[last] : template.startDate;
+};
+
+// Past and today's occurrences that were neither posted nor skipped
+export const getDueOccurrences = (template, todayKey) =>
+  getOccurrenceDates(template, todayKey, getResumeDate(template)).filter(date => !isHandled(template, date));
+
+// The next `count` dates after today, skipped ones included so they can be
+// restored: [{ date, skipped, description, amount, edited }]
+export const getUpcomingOccurrences = (template, todayKey, count = 3) => {
+  const { unit, count: step } = getStep(template);
+  const upcoming = [];
+  const first = getOccurrenceIndex(template, todayKey);
+  for (let n = first; upcoming.length < count && n < first + MAX_OCCURRENCES; n++) {
+    const date = addToDateKey(template.startDate, unit, n * step);
+    if (template.endDate && date > template.endDate) break;
+    if (date > todayKey) {
+      upcoming.push({ date, skipped: getOccurrence(template, date)?.status === 'skipped', ...getOccurrenceInput(template, date) });
+    }
+  }
+  return upcoming;
+};
+
+export const describeSchedule = (template) => {
+  const { unit, count } = getStep(template);
+  const every = count === 1 ? `Every ${unit}` : `Every ${count} ${unit}s`;
+  return `${every} from ${template.startDate}${template.endDate ? ` until ${template.endDate}` : ''}`;
+};
+
+export const setOccurrence = (template, date, occurrence) => {
+  const occurrences = { ...template.occurrences };
+  if (occurrence) {
+    occurrences[date] = occurrence;
+  } else {
+    delete occurrences[date];
+  }
+  return { ...template, occurrences };
+};
+
+// Builds the expense for one occurrence through the same rules as adding an
+// expense by hand. The id is derived from the template and date, so two
+// devices posting the same occurrence produce one expense, not two.
+export const buildOccurrenceExpense = (group, template, date, amount = getOccurrenceInput(template, date).amount) => {
+  const { description } = getOccurrenceInput(template, date);
+  const { fields, error } = buildExpenseFields(
+    group, description, amount, template.paidBy, template.splitType, template.splitDetails, template.currency
+  );
+  if (error) return { error };
+  return {
+    expense: {
+      id: `${template.id}:${date}`,
+      groupId: group.id,
+      ...fields,
+      category: template.category,
+      tags: template.tags,
+      date: fromDateKey(date),
+      recurringId: template.id,
+      occurrenceDate: date
+    }
+  };
+};
+
+// Posts every due occurrence of fixed-amount templates (and of variable ones
+// whose amount was entered ahead of time). Returns the changed collections
+// { recurring, expenses, auditLog }, or null when nothing was due.
+export const postDueOccurrences = (data, todayKey, actor) => {
+  let posted = 0;
+  let auditLog = data.auditLog;
+  const expenses = [...data.expenses];
+  const recurring = data.recurring.map(template => {
+    const group = data.groups.find(g => g.id === template.groupId);
+    if (!group || isArchived(group)) return template;
+
+    let updated = template;
+    getDueOccurrences(template, todayKey)
+      .filter(date => !needsAmount(template, date))
+      .forEach(date => {
+        const { expense, error } = buildOccurrenceExpense(group, template, date);
+        if (error) {
+          console.error(`Could not post "${template.description}" for ${date}: ${error}`);
+          return;
+        }
+        if (!expenses.some(e => e.id === expense.id)) {
+          expenses.push(expense);
+          auditLog = [...auditLog, createAuditEntry(group.id, 'expense', 'create', null, expense, actor)];
+        }
+        updated = setOccurrence(updated, date, { status: 'posted', expenseId: expense.id });
+        posted++;
+      });
+    return updated;
+  });
+
+  return posted > 0 ? { recurring, expenses, auditLog } : null;
+};
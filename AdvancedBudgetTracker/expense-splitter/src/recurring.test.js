@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import process from 'node:process';
+import {
+  toDateKey, fromDateKey, getOccurrenceDates, getDueOccurrences, getUpcomingOccurrences, setOccurrence, buildOccurrenceExpense,
+  postDueOccurrences
+} from './recurring.js';
+
+const group = { id: 'g1', name: 'Flat', members: [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }] };
+
+const template = {
+  id: 'rent', groupId: 'g1', description: 'Rent', amount: 100000, paidBy: 'ana', splitType: 'equal',
+  frequency: 'monthly', startDate: '2026-01-01', endDate: null, amountType: 'fixed', occurrences: {}
+};
+
+const emptyData = (recurring) => ({ groups: [group], expenses: [], auditLog: [], recurring });
+
+describe('schedules', () => {
+  it('keeps the day of the month, clamped to shorter months', () => {
+    expect(getOccurrenceDates({ ...template, startDate: '2026-01-31' }, '2026-04-30'))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    expect(getOccurrenceDates({ ...template, startDate: '2028-01-31' }, '2028-02-29')).toEqual(['2028-01-31', '2028-02-29']);
+  });
+
+  it('steps custom intervals and stops at the end date', () => {
+    const fortnightly = { ...template, frequency: 'custom', interval: 2, intervalUnit: 'week', startDate: '2026-12-24', endDate: '2027-01-21' };
+    expect(getOccurrenceDates(fortnightly, '2027-12-31')).toEqual(['2026-12-24', '2027-01-07', '2027-01-21']);
+  });
+
+  it('counts today as due, and edited but not posted or skipped occurrences', () => {
+    let daily = { ...template, frequency: 'daily', startDate: '2026-03-01' };
+    daily = setOccurrence(daily, '2026-03-01', { status: 'posted', expenseId: 'x' });
+    daily = setOccurrence(daily, '2026-03-02', { status: 'skipped' });
+    daily = setOccurrence(daily, '2026-03-03', { status: 'edited', amount: 500, description: 'Less rent' });
+    expect(getDueOccurrences(daily, '2026-03-04')).toEqual(['2026-03-03', '2026-03-04']);
+  });
+
+  it('lists upcoming dates after today, skipped ones included', () => {
+    const skipped = setOccurrence(template, '2026-03-01', { status: 'skipped' });
+    expect(getUpcomingOccurrences(skipped, '2026-02-01', 2).map(o => [o.date, o.skipped])).toEqual([
+      ['2026-03-01', true],
+      ['2026-04-01', false]
+    ]);
+  });
+});
+
+describe('long-running schedules', () => {
+  const daily = { ...template, frequency: 'daily', startDate: '2020-01-01' };
+  const markAll = (schedule, dates, status) => ({
+    ...schedule, occurrences: Object.fromEntries(dates.map(date => [date, { status }]))
+  });
+  const daysBetween = (from, to) => {
+    const dates = [];
+    for (const day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+      dates.push(day.toISOString().slice(0, 10));
+    }
+    return dates;
+  };
+
+  it('picks up after the last posted day, however long ago the schedule started', () => {
+    const posted = markAll(daily, daysBetween('2020-01-01', '2025-12-31'), 'posted');
+    expect(getDueOccurrences(posted, '2026-01-03')).toEqual(['2026-01-01', '2026-01-02', '2026-01-03']);
+    expect(getUpcomingOccurrences(posted, '2026-01-03', 2).map(o => o.date)).toEqual(['2026-01-04', '2026-01-05']);
+  });
+
+  it('works through a long backlog in batches', () => {
+    const first = getDueOccurrences(daily, '2026-01-01');
+    expect(first).toHaveLength(1000);
+    expect(getDueOccurrences(markAll(daily, first, 'posted'), '2026-01-01')[0]).toBe('2022-09-27');
+  });
+
+  it('still lists days left open before a later one was handled', () => {
+    let monthly = setOccurrence(template, '2026-01-01', { status: 'posted', expenseId: 'x' });
+    monthly = setOccurrence(monthly, '2026-03-01', { status: 'skipped' });
+    monthly = setOccurrence(monthly, '2026-06-01', { status: 'skipped' });
+    expect(getDueOccurrences(monthly, '2026-04-15')).toEqual(['2026-02-01', '2026-04-01']);
+  });
+});
+
+describe('postDueOccurrences', () => {
+  it('posts each due occurrence once, with an id derived from the date', () => {
+    const first = postDueOccurrences(emptyData([template]), '2026-02-15', 'Ana');
+    expect(first.expenses.map(e => e.id)).toEqual(['rent:2026-01-01', 'rent:2026-02-01']);
+    expect(first.expenses[0].splits.map(s => s.amount)).toEqual([50000, 50000]);
+    expect(first.auditLog).toHaveLength(2);
+    expect(first.recurring[0].occurrences['2026-02-01']).toEqual({ status: 'posted', expenseId: 'rent:2026-02-01' });
+
+    expect(postDueOccurrences({ ...emptyData(first.recurring), expenses: first.expenses }, '2026-02-28', 'Ana')).toBeNull();
+  });
+
+  it('does not post twice when another device already did', () => {
+    const { expense } = buildOccurrenceExpense(group, template, '2026-01-01');
+    const { expenses, auditLog } = postDueOccurrences({ ...emptyData([template]), expenses: [expense] }, '2026-01-01', 'Ana');
+    expect(expenses).toHaveLength(1);
+    expect(auditLog).toEqual([]);
+  });
+
+  it('uses the amount entered for an occurrence', () => {
+    const edited = setOccurrence(template, '2026-01-01', { status: 'edited', amount: 80000, description: 'Rent (January)' });
+    const { expenses } = postDueOccurrences(emptyData([edited]), '2026-01-01', 'Ana');
+    expect(expenses[0]).toMatchObject({ description: 'Rent (January)', amount: 80000 });
+  });
+
+  it('leaves variable amounts, archived groups and invalid templates waiting', () => {
+    expect(postDueOccurrences(emptyData([{ ...template, amountType: 'variable' }]), '2026-03-01', 'Ana')).toBeNull();
+    const archived = { ...emptyData([template]), groups: [{ ...group, archivedAt: '2026-01-01T00:00:00.000Z' }] };
+    expect(postDueOccurrences(archived, '2026-03-01', 'Ana')).toBeNull();
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(postDueOccurrences(emptyData([{ ...template, paidBy: 'nobody' }]), '2026-03-01', 'Ana')).toBeNull();
+    expect(logged).toHaveBeenCalled();
+    logged.mockRestore();
+  });
+});
+
+// New Zealand summer time is UTC+13, where noon UTC is already tomorrow
+describe('dates in Pacific/Auckland', () => {
+  const timeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = 'Pacific/Auckland';
+  });
+  afterAll(() => {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  });
+
+  it('reads a stored day back as the same day', () => {
+    expect(toDateKey(new Date(fromDateKey('2026-01-31')))).toBe('2026-01-31');
+  });
+
+  it('posts recurring expenses on their scheduled day', () => {
+    const { expenses } = postDueOccurrences(emptyData([template]), '2026-02-15', 'Ana');
+    expect(expenses.map(e => [e.occurrenceDate, toDateKey(new Date(e.date))])).toEqual([
+      ['2026-01-01', '2026-01-01'],
+      ['2026-02-01', '2026-02-01']
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Client-side routes on the History API. A route is { view, groupId,
+// expenseId, memberId, contactId }; ids are always read from the path so
+// the app shows the live record, never a copy taken when the link was
+// followed. The sync server and the Vite dev server both answer unknown
+// paths with index.html, so every route survives a reload.
+
+const ROUTES = [
+  { pattern: /^\/$/, view: 'dashboard' },
+  { pattern: /^\/groups$/, view: 'groups' },
+  { pattern: /^\/groups\/([^/]+)$/, view: 'groupDetail', keys: ['groupId'] },
+  { pattern: /^\/groups\/([^/]+)\/settle$/, view: 'settle', keys: ['groupId'] },
+  { pattern: /^\/groups\/([^/]+)\/expenses\/([^/]+)$/, view: 'expense', keys: ['groupId', 'expenseId'] },
+  { pattern: /^\/groups\/([^/]+)\/statement$/, view: 'statement', keys: ['groupId'] },
+  { pattern: /^\/groups\/([^/]+)\/statement\/([^/]+)$/, view: 'statement', keys: ['groupId', 'memberId'] },
+  { pattern: /^\/shared$/, view: 'shared' },
+  { pattern: /^\/people$/, view: 'people' },
+  { pattern: /^\/people\/([^/]+)$/, view: 'person', keys: ['contactId'] }
+];
+
+export const parseRoute = (pathname) => {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  for (const { pattern, view, keys = [] } of ROUTES) {
+    const match = path.match(pattern);
+    if (match) {
+      try {
+        return { view, ...Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])) };
+      } catch {
+        break;
+      }
+    }
+  }
+  return { view: 'notFound' };
+};
+
+const encode = encodeURIComponent;
+
+export const paths = {
+  dashboard: () => '/',
+  groups: () => '/groups',
+  group: (groupId) => `/groups/${encode(groupId)}`,
+  settle: (groupId) => `/groups/${encode(groupId)}/settle`,
+  expense: (groupId, expenseId) => `/groups/${encode(groupId)}/expenses/${encode(expenseId)}`,
+  statement: (groupId, memberId) => `/groups/${encode(groupId)}/statement${memberId ? `/${encode(memberId)}` : ''}`,
+  shared: () => '/shared',
+  people: () => '/people',
+  person: (contactId) => `/people/${encode(contactId)}`
+};
+
+// Current route plus navigate(path, { replace, keepSearch }). `keepSearch`
+// carries the query string over, e.g. history filters while a modal route
+// opens on top of the group.
+export const useRoute = () => {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+
+  useEffect(() => {
+    const onPopState = () => setPathname(window.location.pathname);
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false, keepSearch = false } = {}) => {
+    const url = keepSearch ? `${path}${window.location.search}` : path;
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    }
+    setPathname(path);
+    if (!replace && !keepSearch) window.scrollTo(0, 0);
+  }, []);
+
+  return [parseRoute(pathname), navigate];
+};
@@ -0,0 +1,139 @@
+import { migrateToMinorUnits } from './money.js';
+import { linkAllMembers } from './contacts.js';
+import { buildExpenseLabels } from './categories.js';
+import { validateBudgets } from './budgets.js';
+import { PAYMENT_METHODS, validateSettlementPlan } from './payments.js';
+
+// Stored data format. Bump SCHEMA_VERSION whenever the shape of a record
+// changes and register a migration that upgrades data from the version before.
+export const SCHEMA_VERSION = 4;
+
+// Every persisted collection is stored as a JSON array under its own key.
+// Listed in dependency order: records only refer to collections before them.
+export const COLLECTIONS = ['contacts', 'groups', 'recurring', 'expenses', 'payments', 'auditLog'];
+
+// Keyed by the version each migration upgrades to
+const MIGRATIONS = {
+  // Version 2 stores every amount as integer minor units
+  2: (data) => ({ ...data, ...migrateToMinorUnits(data.groups, data.expenses, data.payments) }),
+  // Version 3 links group members to shared contacts, matched by name
+  3: (data) => ({ ...data, ...linkAllMembers(data.groups, data.contacts) })
+  // Version 4 adds the `recurring` collection, which starts out empty
+};
+
+// Fills in collections missing from older data
+export const normalizeData = (data) =>
+  Object.fromEntries(COLLECTIONS.map(key => [key, Array.isArray(data[key]) ? data[key] : []]));
+
+// Upgrades data stored by `fromVersion` to the current schema
+export const migrateData = (data, fromVersion) => {
+  let migrated = normalizeData(data);
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    if (MIGRATIONS[version]) {
+      migrated = MIGRATIONS[version](migrated);
+    }
+  }
+  return migrated;
+};
+
+const isId = (value) => typeof value === 'string' && value.length > 0;
+const isMinor = (value) => Number.isInteger(value);
+const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Checks that data matches the current schema. Returns a list of error
+// messages (capped at `limit`), empty when the data is valid.
+export const validateData = (data, limit = 20) => {
+  const errors = [];
+  const fail = (message) => errors.length < limit && errors.push(message);
+
+  COLLECTIONS.forEach(key => {
+    if (!Array.isArray(data[key])) fail(`"${key}" must be a list`);
+  });
+  if (errors.length > 0) return errors;
+
+  const contactIds = new Set();
+  data.contacts.forEach((contact, i) => {
+    if (!isId(contact.id)) fail(`Contact ${i + 1} has no id`);
+    if (typeof contact.name !== 'string' || !contact.name.trim()) fail(`Contact ${i + 1} has no name`);
+    contactIds.add(contact.id);
+  });
+
+  const groupMembers = new Map();
+  data.groups.forEach((group, i) => {
+    if (!isId(group.id)) fail(`Group ${i + 1} has no id`);
+    if (typeof group.name !== 'string' || !group.name.trim()) fail(`Group ${i + 1} has no name`);
+    if (!Array.isArray(group.members) || group.members.some(m => !isId(m.id) || typeof m.name !== 'string')) {
+      fail(`Group "${group.name}" has invalid members`);
+      return;
+    }
+    if (group.members.some(m => m.contactId !== undefined && !contactIds.has(m.contactId))) {
+      fail(`Group "${group.name}" has members linked to unknown contacts`);
+    }
+    if (group.budgets !== undefined && validateBudgets(group.budgets)) fail(`Group "${group.name}" has invalid budgets`);
+    groupMembers.set(group.id, new Set(group.members.map(m => m.id)));
+    if (group.settlementPlan !== undefined && validateSettlementPlan(group.settlementPlan, groupMembers.get(group.id))) {
+      fail(`Group "${group.name}" has an invalid settlement plan`);
+    }
+  });
+
+  data.recurring.forEach((template, i) => {
+    const label = `Recurring expense ${i + 1}${template.description ? ` ("${template.description}")` : ''}`;
+    const members = groupMembers.get(template.groupId);
+    if (!isId(template.id)) fail(`${label} has no id`);
+    if (!members) {
+      fail(`${label} belongs to an unknown group`);
+      return;
+    }
+    if (!isMinor(template.amount) || template.amount < 0) fail(`${label} has an invalid amount`);
+    if (!members.has(template.paidBy)) fail(`${label} is paid by an unknown member`);
+    if (!['daily', 'weekly', 'monthly', 'custom'].includes(template.frequency)) fail(`${label} has an invalid frequency`);
+    if (template.frequency === 'custom' && !(Number.isInteger(template.interval) && template.interval > 0)) {
+      fail(`${label} has an invalid interval`);
+    }
+    if (!isDateKey(template.startDate) || (template.endDate && !isDateKey(template.endDate))) fail(`${label} has invalid dates`);
+  });
+
+  data.expenses.forEach((expense, i) => {
+    const label = `Expense ${i + 1}${expense.description ? ` ("${expense.description}")` : ''}`;
+    const members = groupMembers.get(expense.groupId);
+    if (!isId(expense.id)) fail(`${label} has no id`);
+    if (!members) {
+      fail(`${label} belongs to an unknown group`);
+      return;
+    }
+    if (!isMinor(expense.amount) || expense.amount <= 0) fail(`${label} has an invalid amount`);
+    if (!members.has(expense.paidBy)) fail(`${label} was paid by an unknown member`);
+    if (!Array.isArray(expense.splits) || expense.splits.some(s => !members.has(s.memberId) || !isMinor(s.amount))) {
+      fail(`${label} has invalid splits`);
+    } else if (expense.splits.reduce((sum, s) => sum + s.amount, 0) !== expense.amount) {
+      fail(`${label} splits do not add up to its amount`);
+    }
+    if (buildExpenseLabels(expense.category, expense.tags).error) fail(`${label} has an invalid category or tags`);
+    if (expense.attachments !== undefined && (!Array.isArray(expense.attachments)
+      || expense.attachments.some(a => !isId(a.id) || typeof a.name !== 'string' || typeof a.type !== 'string'))) {
+      fail(`${label} has invalid attachments`);
+    }
+  });
+
+  data.payments.forEach((payment, i) => {
+    const members = groupMembers.get(payment.groupId);
+    if (!isId(payment.id)) fail(`Payment ${i + 1} has no id`);
+    if (!members) {
+      fail(`Payment ${i + 1} belongs to an unknown group`);
+      return;
+    }
+    if (!members.has(payment.fromId) || !members.has(payment.toId)) fail(`Payment ${i + 1} involves an unknown member`);
+    if (!isMinor(payment.amount) || payment.amount <= 0) fail(`Payment ${i + 1} has an invalid amount`);
+    if ((payment.method !== undefined && !PAYMENT_METHODS.some(m => m.value === payment.method))
+      || (payment.note !== undefined && typeof payment.note !== 'string')
+      || (payment.planTransferId !== undefined && !isId(payment.planTransferId))) {
+      fail(`Payment ${i + 1} has invalid details`);
+    }
+  });
+
+  data.auditLog.forEach((entry, i) => {
+    if (!isId(entry.id) || !isId(entry.groupId)) fail(`Audit entry ${i + 1} is invalid`);
+  });
+
+  return errors;
+};
@@ -0,0 +1,38 @@
+/* global PRECACHE, VERSION */
+
+// Service worker source. The build turns it into sw.js, prepending PRECACHE
+// (every built file) and VERSION (a hash of them). It serves the app shell
+// from the cache so the app opens without a network; /api is never cached.
+
+const CACHE_PREFIX = 'expense-splitter-';
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE)
+    .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+// A new version waits until the page accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Every client-side route loads the same page
+  const cached = request.mode === 'navigate' ? caches.match('/index.html') : caches.match(request);
+  event.respondWith(cached.then(response => response || fetch(request)));
+});
@@ -0,0 +1,197 @@
+import { SCHEMA_VERSION, migrateData, validateData } from './schema.js';
+import { createAuditEntry } from './audit.js';
+import { linkMembers } from './contacts.js';
+
+// Group snapshots that travel inside a link, so balances can be shown to
+// someone without a sync server. The snapshot is JSON, compressed with
+// deflate and written as base64url into the URL fragment, which browsers
+// never send to a server:
+//   /shared#1z.<data>  compressed
+//   /shared#1x.<data>  compressed, then encrypted with a passphrase: AES-GCM
+//                      with a PBKDF2-SHA256 key; <data> is salt | iv | ciphertext
+// Receipt files, contact links, recurring expenses and the audit log are
+// left out.
+
+export const SHARE_FORMAT = 'expense-splitter-share';
+
+const PLAIN = '1z';
+const ENCRYPTED = '1x';
+const PBKDF2_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const omit = (record, key) => Object.fromEntries(Object.entries(record).filter(([k]) => k !== key));
+
+export const createSnapshot = (group, expenses, payments) => ({
+  format: SHARE_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  sharedAt: new Date().toISOString(),
+  group: { ...group, members: group.members.map(member => omit(member, 'contactId')) },
+  expenses: expenses.filter(e => e.groupId === group.id).map(expense => omit(expense, 'attachments')),
+  payments: payments.filter(p => p.groupId === group.id)
+});
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+const transform = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// The link payload for a snapshot, encrypted when there is a passphrase
+export const encodeSnapshot = async (snapshot, passphrase = '') => {
+  const compressed = await transform(new TextEncoder().encode(JSON.stringify(snapshot)), new CompressionStream('deflate-raw'));
+  if (!passphrase) return `${PLAIN}.${toBase64Url(compressed)}`;
+
+  if (!crypto.subtle) throw new Error('Passphrases need the app to be opened over HTTPS');
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, compressed));
+  return `${ENCRYPTED}.${toBase64Url(new Uint8Array([...salt, ...iv, ...ciphertext]))}`;
+};
+
+export const isEncryptedPayload = (payload) => payload.startsWith(`${ENCRYPTED}.`);
+
+const validateSnapshot = (snapshot) => {
+  if (snapshot?.format !== SHARE_FORMAT || typeof snapshot.group !== 'object' || snapshot.group === null) {
+    return { errors: ['This link does not contain a shared group'] };
+  }
+  if (!Number.isInteger(snapshot.schemaVersion) || snapshot.schemaVersion < 1) {
+    return { errors: ['The shared group has no valid schema version'] };
+  }
+  if (snapshot.schemaVersion > SCHEMA_VERSION) {
+    return { errors: ['The group was shared from a newer version of the app; update this one to open it'] };
+  }
+
+  let data;
+  try {
+    data = migrateData({ groups: [snapshot.group], expenses: snapshot.expenses, payments: snapshot.payments }, snapshot.schemaVersion);
+  } catch (error) {
+    return { errors: [`The shared group could not be upgraded: ${error.message}`] };
+  }
+  const [group] = data.groups;
+  const errors = validateData(data);
+  if (errors.length === 0 && [...data.expenses, ...data.payments].some(record => record.groupId !== group.id)) {
+    errors.push('The shared group contains records of another group');
+  }
+  return errors.length > 0
+    ? { errors }
+    : { snapshot: { group, expenses: data.expenses, payments: data.payments, sharedAt: snapshot.sharedAt } };
+};
+
+// Reads a link payload. Resolves { snapshot: { group, expenses, payments,
+// sharedAt } } migrated to the current schema, or { errors }.
+export const decodeSnapshot = async (payload, passphrase = '') => {
+  const [kind, data] = payload.split('.');
+  if (![PLAIN, ENCRYPTED].includes(kind) || !data) return { errors: ['This link is not a shared group, or it was cut off'] };
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(data);
+  } catch {
+    return { errors: ['This link is damaged'] };
+  }
+  if (kind === ENCRYPTED) {
+    if (!crypto.subtle) return { errors: ['Protected links can only be opened over HTTPS'] };
+    try {
+      const key = await deriveKey(passphrase, bytes.slice(0, SALT_BYTES));
+      const iv = bytes.slice(SALT_BYTES, SALT_BYTES + IV_BYTES);
+      bytes = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.slice(SALT_BYTES + IV_BYTES)));
+    } catch {
+      return { errors: ['Wrong passphrase, or the link is damaged'] };
+    }
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(new TextDecoder().decode(await transform(bytes, new DecompressionStream('deflate-raw'))));
+  } catch {
+    return { errors: ['This link is damaged'] };
+  }
+  return validateSnapshot(snapshot);
+};
+
+// Whether `incoming` is a later edit than `local`: by the time of the last
+// edit, as revisions count edits per device; by revision for records saved
+// before updatedAt existed
+const isNewer = (incoming, local) => (incoming.updatedAt && local.updatedAt
+  ? incoming.updatedAt > local.updatedAt
+  : (incoming.rev || 0) > (local.rev || 0));
+
+// The group as it should be after the import. An existing group keeps its
+// settings (name, rates, budgets, settlement plan...) and only gains the
+// members it lacks, unless `replaceSettings` takes the shared ones; local
+// contact links and local-only members stay either way.
+const mergeGroup = (local, shared, replaceSettings) => {
+  if (!local) return shared;
+  const sharedMembers = new Map(shared.members.map(m => [m.id, m]));
+  const localIds = new Set(local.members.map(m => m.id));
+  const members = [
+    ...local.members.map(m => (replaceSettings && sharedMembers.has(m.id) ? { ...sharedMembers.get(m.id), contactId: m.contactId } : m)),
+    ...shared.members.filter(m => !localIds.has(m.id))
+  ];
+  if (!replaceSettings) return { ...local, members };
+  const settings = Object.fromEntries(Object.entries(shared).filter(([key]) => !['rev', 'updatedAt'].includes(key)));
+  return { ...local, ...settings, members };
+};
+
+// Merges a decoded snapshot into `data` ({ groups, expenses, payments,
+// auditLog, contacts }). Each shared expense or payment is added, or replaces
+// the local copy only when it is a later edit; records deleted here stay
+// deleted and local receipts stay with their expenses. Every added or
+// replaced record gets an audit entry. Returns { changes, summary } where
+// summary counts { added, updated, kept } - kept being shared records left
+// out for a newer or deleted local copy.
+export const mergeSnapshot = (data, snapshot, { replaceSettings = false, actor }) => {
+  const { group } = snapshot;
+  const local = data.groups.find(g => g.id === group.id);
+  const merged = mergeGroup(local, group, replaceSettings);
+  const linked = linkMembers(merged.members, data.contacts);
+  const mergedGroup = { ...merged, members: linked.members };
+
+  const deleted = new Set(data.auditLog
+    .filter(entry => entry.groupId === group.id && entry.action === 'delete')
+    .map(entry => `${entry.entityType}:${entry.entityId}`));
+  const summary = { added: 0, updated: 0, kept: 0 };
+  let auditLog = data.auditLog;
+
+  const mergeCollection = (entityType, records, sharedRecords) => {
+    const byId = new Map(records.map(r => [r.id, r]));
+    sharedRecords.forEach(record => {
+      const existing = byId.get(record.id);
+      if (existing ? !isNewer(record, existing) : deleted.has(`${entityType}:${record.id}`)) {
+        summary.kept += 1;
+        return;
+      }
+      const next = existing?.attachments ? { ...record, attachments: existing.attachments } : record;
+      byId.set(record.id, next);
+      auditLog = [...auditLog, createAuditEntry(group.id, entityType, existing ? 'update' : 'create', existing, next, actor)];
+      summary[existing ? 'updated' : 'added'] += 1;
+    });
+    return [...byId.values()];
+  };
+
+  const expenses = mergeCollection('expense', data.expenses, snapshot.expenses);
+  const payments = mergeCollection('payment', data.payments, snapshot.payments);
+  const groups = local ? data.groups.map(g => (g.id === group.id ? mergedGroup : g)) : [...data.groups, mergedGroup];
+  return { changes: { groups, contacts: linked.contacts, expenses, payments, auditLog }, summary };
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION } from './schema.js';
+import { createSnapshot, encodeSnapshot, decodeSnapshot, isEncryptedPayload, mergeSnapshot } from './share.js';
+
+const group = {
+  id: 'g1',
+  name: 'Trip',
+  baseCurrency: 'USD',
+  rates: {},
+  members: [{ id: 'ana', name: 'Ana', contactId: 'c1' }, { id: 'ben', name: 'Ben', contactId: 'c2' }]
+};
+
+const expenses = [
+  {
+    id: 'e1', groupId: 'g1', description: 'Dinner', amount: 1000, currency: 'USD', exchangeRate: 1, paidBy: 'ana',
+    splitType: 'equal', splits: [{ memberId: 'ana', amount: 500 }, { memberId: 'ben', amount: 500 }],
+    date: '2026-01-01T12:00:00.000Z', attachments: [{ id: 'r1', name: 'receipt.jpg', type: 'image/jpeg', size: 1 }]
+  },
+  { id: 'e2', groupId: 'other', description: 'Elsewhere', amount: 1, paidBy: 'x', splits: [], date: '2026-01-01T12:00:00.000Z' }
+];
+
+const payments = [{ id: 'p1', groupId: 'g1', fromId: 'ben', toId: 'ana', amount: 200, date: '2026-01-02T12:00:00.000Z' }];
+
+describe('share links', () => {
+  it('round-trips a group without its receipts and contact links', async () => {
+    const payload = await encodeSnapshot(createSnapshot(group, expenses, payments));
+    expect(payload).toMatch(/^[\w.-]+$/);
+    expect(isEncryptedPayload(payload)).toBe(false);
+
+    const { snapshot, errors } = await decodeSnapshot(payload);
+    expect(errors).toBeUndefined();
+    expect(snapshot.group.members).toEqual([{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }]);
+    expect(snapshot.expenses.map(e => e.id)).toEqual(['e1']);
+    expect(snapshot.expenses[0].attachments).toBeUndefined();
+    expect(snapshot.payments).toEqual(payments);
+  });
+
+  it('needs the right passphrase for an encrypted link', async () => {
+    const payload = await encodeSnapshot(createSnapshot(group, expenses, payments), 'correct horse');
+    expect(isEncryptedPayload(payload)).toBe(true);
+    expect((await decodeSnapshot(payload, 'correct horse')).snapshot.group.name).toBe('Trip');
+    expect((await decodeSnapshot(payload, 'wrong')).errors).toEqual(['Wrong passphrase, or the link is damaged']);
+  });
+
+  it('rejects damaged, cut-off and foreign links', async () => {
+    const payload = await encodeSnapshot(createSnapshot(group, expenses, payments));
+    expect((await decodeSnapshot(payload.slice(0, 40))).errors).toBeDefined();
+    expect((await decodeSnapshot('')).errors).toBeDefined();
+    expect((await decodeSnapshot('1z.!!!')).errors).toBeDefined();
+    const foreign = await encodeSnapshot({ format: 'something-else' });
+    expect((await decodeSnapshot(foreign)).errors).toEqual(['This link does not contain a shared group']);
+  });
+
+  it('rejects snapshots from a newer schema or with invalid records', async () => {
+    const newer = await encodeSnapshot({ ...createSnapshot(group, expenses, payments), schemaVersion: SCHEMA_VERSION + 1 });
+    expect((await decodeSnapshot(newer)).errors[0]).toMatch(/newer version/);
+    const invalid = await encodeSnapshot({ ...createSnapshot(group, expenses, payments), payments: [{ ...payments[0], fromId: 'nobody' }] });
+    expect((await decodeSnapshot(invalid)).errors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('mergeSnapshot', () => {
+  const withoutReceipts = (expense) => Object.fromEntries(Object.entries(expense).filter(([key]) => key !== 'attachments'));
+  const localGroup = { ...group, rates: { EUR: 1.1 }, budgets: [{ id: 'b1', category: '', amount: 5000, period: 'month' }] };
+  const dinner = { ...expenses[0], rev: 3, updatedAt: '2026-02-01T10:00:00.000Z' };
+  const contacts = [{ id: 'c1', name: 'Ana' }, { id: 'c2', name: 'Ben' }];
+  const localData = (overrides = {}) => ({
+    groups: [localGroup], expenses: [dinner], payments: [], auditLog: [], contacts, ...overrides
+  });
+  const snapshotOf = (changes = {}) => ({
+    ...createSnapshot({ ...group, name: 'Old trip', rates: {}, budgets: [] }, [{ ...dinner, rev: 2, updatedAt: '2026-01-15T10:00:00.000Z' }], payments),
+    ...changes
+  });
+
+  it('keeps newer local edits and adds what is missing, with audit entries', () => {
+    const { changes, summary } = mergeSnapshot(localData(), snapshotOf(), { actor: 'Ben' });
+    expect(changes.expenses).toEqual([dinner]);
+    expect(changes.payments).toEqual(payments);
+    expect(summary).toEqual({ added: 1, updated: 0, kept: 1 });
+    expect(changes.auditLog).toMatchObject([{ entityType: 'payment', entityId: 'p1', action: 'create', actor: 'Ben' }]);
+  });
+
+  it('takes later shared edits, keeping local receipts', () => {
+    const edited = { ...dinner, description: 'Late dinner', rev: 1, updatedAt: '2026-03-01T10:00:00.000Z' };
+    const { changes, summary } = mergeSnapshot(localData(), snapshotOf({ expenses: [withoutReceipts(edited)], payments: [] }), { actor: 'Ben' });
+    expect(changes.expenses).toEqual([edited]);
+    expect(summary).toEqual({ added: 0, updated: 1, kept: 0 });
+    expect(changes.auditLog).toMatchObject([{ action: 'update', before: dinner, after: edited }]);
+  });
+
+  it('does not bring back records deleted here', () => {
+    const deletion = { id: 'a1', groupId: 'g1', entityType: 'expense', entityId: 'e1', action: 'delete', before: dinner, after: null };
+    const { changes, summary } = mergeSnapshot(localData({ expenses: [], auditLog: [deletion] }), snapshotOf(), { actor: 'Ben' });
+    expect(changes.expenses).toEqual([]);
+    expect(summary.kept).toBe(1);
+  });
+
+  it('keeps local group settings unless asked to replace them', () => {
+    const newcomer = { id: 'cy', name: 'Cy' };
+    const { group: shared } = snapshotOf();
+    const snapshot = snapshotOf({ group: { ...shared, members: [...shared.members, newcomer] } });
+    const kept = mergeSnapshot(localData(), snapshot, { actor: 'Ben' }).changes;
+    expect(kept.groups[0]).toMatchObject({ name: 'Trip', rates: { EUR: 1.1 }, budgets: localGroup.budgets });
+    expect(kept.groups[0].members.map(m => [m.id, m.contactId])).toEqual([['ana', 'c1'], ['ben', 'c2'], ['cy', kept.contacts[2].id]]);
+
+    const replaced = mergeSnapshot(localData(), snapshot, { replaceSettings: true, actor: 'Ben' }).changes;
+    expect(replaced.groups[0]).toMatchObject({ name: 'Old trip', rates: {}, budgets: [] });
+    expect(replaced.groups[0].members[0]).toEqual({ id: 'ana', name: 'Ana', contactId: 'c1' });
+  });
+
+  it('adds a group this device does not have', () => {
+    const { changes } = mergeSnapshot(localData({ groups: [], expenses: [] }), snapshotOf(), { actor: 'Ben' });
+    expect(changes.groups.map(g => g.name)).toEqual(['Old trip']);
+    expect(changes.auditLog.map(e => e.action)).toEqual(['create', 'create']);
+  });
+});
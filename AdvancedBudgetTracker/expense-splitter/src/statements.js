@@ -0,0 +1,127 @@
+import { getExpenseBaseAmount, getExpenseBaseSplits } from './currency.js';
+import { CATEGORIES, UNCATEGORIZED, getCategory } from './categories.js';
+import { DATE_RANGES, getDateRange, filterByDateRange } from './analytics.js';
+import { getGroupBalances, settleDebts } from './ledger/index.js';
+import { toDateKey } from './recurring.js';
+
+// Figures for the printable statements of a group or of one member, in base
+// currency minor units. A statement covers the expenses and payments of a
+// period ({ from, to } date keys, either side null when open); balances and
+// the settlement plan are as of today, since that is what is left to pay.
+
+// The period picked on the statement page, from its query string
+export const parseStatementPeriod = (search) => {
+  const params = new URLSearchParams(search);
+  const range = DATE_RANGES.some(r => r.value === params.get('range')) ? params.get('range') : 'all';
+  return { range, from: params.get('from') || '', to: params.get('to') || '' };
+};
+
+export const toStatementSearch = (period) => {
+  const params = new URLSearchParams();
+  if (period.range !== 'all') params.set('range', period.range);
+  if (period.range === 'custom') {
+    ['from', 'to'].filter(key => period[key]).forEach(key => params.set(key, period[key]));
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+export const getStatementDates = (period, todayKey) => getDateRange(period.range, todayKey, period);
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+const before = (records, dateKey) => records.filter(record => toDateKey(new Date(record.date)) < dateKey);
+
+// [{ key, label, amount }] for rows of { expense, amount }, largest first
+const totalByCategory = (rows) => {
+  const totals = new Map();
+  rows.forEach(({ expense, amount }) => {
+    const key = getCategory(expense.category).value;
+    totals.set(key, (totals.get(key) || 0) + amount);
+  });
+  return [...CATEGORIES, UNCATEGORIZED]
+    .map(c => ({ key: c.value || 'none', label: c.label, amount: totals.get(c.value) || 0 }))
+    .filter(row => row.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+};
+
+// {
+//   expenses: [{ expense, amount, shares: { [memberId]: amount } }],
+//   payments, total, byCategory, byPayer: [{ key, label, amount }],
+//   members: [{ id, name, removedAt, paid, share, sent, received, balance }],
+//   plan: settleDebts transfers
+// }
+export const buildGroupStatement = (group, expenses, payments, dates) => {
+  const groupExpenses = expenses.filter(e => e.groupId === group.id);
+  const groupPayments = payments.filter(p => p.groupId === group.id);
+  const rows = filterByDateRange(groupExpenses, dates).sort(byDate).map(expense => ({
+    expense,
+    amount: getExpenseBaseAmount(expense, group),
+    shares: Object.fromEntries(getExpenseBaseSplits(expense, group).map(s => [s.memberId, s.amount]))
+  }));
+  const periodPayments = filterByDateRange(groupPayments, dates).sort(byDate);
+  const balances = getGroupBalances(group, groupExpenses, groupPayments);
+
+  const members = group.members.map(member => {
+    const paid = rows.filter(r => r.expense.paidBy === member.id).reduce((sum, r) => sum + r.amount, 0);
+    const share = rows.reduce((sum, r) => sum + (r.shares[member.id] || 0), 0);
+    const sent = periodPayments.filter(p => p.fromId === member.id).reduce((sum, p) => sum + p.amount, 0);
+    const received = periodPayments.filter(p => p.toId === member.id).reduce((sum, p) => sum + p.amount, 0);
+    return { id: member.id, name: member.name, removedAt: member.removedAt, paid, share, sent, received, balance: balances[member.id] || 0 };
+  }).filter(m => !m.removedAt || m.paid || m.share || m.balance);
+
+  return {
+    expenses: rows,
+    payments: periodPayments,
+    total: rows.reduce((sum, r) => sum + r.amount, 0),
+    byCategory: totalByCategory(rows),
+    byPayer: members
+      .filter(m => m.paid > 0)
+      .map(m => ({ key: m.id, label: m.name, amount: m.paid }))
+      .sort((a, b) => b.amount - a.amount),
+    members,
+    plan: settleDebts(balances, group)
+  };
+};
+
+// One member's side of the group statement:
+// {
+//   member, opening, closing, paid, share, sent, received, balance,
+//   expenses: [{ expense, amount, paid, share }], payments,
+//   byCategory (of their share), plan (their payments in the group's plan)
+// }
+// `opening` and `closing` are their balance at the start and end of the
+// period; `balance` is today's.
+export const buildMemberStatement = (group, expenses, payments, memberId, dates) => {
+  const statement = buildGroupStatement(group, expenses, payments, dates);
+  const member = statement.members.find(m => m.id === memberId)
+    || { ...group.members.find(m => m.id === memberId), paid: 0, share: 0, sent: 0, received: 0, balance: 0 };
+  const groupExpenses = expenses.filter(e => e.groupId === group.id);
+  const groupPayments = payments.filter(p => p.groupId === group.id);
+  const opening = dates.from
+    ? getGroupBalances(group, before(groupExpenses, dates.from), before(groupPayments, dates.from))[memberId] || 0
+    : 0;
+  const rows = statement.expenses
+    .filter(r => r.expense.paidBy === memberId || r.shares[memberId])
+    .map(r => ({
+      expense: r.expense,
+      amount: r.amount,
+      paid: r.expense.paidBy === memberId ? r.amount : 0,
+      share: r.shares[memberId] || 0
+    }));
+
+  return {
+    member: { id: member.id, name: member.name },
+    opening,
+    closing: opening + member.paid - member.share + member.sent - member.received,
+    paid: member.paid,
+    share: member.share,
+    sent: member.sent,
+    received: member.received,
+    balance: member.balance,
+    expenses: rows,
+    payments: statement.payments.filter(p => p.fromId === memberId || p.toId === memberId),
+    byCategory: totalByCategory(rows.map(r => ({ expense: r.expense, amount: r.share }))),
+    plan: statement.plan.filter(t => t.fromId === memberId || t.toId === memberId)
+  };
+};
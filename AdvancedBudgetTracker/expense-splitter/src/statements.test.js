@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { buildExpenseFields } from './ledger/index.js';
+import {
+  buildGroupStatement, buildMemberStatement, parseStatementPeriod, toStatementSearch, getStatementDates
+} from './statements.js';
+
+const group = {
+  id: 'g1',
+  name: 'Trip',
+  baseCurrency: 'USD',
+  rates: { EUR: 1.1 },
+  members: [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }, { id: 'cy', name: 'Cy' }]
+};
+
+const expense = (date, amount, paidBy, category, currency) => {
+  const { fields, error } = buildExpenseFields(group, 'Expense', amount, paidBy, 'equal', undefined, currency);
+  if (error) throw new Error(error);
+  return { id: crypto.randomUUID(), groupId: group.id, ...fields, category, date: `${date}T12:00:00.000Z` };
+};
+
+const expenses = [
+  expense('2026-01-05', 9000, 'ana', 'food'),
+  expense('2026-02-10', 3000, 'ben', 'transport'),
+  expense('2026-03-01', 6000, 'ana', 'food')
+];
+const payments = [{ id: 'p1', groupId: 'g1', fromId: 'cy', toId: 'ana', amount: 2000, date: '2026-02-20T12:00:00.000Z' }];
+
+describe('buildGroupStatement', () => {
+  it('totals the period by payer and category, with today\'s balances and plan', () => {
+    const statement = buildGroupStatement(group, expenses, payments, { from: '2026-02-01', to: '2026-03-31' });
+    expect(statement.expenses).toHaveLength(2);
+    expect(statement.total).toBe(9000);
+    expect(statement.byPayer).toEqual([{ key: 'ana', label: 'Ana', amount: 6000 }, { key: 'ben', label: 'Ben', amount: 3000 }]);
+    expect(statement.byCategory.map(c => [c.key, c.amount])).toEqual([['food', 6000], ['transport', 3000]]);
+    expect(statement.members.find(m => m.id === 'cy')).toMatchObject({ paid: 0, share: 3000, sent: 2000, balance: -4000 });
+    expect(statement.plan.reduce((sum, t) => sum + t.amount, 0)).toBe(7000);
+  });
+
+  it('converts foreign expenses into the base currency', () => {
+    const statement = buildGroupStatement(group, [expense('2026-01-01', 1000, 'ana', 'food', 'EUR')], [], {});
+    expect(statement.total).toBe(1100);
+  });
+});
+
+describe('buildMemberStatement', () => {
+  it('carries the balance from before the period into the closing balance', () => {
+    const statement = buildMemberStatement(group, expenses, payments, 'cy', { from: '2026-02-01', to: '2026-02-28' });
+    expect(statement.opening).toBe(-3000);
+    expect(statement).toMatchObject({ paid: 0, share: 1000, sent: 2000, received: 0, closing: -2000, balance: -4000 });
+    expect(statement.expenses.map(r => r.share)).toEqual([1000]);
+    expect(statement.payments.map(p => p.id)).toEqual(['p1']);
+    expect(statement.plan.every(t => t.fromId === 'cy')).toBe(true);
+  });
+});
+
+describe('statement period', () => {
+  it('round-trips through the query string', () => {
+    const period = { range: 'custom', from: '2026-01-01', to: '2026-01-31' };
+    expect(parseStatementPeriod(toStatementSearch(period))).toEqual(period);
+    expect(toStatementSearch({ range: 'all', from: '', to: '' })).toBe('');
+    expect(parseStatementPeriod('?range=bogus').range).toBe('all');
+  });
+
+  it('turns presets into dates', () => {
+    expect(getStatementDates({ range: 'year' }, '2026-06-15')).toEqual({ from: '2026-01-01', to: '2026-06-15' });
+  });
+});
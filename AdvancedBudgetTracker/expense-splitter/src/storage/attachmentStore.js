@@ -0,0 +1,90 @@
+import { isIndexedDbAvailable } from './indexedDbAdapter.js';
+
+// Receipt files are Blobs, which neither the JSON collections nor the sync
+// server carry, so they live in their own IndexedDB database on this device.
+// Expenses only keep metadata ({ id, name, type, size }) in expense.attachments.
+// Stored records: { id, expenseId, groupId, name, type, size, blob, thumbnail, createdAt }
+
+const DB_NAME = 'expense-splitter-attachments';
+const DB_VERSION = 1;
+const STORE = 'attachments';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+    store.createIndex('expenseId', 'expenseId');
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createIndexedDbAttachmentStore = async (name = DB_NAME) => {
+  const db = await openDatabase(name);
+
+  const read = (fn) => promisify(fn(db.transaction(STORE, 'readonly').objectStore(STORE)));
+
+  const write = async (fn) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    fn(tx.objectStore(STORE));
+    await transactionDone(tx);
+  };
+
+  return {
+    get: (id) => read(store => store.get(id)),
+    getAll: () => read(store => store.getAll()),
+    getIds: () => read(store => store.getAllKeys()),
+    getByExpense: (expenseId) => read(store => store.index('expenseId').getAll(expenseId)),
+    put: (records) => write(store => records.forEach(record => store.put(record))),
+    remove: (ids) => write(store => ids.forEach(id => store.delete(id))),
+    replaceAll: (records) => write(store => {
+      store.clear();
+      records.forEach(record => store.put(record));
+    })
+  };
+};
+
+// Same interface in memory, for browsers without IndexedDB; attachments
+// then last until the page is closed
+export const createMemoryAttachmentStore = () => {
+  const records = new Map();
+  return {
+    get: async (id) => records.get(id),
+    getAll: async () => [...records.values()],
+    getIds: async () => [...records.keys()],
+    getByExpense: async (expenseId) => [...records.values()].filter(r => r.expenseId === expenseId),
+    put: async (list) => list.forEach(record => records.set(record.id, record)),
+    remove: async (ids) => ids.forEach(id => records.delete(id)),
+    replaceAll: async (list) => {
+      records.clear();
+      list.forEach(record => records.set(record.id, record));
+    }
+  };
+};
+
+let defaultStore;
+
+export const getAttachmentStore = () => {
+  defaultStore ??= (async () => {
+    if (isIndexedDbAvailable()) {
+      try {
+        return await createIndexedDbAttachmentStore();
+      } catch (error) {
+        console.warn('IndexedDB unavailable, keeping attachments in memory:', error);
+      }
+    }
+    return createMemoryAttachmentStore();
+  })();
+  return defaultStore;
+};
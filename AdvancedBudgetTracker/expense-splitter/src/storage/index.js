@@ -0,0 +1,129 @@
+import { COLLECTIONS, SCHEMA_VERSION, migrateData } from '../schema.js';
+import { createIndexedDbAdapter, isIndexedDbAvailable } from './indexedDbAdapter.js';
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+import { createRemoteAdapter, detectSyncServer } from './remoteAdapter.js';
+
+export { createIndexedDbAdapter } from './indexedDbAdapter.js';
+export { createLocalStorageAdapter } from './localStorageAdapter.js';
+export { createMemoryAdapter } from './memoryAdapter.js';
+export { createRemoteAdapter } from './remoteAdapter.js';
+export { stampRevisions, mergeRecords } from './revisions.js';
+
+// Storage adapters share one async interface:
+//   getAll(collection)                        -> records
+//   getByGroup(collection, groupId)           -> records of one group
+//   applyChanges(collection, { put, remove }) -> upserts records, deletes ids;
+//                                                resolves { conflicts } with the
+//                                                stored copies of rejected puts
+//   replaceAll(collection, records)
+//   getMeta(key) / setMeta(key, value)        -> string settings
+
+// Records to write and ids to delete to turn `previous` into `next`. State is
+// updated immutably, so unchanged records keep their identity.
+export const diffRecords = (previous = [], next = []) => {
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  const nextIds = new Set(next.map(record => record.id));
+  return {
+    put: next.filter(record => previousById.get(record.id) !== record),
+    remove: previous.filter(record => !nextIds.has(record.id)).map(record => record.id)
+  };
+};
+
+// Copies data saved by the localStorage-only versions of the app into a
+// fresh IndexedDB database. The old keys are left in place as a fallback.
+const migrateFromLocalStorage = async (adapter) => {
+  if (await adapter.getMeta('localStorageMigrated')) return;
+
+  const legacy = createLocalStorageAdapter();
+  for (const collection of COLLECTIONS) {
+    const records = await legacy.getAll(collection);
+    if (records.length > 0) {
+      await adapter.replaceAll(collection, records);
+    }
+  }
+  for (const key of ['schemaVersion', 'actorName']) {
+    const value = await legacy.getMeta(key);
+    if (value !== null) {
+      await adapter.setMeta(key, value);
+    }
+  }
+  await adapter.setMeta('localStorageMigrated', 'true');
+};
+
+// The sync server this device uses, if any: set at build time with
+// VITE_SYNC_SERVER, or found when the app is served by the server itself.
+// Remembered so the app keeps using the server's offline cache later on.
+const findSyncServer = async () => {
+  const settings = createLocalStorageAdapter();
+  const known = (await settings.getMeta('syncServer')) ?? import.meta.env?.VITE_SYNC_SERVER;
+  if (known !== undefined && known !== null) return known;
+  if (await detectSyncServer()) {
+    await settings.setMeta('syncServer', '');
+    return '';
+  }
+  return null;
+};
+
+// The sync server when there is one, else IndexedDB when the browser
+// supports it, otherwise localStorage
+export const openStorage = async () => {
+  const syncServer = await findSyncServer();
+  if (syncServer !== null) {
+    return createRemoteAdapter(syncServer);
+  }
+  if (isIndexedDbAvailable()) {
+    try {
+      const adapter = await createIndexedDbAdapter();
+      await migrateFromLocalStorage(adapter);
+      return adapter;
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+  return createLocalStorageAdapter();
+};
+
+let defaultStorage;
+
+export const getStorage = () => {
+  defaultStorage ??= openStorage();
+  return defaultStorage;
+};
+
+// Reads every collection, upgrading and re-saving data from older versions
+export const loadData = async (adapter) => {
+  let data = {};
+  for (const collection of COLLECTIONS) {
+    data[collection] = await adapter.getAll(collection);
+  }
+
+  const storedVersion = parseInt(await adapter.getMeta('schemaVersion'), 10) || 1;
+  if (storedVersion < SCHEMA_VERSION) {
+    data = migrateData(data, storedVersion);
+    for (const collection of COLLECTIONS) {
+      await adapter.replaceAll(collection, data[collection]);
+    }
+    await adapter.setMeta('schemaVersion', SCHEMA_VERSION);
+  }
+
+  return data;
+};
+
+// Persists only the records that differ between `previous` and `changes`,
+// one collection at a time in dependency order (a new contact is saved before
+// the group that links to it). Resolves to the applied changes and any
+// conflicts, per collection.
+export const saveChanges = async (adapter, previous, changes) => {
+  const results = {};
+  for (const collection of COLLECTIONS.filter(c => changes[c])) {
+    const diff = diffRecords(previous[collection], changes[collection]);
+    const { conflicts = [] } = (await adapter.applyChanges(collection, diff)) || {};
+    const conflictIds = new Set(conflicts.map(record => record.id));
+    results[collection] = {
+      put: diff.put.filter(record => !conflictIds.has(record.id)),
+      remove: diff.remove,
+      conflicts
+    };
+  }
+  return results;
+};
@@ -0,0 +1,109 @@
+import { COLLECTIONS, SCHEMA_VERSION } from '../schema.js';
+import { isConflict } from './revisions.js';
+
+const DB_NAME = 'expense-splitter';
+const META_STORE = 'meta';
+// Collections whose records do not belong to a single group
+const UNGROUPED_COLLECTIONS = ['groups', 'contacts'];
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// The database version follows the schema version, so a schema bump that
+// adds a collection also creates its object store
+const openDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, SCHEMA_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    COLLECTIONS.forEach(collection => {
+      if (!db.objectStoreNames.contains(collection)) {
+        const store = db.createObjectStore(collection, { keyPath: 'id' });
+        if (!UNGROUPED_COLLECTIONS.includes(collection)) {
+          store.createIndex('groupId', 'groupId');
+        }
+      }
+    });
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+});
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+// One object store per collection keyed by record id, with a groupId index,
+// so every change writes only the records it touches
+export const createIndexedDbAdapter = async (name = DB_NAME) => {
+  const db = await openDatabase(name);
+
+  const readStore = (storeName, read) => {
+    const tx = db.transaction(storeName, 'readonly');
+    return promisify(read(tx.objectStore(storeName)));
+  };
+
+  const writeStore = async (storeName, write) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    write(tx.objectStore(storeName));
+    await transactionDone(tx);
+  };
+
+  return {
+    name: 'indexedDB',
+
+    getAll(collection) {
+      return readStore(collection, store => store.getAll());
+    },
+
+    getByGroup(collection, groupId) {
+      return readStore(collection, store => store.index('groupId').getAll(groupId));
+    },
+
+    // Revision checks run inside the write transaction, so two tabs saving
+    // the same record cannot both succeed
+    async applyChanges(collection, { put = [], remove = [] }) {
+      const conflicts = [];
+      if (put.length === 0 && remove.length === 0) return { conflicts };
+      await writeStore(collection, store => {
+        remove.forEach(id => store.delete(id));
+        put.forEach(record => {
+          store.get(record.id).onsuccess = (event) => {
+            const stored = event.target.result;
+            if (isConflict(stored, record)) {
+              conflicts.push(stored);
+            } else {
+              store.put(record);
+            }
+          };
+        });
+      });
+      return { conflicts };
+    },
+
+    async replaceAll(collection, records) {
+      await writeStore(collection, store => {
+        store.clear();
+        records.forEach(record => store.put(record));
+      });
+    },
+
+    async getMeta(key) {
+      const entry = await readStore(META_STORE, store => store.get(key));
+      return entry ? entry.value : null;
+    },
+
+    async setMeta(key, value) {
+      await writeStore(META_STORE, store => store.put({ key, value: String(value) }));
+    }
+  };
+};
@@ -0,0 +1,85 @@
+import { isConflict } from './revisions.js';
+
+// Key-value storage - works in both Claude artifacts and standard browsers
+const keyValueStorage = {
+  async get(key) {
+    try {
+      // Try Claude artifact storage first
+      if (window.storage && typeof window.storage.get === 'function') {
+        return await window.storage.get(key);
+      }
+      // Fallback to localStorage
+      const value = localStorage.getItem(key);
+      return value ? { value } : null;
+    } catch (error) {
+      console.warn('Storage get failed:', error);
+      return null;
+    }
+  },
+
+  async set(key, value) {
+    try {
+      // Try Claude artifact storage first
+      if (window.storage && typeof window.storage.set === 'function') {
+        return await window.storage.set(key, value);
+      }
+      // Fallback to localStorage
+      localStorage.setItem(key, value);
+      return { key, value };
+    } catch (error) {
+      console.error('Storage set failed:', error);
+      return null;
+    }
+  }
+};
+
+// Stores each collection as one JSON array under its own key and each meta
+// value as a plain string, which is the app's original storage format.
+// `prefix` namespaces the keys, e.g. for the remote adapter's offline cache.
+export const createLocalStorageAdapter = (kv = keyValueStorage, prefix = '') => {
+  const read = async (collection) => {
+    const result = await kv.get(prefix + collection);
+    return result?.value ? JSON.parse(result.value) : [];
+  };
+
+  const write = (collection, records) => kv.set(prefix + collection, JSON.stringify(records));
+
+  return {
+    name: 'localStorage',
+
+    getAll: read,
+
+    async getByGroup(collection, groupId) {
+      return (await read(collection)).filter(record => record.groupId === groupId);
+    },
+
+    async applyChanges(collection, { put = [], remove = [] }) {
+      if (put.length === 0 && remove.length === 0) return { conflicts: [] };
+      const records = new Map((await read(collection)).map(record => [record.id, record]));
+      const conflicts = [];
+      remove.forEach(id => records.delete(id));
+      put.forEach(record => {
+        if (isConflict(records.get(record.id), record)) {
+          conflicts.push(records.get(record.id));
+        } else {
+          records.set(record.id, record);
+        }
+      });
+      await write(collection, [...records.values()]);
+      return { conflicts };
+    },
+
+    async replaceAll(collection, records) {
+      await write(collection, records);
+    },
+
+    async getMeta(key) {
+      const result = await kv.get(prefix + key);
+      return result?.value ?? null;
+    },
+
+    async setMeta(key, value) {
+      await kv.set(prefix + key, String(value));
+    }
+  };
+};
@@ -0,0 +1,53 @@
+import { isConflict } from './revisions.js';
+
+// Keeps everything in memory - for tests and environments without storage.
+// Records are cloned on the way in and out, like a real backend would.
+export const createMemoryAdapter = (initial = {}) => {
+  const collections = new Map(
+    Object.entries(initial).map(([name, records]) => [name, new Map(records.map(r => [r.id, structuredClone(r)]))])
+  );
+  const meta = new Map();
+
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    name: 'memory',
+
+    async getAll(name) {
+      return [...collection(name).values()].map(r => structuredClone(r));
+    },
+
+    async getByGroup(name, groupId) {
+      return [...collection(name).values()].filter(r => r.groupId === groupId).map(r => structuredClone(r));
+    },
+
+    async applyChanges(name, { put = [], remove = [] }) {
+      const records = collection(name);
+      const conflicts = [];
+      remove.forEach(id => records.delete(id));
+      put.forEach(record => {
+        if (isConflict(records.get(record.id), record)) {
+          conflicts.push(structuredClone(records.get(record.id)));
+        } else {
+          records.set(record.id, structuredClone(record));
+        }
+      });
+      return { conflicts };
+    },
+
+    async replaceAll(name, records) {
+      collections.set(name, new Map(records.map(r => [r.id, structuredClone(r)])));
+    },
+
+    async getMeta(key) {
+      return meta.has(key) ? meta.get(key) : null;
+    },
+
+    async setMeta(key, value) {
+      meta.set(key, String(value));
+    }
+  };
+};
@@ -0,0 +1,157 @@
+import { SCHEMA_VERSION } from '../schema.js';
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+import { mergeRecords } from './revisions.js';
+
+const QUEUE_KEY = 'syncQueue';
+
+// A server response other than success, e.g. a validation error. Network
+// failures are plain fetch errors and mean "offline".
+class RemoteError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Talks to the sync server in server/. Everything read is mirrored into a
+// local cache, so the app still opens offline. Writes made while offline are
+// queued and replayed in order once the server is reachable again; a queued
+// write that turns out stale is dropped and the server's copy is cached.
+export const createRemoteAdapter = (baseUrl, { cache = createLocalStorageAdapter(undefined, 'remote:') } = {}) => {
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new RemoteError(response.status, payload.error || `Sync server responded ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  const readQueue = async () => JSON.parse((await cache.getMeta(QUEUE_KEY)) || '[]');
+  const writeQueue = (queue) => cache.setMeta(QUEUE_KEY, JSON.stringify(queue));
+
+  const send = (entry) => entry.replace
+    ? request('PUT', `/sync/${entry.collection}`, { records: entry.replace })
+    : request('POST', `/sync/${entry.collection}`, { put: entry.put, remove: entry.remove });
+
+  // Replays queued writes; stops at the first network failure
+  let flushing = null;
+  const flush = () => {
+    flushing ??= (async () => {
+      const queue = await readQueue();
+      try {
+        while (queue.length > 0) {
+          const entry = queue[0];
+          try {
+            const result = await send(entry);
+            if (result?.conflicts?.length > 0) {
+              await cache.replaceAll(entry.collection, mergeRecords(await cache.getAll(entry.collection), { put: result.conflicts }));
+            }
+          } catch (error) {
+            if (!(error instanceof RemoteError)) throw error;
+            console.error(`Dropped a queued ${entry.collection} change rejected by the sync server:`, error.message);
+          }
+          queue.shift();
+          await writeQueue(queue);
+        }
+      } catch {
+        // Still offline - try again later
+      } finally {
+        flushing = null;
+      }
+      return queue.length;
+    })();
+    return flushing;
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', flush);
+  }
+
+  const enqueue = async (entry) => {
+    await writeQueue([...(await readQueue()), entry]);
+  };
+
+  // Reads from the server once queued writes are through, else from the cache
+  const read = async (collection, groupId) => {
+    if ((await flush()) === 0) {
+      try {
+        const records = await request('GET', `/sync/${collection}`);
+        await cache.replaceAll(collection, records);
+        return groupId ? records.filter(r => r.groupId === groupId) : records;
+      } catch (error) {
+        if (error instanceof RemoteError) throw error;
+      }
+    }
+    return groupId ? cache.getByGroup(collection, groupId) : cache.getAll(collection);
+  };
+
+  return {
+    name: 'remote',
+
+    flush,
+
+    getAll(collection) {
+      return read(collection);
+    },
+
+    getByGroup(collection, groupId) {
+      return read(collection, groupId);
+    },
+
+    async applyChanges(collection, { put = [], remove = [] }) {
+      if (put.length === 0 && remove.length === 0) return { conflicts: [] };
+      if ((await flush()) === 0) {
+        try {
+          const { conflicts } = await request('POST', `/sync/${collection}`, { put, remove });
+          await cache.applyChanges(collection, { put, remove });
+          await cache.replaceAll(collection, mergeRecords(await cache.getAll(collection), { put: conflicts }));
+          return { conflicts };
+        } catch (error) {
+          if (error instanceof RemoteError) throw error;
+        }
+      }
+      await enqueue({ collection, put, remove });
+      return cache.applyChanges(collection, { put, remove });
+    },
+
+    async replaceAll(collection, records) {
+      if ((await flush()) === 0) {
+        try {
+          await request('PUT', `/sync/${collection}`, { records });
+          await cache.replaceAll(collection, records);
+          return;
+        } catch (error) {
+          if (error instanceof RemoteError) throw error;
+        }
+      }
+      await enqueue({ collection, replace: records });
+      await cache.replaceAll(collection, records);
+    },
+
+    // The server upgrades its own data file, so the data it sends is always
+    // current. Other settings are per device and stay in the cache.
+    async getMeta(key) {
+      return key === 'schemaVersion' ? String(SCHEMA_VERSION) : cache.getMeta(key);
+    },
+
+    setMeta(key, value) {
+      return cache.setMeta(key, value);
+    }
+  };
+};
+
+// True when `baseUrl` (the page's own origin by default) is a sync server
+export const detectSyncServer = async (baseUrl = '') => {
+  try {
+    const response = await fetch(`${baseUrl}/api/health`, { signal: AbortSignal.timeout(2000) });
+    const health = response.ok ? await response.json() : null;
+    return health?.app === 'expense-splitter';
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from '../../server/store.js';
+import { createApi } from '../../server/api.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createRemoteAdapter } from './remoteAdapter.js';
+
+const group = {
+  id: 'g1', name: 'Trip', baseCurrency: 'USD', rates: {}, members: [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }], rev: 1
+};
+
+const dinner = {
+  id: 'e1', groupId: 'g1', description: 'Dinner', amount: 1000, currency: 'USD', exchangeRate: 1, paidBy: 'ana',
+  splitType: 'equal', splits: [{ memberId: 'ana', amount: 500 }, { memberId: 'ben', amount: 500 }],
+  date: '2026-01-31T12:00:00.000Z', rev: 1
+};
+
+let dir;
+let server;
+let baseUrl;
+let offline;
+let cache;
+let adapter;
+
+// Runs the sync server over a fresh data file; `offline` makes every request
+// fail the way fetch does without a network
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'expense-splitter-'));
+  const api = createApi(await createFileStore(join(dir, 'data.json')));
+  server = createServer((req, res) => {
+    api(req, res).then(handled => {
+      if (!handled) res.writeHead(404).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  offline = false;
+  const realFetch = globalThis.fetch;
+  vi.stubGlobal('fetch', (...args) => (offline ? Promise.reject(new TypeError('fetch failed')) : realFetch(...args)));
+  cache = createMemoryAdapter();
+  adapter = createRemoteAdapter(baseUrl, { cache });
+  await adapter.applyChanges('groups', { put: [group] });
+});
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const serverRecords = async (collection) => (await fetch(`${baseUrl}/api/sync/${collection}`)).json();
+
+describe('remote adapter', () => {
+  it('writes through to the server and mirrors reads into the cache', async () => {
+    expect(await adapter.applyChanges('expenses', { put: [dinner] })).toEqual({ conflicts: [] });
+    expect(await serverRecords('expenses')).toEqual([dinner]);
+    expect(await cache.getAll('expenses')).toEqual([dinner]);
+    expect(await adapter.getByGroup('expenses', 'g1')).toEqual([dinner]);
+  });
+
+  it('queues writes made offline and replays them in order', async () => {
+    offline = true;
+    await adapter.applyChanges('expenses', { put: [dinner] });
+    await adapter.applyChanges('expenses', { put: [{ ...dinner, description: 'Late dinner', rev: 2 }] });
+    expect(await adapter.getAll('expenses')).toMatchObject([{ description: 'Late dinner' }]);
+    expect(await adapter.flush()).toBe(2);
+
+    offline = false;
+    expect(await adapter.flush()).toBe(0);
+    expect(await serverRecords('expenses')).toMatchObject([{ id: 'e1', description: 'Late dinner', rev: 2 }]);
+  });
+
+  it('drops a queued write another device made stale, keeping the server copy', async () => {
+    await adapter.applyChanges('expenses', { put: [dinner] });
+    offline = true;
+    await adapter.applyChanges('expenses', { put: [{ ...dinner, description: 'Mine', rev: 2 }] });
+    const theirs = { ...dinner, description: 'Theirs', rev: 2 };
+    offline = false;
+    await fetch(`${baseUrl}/api/sync/expenses`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ put: [theirs] })
+    });
+
+    expect(await adapter.flush()).toBe(0);
+    expect(await cache.getAll('expenses')).toEqual([theirs]);
+    expect(await serverRecords('expenses')).toEqual([theirs]);
+  });
+
+  it('drops a queued write the server rejects', async () => {
+    offline = true;
+    await adapter.applyChanges('expenses', { put: [{ ...dinner, paidBy: 'dee' }] });
+    offline = false;
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await adapter.flush()).toBe(0);
+    expect(logged).toHaveBeenCalledWith(expect.stringMatching(/rejected by the sync server/), expect.any(String));
+    logged.mockRestore();
+    expect(await serverRecords('expenses')).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+// Per-record revisions. Every write of a record bumps its `rev`; a write is
+// rejected when the stored copy already has that revision or a newer one,
+// i.e. another tab or device saved the same record in the meantime.
+
+// Bumps the revision of every record in `next` that differs from `previous`
+export const stampRevisions = (previous = [], next = []) => {
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  return next.map(record => {
+    const before = previousById.get(record.id);
+    if (before === record) return record;
+    return { ...record, rev: (before?.rev || 0) + 1, updatedAt: new Date().toISOString() };
+  });
+};
+
+export const isConflict = (stored, incoming) =>
+  Boolean(stored) && incoming.rev !== undefined && (stored.rev || 0) >= incoming.rev;
+
+// Applies changes from elsewhere to a list of records, keeping whichever copy
+// of a record has the higher revision
+export const mergeRecords = (records, { put = [], remove = [] }) => {
+  const merged = new Map(records.map(record => [record.id, record]));
+  remove.forEach(id => merged.delete(id));
+  put.forEach(record => {
+    const current = merged.get(record.id);
+    if (!current || (record.rev || 0) >= (current.rev || 0)) {
+      merged.set(record.id, record);
+    }
+  });
+  return [...merged.values()];
+};
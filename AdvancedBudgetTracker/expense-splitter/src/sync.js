@@ -0,0 +1,54 @@
+import { COLLECTIONS } from './schema.js';
+
+// Live sync between open tabs. After every save a tab broadcasts the records
+// it wrote; other tabs merge them into their state. When BroadcastChannel is
+// missing, localStorage `storage` events tell us which collection to reload.
+const CHANNEL_NAME = 'expense-splitter-sync';
+
+const TAB_ID = crypto.randomUUID();
+
+// `onChanges(results)` receives { [collection]: { put, remove } } from other
+// tabs; `onReload(collection)` asks for a collection to be re-read from storage
+export const createSyncChannel = ({ onChanges, onReload }) => {
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  const handleMessage = (event) => {
+    if (event.data?.sender !== TAB_ID) {
+      onChanges(event.data.changes);
+    }
+  };
+
+  const handleStorage = (event) => {
+    if (COLLECTIONS.includes(event.key)) {
+      onReload(event.key);
+    }
+  };
+
+  if (channel) {
+    channel.addEventListener('message', handleMessage);
+  } else {
+    window.addEventListener('storage', handleStorage);
+  }
+
+  return {
+    publish(changes) {
+      const payload = Object.fromEntries(
+        Object.entries(changes)
+          .filter(([, { put, remove }]) => put.length > 0 || remove.length > 0)
+          .map(([collection, { put, remove }]) => [collection, { put, remove }])
+      );
+      if (channel && Object.keys(payload).length > 0) {
+        channel.postMessage({ sender: TAB_ID, changes: payload });
+      }
+    },
+
+    close() {
+      if (channel) {
+        channel.removeEventListener('message', handleMessage);
+        channel.close();
+      } else {
+        window.removeEventListener('storage', handleStorage);
+      }
+    }
+  };
+};
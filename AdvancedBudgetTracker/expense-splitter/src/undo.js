@@ -0,0 +1,135 @@
+import { createAuditEntry } from './audit.js';
+import { diffRecords } from './storage/index.js';
+
+// Undo and redo for everything the app commits. Each action is kept as the
+// records it changed, as they were before and after:
+//   { label, records: { [collection]: { before: [...], after: [...] } } }
+// A record missing from `before` was created by the action, one missing from
+// `after` was deleted. Undoing writes `before` back; the commit that does so
+// gives the entry for redoing it, and the other way round.
+//
+// The audit log stays append-only: entries an action added are never taken
+// back (undoing logs what it restored instead), but entries it removed, such
+// as a deleted group's, come back with it.
+
+export const UNDO_LIMIT = 50;
+
+const STORAGE_KEY = 'expense-splitter-undo';
+
+const AUDITED = { expenses: 'expense', payments: 'payment' };
+
+export const createUndoHistory = () => ({ past: [], future: [] });
+
+// The entry for a commit from `previous` to `stamped` collections, or null
+// when it changed nothing
+export const createUndoEntry = (label, previous, stamped) => {
+  const records = {};
+  Object.entries(stamped).forEach(([collection, next]) => {
+    const { put, remove } = diffRecords(previous[collection], next);
+    const previousById = new Map((previous[collection] || []).map(record => [record.id, record]));
+    const before = [...put.map(record => previousById.get(record.id)).filter(Boolean), ...remove.map(id => previousById.get(id))];
+    const after = collection === 'auditLog' ? [] : put;
+    if (before.length > 0 || after.length > 0) {
+      records[collection] = { before, after };
+    }
+  });
+  return Object.keys(records).length > 0 ? { label, records } : null;
+};
+
+// A new action can no longer be redone over
+export const recordUndo = (history, entry) => ({
+  past: [...history.past, entry].slice(-UNDO_LIMIT),
+  future: []
+});
+
+// `direction` is 'undo' (latest action) or 'redo' (latest undone one)
+export const takeUndoEntry = (history, direction) => {
+  const stack = direction === 'undo' ? 'past' : 'future';
+  return { entry: history[stack].at(-1) || null, history: { ...history, [stack]: history[stack].slice(0, -1) } };
+};
+
+// After undoing an entry its inverse goes on the redo stack, and back
+export const pushUndoEntry = (history, direction, entry) => {
+  const stack = direction === 'undo' ? 'future' : 'past';
+  return entry ? { ...history, [stack]: [...history[stack], entry].slice(-UNDO_LIMIT) } : history;
+};
+
+// The collections to commit to get back to the entry's `before` records, or
+// { error } when any of them changed since (e.g. in another tab)
+export const restoreEntry = (data, entry, actor) => {
+  const changed = Object.entries(entry.records).some(([collection, { before, after }]) => {
+    const current = new Map(data[collection].map(record => [record.id, record]));
+    const afterById = new Map(after.map(record => [record.id, record]));
+    return [...before, ...after].some(({ id }) => afterById.has(id)
+      ? current.get(id)?.rev !== afterById.get(id).rev
+      : current.has(id));
+  });
+  if (changed) return { error: `"${entry.label}" can't be undone or redone because it was changed since.` };
+
+  const changes = {};
+  Object.entries(entry.records).forEach(([collection, { before, after }]) => {
+    const ids = new Set([...before, ...after].map(record => record.id));
+    const beforeById = new Map(before.map(record => [record.id, record]));
+    const kept = data[collection]
+      .filter(record => !ids.has(record.id) || beforeById.has(record.id))
+      .map(record => beforeById.get(record.id) || record);
+    const keptIds = new Set(kept.map(record => record.id));
+    changes[collection] = [...kept, ...before.filter(record => !keptIds.has(record.id))];
+  });
+
+  // Taking a group away again takes its audit log with it, as deleting did
+  const removedGroups = new Set((entry.records.groups?.after || [])
+    .filter(group => !changes.groups.some(g => g.id === group.id))
+    .map(group => group.id));
+  const logged = Object.entries(AUDITED).flatMap(([collection, entityType]) => {
+    if (!entry.records[collection]) return [];
+    const { before, after } = entry.records[collection];
+    const beforeById = new Map(before.map(record => [record.id, record]));
+    const afterById = new Map(after.map(record => [record.id, record]));
+    return [...new Set([...beforeById.keys(), ...afterById.keys()])]
+      .map(id => [afterById.get(id) || null, beforeById.get(id) || null])
+      .filter(([from, to]) => !removedGroups.has((to || from).groupId))
+      .map(([from, to]) => createAuditEntry((to || from).groupId, entityType, from ? (to ? 'update' : 'delete') : 'create', from, to, actor));
+  });
+  if (logged.length > 0 || removedGroups.size > 0) {
+    const auditLog = (changes.auditLog || data.auditLog).filter(logEntry => !removedGroups.has(logEntry.groupId));
+    changes.auditLog = [...auditLog, ...logged];
+  }
+  return { changes };
+};
+
+// Every record of `collection` the history could bring back
+export const getUndoRecords = (history, collection) =>
+  [...history.past, ...history.future].flatMap(entry => {
+    const records = entry.records[collection];
+    return records ? [...records.before, ...records.after] : [];
+  });
+
+// The history lasts as long as the browser tab, reloads included. When it
+// outgrows sessionStorage only the latest actions are kept.
+export const loadUndoHistory = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored?.past) && Array.isArray(stored?.future) ? stored : createUndoHistory();
+  } catch {
+    return createUndoHistory();
+  }
+};
+
+const latest = (history, keep) => ({ past: history.past.slice(-keep), future: history.future.slice(-keep) });
+
+export const saveUndoHistory = (history) => {
+  for (const keep of [UNDO_LIMIT, 5]) {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(latest(history, keep)));
+      return;
+    } catch {
+      // Too large, or sessionStorage is unavailable
+    }
+  }
+  try {
+    sessionStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing stored then
+  }
+};
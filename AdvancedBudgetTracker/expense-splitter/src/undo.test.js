@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { stampRevisions } from './storage/revisions.js';
+import { createAuditEntry } from './audit.js';
+import {
+  UNDO_LIMIT, createUndoHistory, createUndoEntry, recordUndo, takeUndoEntry, pushUndoEntry, restoreEntry, getUndoRecords
+} from './undo.js';
+
+const group = { id: 'g1', name: 'Trip', members: [{ id: 'm0', name: 'Ana' }, { id: 'm1', name: 'Ben' }] };
+
+const emptyData = () => ({ groups: [group], expenses: [], payments: [], auditLog: [], contacts: [], recurring: [] });
+
+// What App's commit does: stamp revisions, then remember the action
+const commit = (data, changes, label) => {
+  const stamped = Object.fromEntries(
+    Object.entries(changes).map(([collection, records]) => [collection, stampRevisions(data[collection], records)])
+  );
+  return { data: { ...data, ...stamped }, entry: createUndoEntry(label, data, stamped) };
+};
+
+const step = (data, history, direction) => {
+  const { entry, history: rest } = takeUndoEntry(history, direction);
+  const { changes, error } = restoreEntry(data, entry, 'Ana');
+  if (error) throw new Error(error);
+  const { data: next, entry: inverse } = commit(data, changes, entry.label);
+  return { data: next, history: pushUndoEntry(rest, direction, inverse) };
+};
+
+const addExpense = (data, id, amount) => {
+  const expense = { id, groupId: 'g1', description: `Expense ${id}`, amount };
+  return commit(data, {
+    expenses: [...data.expenses, expense],
+    auditLog: [...data.auditLog, createAuditEntry('g1', 'expense', 'create', null, expense, 'Ana')]
+  }, `Added ${expense.description}`);
+};
+
+describe('undo history', () => {
+  it('undoes and redoes several actions in order', () => {
+    let data = emptyData();
+    let history = createUndoHistory();
+    for (const [id, amount] of [['e1', 100], ['e2', 200]]) {
+      const result = addExpense(data, id, amount);
+      data = result.data;
+      history = recordUndo(history, result.entry);
+    }
+
+    ({ data, history } = step(data, history, 'undo'));
+    expect(data.expenses.map(e => e.id)).toEqual(['e1']);
+    ({ data, history } = step(data, history, 'undo'));
+    expect(data.expenses).toEqual([]);
+    expect(history.past).toEqual([]);
+    expect(history.future.map(e => e.label)).toEqual(['Added Expense e2', 'Added Expense e1']);
+
+    ({ data, history } = step(data, history, 'redo'));
+    ({ data, history } = step(data, history, 'redo'));
+    expect(data.expenses.map(e => [e.id, e.amount])).toEqual([['e1', 100], ['e2', 200]]);
+    expect(history.future).toEqual([]);
+  });
+
+  it('keeps the audit log append-only and logs what undoing changed', () => {
+    const { data, entry } = addExpense(emptyData(), 'e1', 100);
+    const { changes } = restoreEntry(data, entry, 'Ben');
+    expect(changes.expenses).toEqual([]);
+    expect(changes.auditLog.map(e => [e.action, e.actor])).toEqual([['create', 'Ana'], ['delete', 'Ben']]);
+  });
+
+  it('restores an edited record and bumps its revision past the current one', () => {
+    const { data } = addExpense(emptyData(), 'e1', 100);
+    const edited = { ...data.expenses[0], amount: 150 };
+    const { data: next, entry } = commit(data, { expenses: [edited] }, 'Edited Expense e1');
+
+    const { changes } = restoreEntry(next, entry, 'Ana');
+    const stamped = stampRevisions(next.expenses, changes.expenses);
+    expect(stamped[0].amount).toBe(100);
+    expect(stamped[0].rev).toBe(next.expenses[0].rev + 1);
+  });
+
+  it('brings back a deleted group with its records and audit log', () => {
+    const { data } = addExpense(emptyData(), 'e1', 100);
+    const { data: next, entry } = commit(data, {
+      groups: [], expenses: [], auditLog: data.auditLog.filter(e => e.groupId !== 'g1')
+    }, 'Deleted Trip');
+    const history = recordUndo(createUndoHistory(), entry);
+
+    let result = step(next, history, 'undo');
+    expect(result.data.groups.map(g => g.id)).toEqual(['g1']);
+    expect(result.data.expenses.map(e => e.id)).toEqual(['e1']);
+    expect(result.data.auditLog[0].id).toBe(data.auditLog[0].id);
+
+    result = step(result.data, result.history, 'redo');
+    expect(result.data.groups).toEqual([]);
+    expect(result.data.expenses).toEqual([]);
+    expect(result.data.auditLog).toEqual([]);
+  });
+
+  it('refuses to undo records changed since', () => {
+    let { data, entry } = addExpense(emptyData(), 'e1', 100);
+    ({ data } = commit(data, { expenses: [{ ...data.expenses[0], amount: 300 }] }, 'Edited Expense e1'));
+    expect(restoreEntry(data, entry, 'Ana').error).toMatch(/changed since/);
+  });
+
+  it('forgets redo after a new action and caps the history', () => {
+    const entry = { label: 'x', records: {} };
+    let history = { past: [], future: [entry] };
+    for (let i = 0; i <= UNDO_LIMIT; i++) history = recordUndo(history, entry);
+    expect(history.past).toHaveLength(UNDO_LIMIT);
+    expect(history.future).toEqual([]);
+  });
+
+  it('lists records the history can bring back', () => {
+    const { entry } = addExpense(emptyData(), 'e1', 100);
+    expect(getUndoRecords(recordUndo(createUndoHistory(), entry), 'expenses').map(e => e.id)).toEqual(['e1']);
+  });
+});
@@ -1,7 +1,45 @@
+import { readdirSync, readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const publicDir = new URL('./public/', import.meta.url)
+
+// Builds sw.js from src/serviceWorker.js with the list of files to precache
+// (the bundle plus public/) and a version hashed from their contents, so every
+// deploy that changes a file is a new service worker and triggers the update
+// prompt
+const serviceWorker = () => ({
+  name: 'expense-splitter:service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const files = [
+      ...Object.values(bundle)
+        .filter(file => !file.fileName.endsWith('.map'))
+        .map(file => ({ fileName: file.fileName, content: file.type === 'chunk' ? file.code : file.source })),
+      ...readdirSync(publicDir).map(fileName => ({ fileName, content: readFileSync(new URL(fileName, publicDir)) })),
+    ]
+    const hash = createHash('sha256')
+    files.forEach(file => hash.update(file.fileName).update(file.content))
+    const precache = files.map(file => `/${file.fileName}`)
+    const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `const PRECACHE = ${JSON.stringify(precache)};\n`
+        + `const VERSION = '${hash.digest('hex').slice(0, 12)}';\n${source}`,
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  server: {
+    // Lets `npm run dev` use a sync server started with `npm run server`
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
+  },
 })